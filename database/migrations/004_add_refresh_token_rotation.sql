@@ -0,0 +1,14 @@
+-- Migration: Refresh token rotation with token families
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- token 컬럼에는 원문 대신 SHA-256 해시를 저장합니다.
+-- family_id: 로그인 1회에서 파생된 토큰 묶음 (재사용 감지 시 전체 폐기)
+-- replaced_by_id: 회전(rotation)으로 발급된 다음 토큰
+ALTER TABLE refresh_tokens
+ADD COLUMN family_id CHAR(36) NOT NULL COMMENT '토큰 패밀리 ID (로그인 세션 단위)' AFTER user_id,
+ADD COLUMN replaced_by_id BIGINT UNSIGNED NULL COMMENT '회전 후 발급된 토큰 ID' AFTER is_revoked,
+ADD COLUMN revoked_at TIMESTAMP NULL COMMENT '폐기 시간' AFTER replaced_by_id;
+
+CREATE INDEX idx_family_id ON refresh_tokens(family_id);
@@ -0,0 +1,20 @@
+-- Migration: Access token revocation (logout / logout everywhere)
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- Revoked access tokens (JWT jti blacklist)
+-- expires_at 이후에는 토큰 자체가 만료되므로 삭제해도 됩니다.
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti CHAR(36) NOT NULL PRIMARY KEY COMMENT 'JWT ID',
+    user_id BIGINT UNSIGNED NOT NULL,
+    expires_at TIMESTAMP NOT NULL COMMENT '원래 토큰 만료 시간',
+    revoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 이 시점 이전에 발급된 모든 access token 무효 (전체 로그아웃)
+ALTER TABLE users
+ADD COLUMN tokens_revoked_at TIMESTAMP NULL COMMENT '이 시점 이전 발급 토큰 무효';
@@ -0,0 +1,14 @@
+-- Migration: Hashed email verification codes with attempt limits
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 인증 코드는 bcrypt 해시로 저장 (VARCHAR(10) → VARCHAR(255))
+ALTER TABLE users
+MODIFY COLUMN email_verification_code VARCHAR(255) NULL COMMENT '이메일 인증 코드 해시',
+ADD COLUMN email_verification_attempts INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '인증 코드 실패 횟수' AFTER email_verification_sent_at;
+
+-- 기존 평문 코드(123456)는 무효화 - 재발송 필요
+UPDATE users
+SET email_verification_code = NULL
+WHERE email_verification_code IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Migration: Track password changes
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN password_changed_at TIMESTAMP NULL COMMENT '마지막 비밀번호 변경 시간' AFTER password_hash;
@@ -0,0 +1,40 @@
+-- Migration: Brute-force protection and account lockout
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN failed_login_attempts INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '연속 로그인 실패 횟수',
+ADD COLUMN last_failed_login_at TIMESTAMP NULL COMMENT '마지막 로그인 실패 시간',
+ADD COLUMN locked_until TIMESTAMP NULL COMMENT '계정 잠금 해제 시간',
+ADD COLUMN unlock_token_hash CHAR(64) NULL COMMENT '이메일 잠금 해제 토큰 해시',
+ADD COLUMN unlock_token_expires_at TIMESTAMP NULL COMMENT '잠금 해제 토큰 만료 시간';
+
+CREATE INDEX idx_unlock_token_hash ON users(unlock_token_hash);
+
+-- Login attempts (IP 단위 제한 및 감사용)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NULL COMMENT 'NULL if the identifier matched no user',
+    identifier VARCHAR(255) NOT NULL COMMENT '입력한 로그인 ID',
+    ip_address VARCHAR(45) NULL,
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_ip_created (ip_address, created_at),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Account lockout events (고객지원 조회용)
+CREATE TABLE IF NOT EXISTS account_lockout_events (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    event_type ENUM('locked', 'unlocked', 'unlock_requested') NOT NULL,
+    reason VARCHAR(255) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- Migration: API key scopes
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- api_key: 식별용 공개 접두사 (예: stl_1a2b3c4d5e6f), api_key_hash: 전체 키의 SHA-256 해시
+ALTER TABLE api_keys
+MODIFY COLUMN api_key VARCHAR(255) NOT NULL COMMENT 'Public key prefix for identification',
+MODIFY COLUMN api_key_hash VARCHAR(255) NOT NULL COMMENT 'SHA-256 hash of the full key',
+ADD COLUMN scopes JSON NULL COMMENT '허용된 스코프 목록' AFTER name,
+ADD COLUMN revoked_at TIMESTAMP NULL COMMENT '폐기 시간' AFTER last_used_at;
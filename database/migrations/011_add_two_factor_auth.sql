@@ -0,0 +1,21 @@
+-- Migration: TOTP two-factor authentication
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN totp_secret VARCHAR(255) NULL COMMENT '암호화된 TOTP 시크릿 (등록 진행 중 또는 활성)',
+ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT FALSE COMMENT '2단계 인증 사용 여부',
+ADD COLUMN totp_enabled_at TIMESTAMP NULL COMMENT '2단계 인증 활성화 시간',
+ADD COLUMN totp_last_used_step BIGINT UNSIGNED NULL COMMENT '마지막으로 사용된 TOTP 시간 단계 (재사용 방지)';
+
+-- One-time recovery codes (SHA-256 hash only)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_code (user_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,18 @@
+-- Migration: Session (device) metadata on refresh tokens
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 세션 = refresh token family (family_id)
+-- 회전 시 session_created_at은 유지되고, 기기 정보와 IP는 최신 값으로 갱신됩니다.
+ALTER TABLE refresh_tokens
+ADD COLUMN session_created_at TIMESTAMP NULL COMMENT '세션(로그인) 시작 시간' AFTER family_id,
+ADD COLUMN device_label VARCHAR(100) NULL COMMENT 'User-Agent 기반 기기 이름' AFTER session_created_at,
+ADD COLUMN user_agent VARCHAR(512) NULL COMMENT '마지막 사용 User-Agent' AFTER device_label,
+ADD COLUMN ip_address VARCHAR(45) NULL COMMENT '마지막 사용 IP 주소' AFTER user_agent,
+ADD INDEX idx_user_active (user_id, is_revoked, expires_at);
+
+-- 기존 토큰은 발급 시간을 세션 시작 시간으로 사용
+UPDATE refresh_tokens
+SET session_created_at = created_at
+WHERE session_created_at IS NULL;
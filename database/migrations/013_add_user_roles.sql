@@ -0,0 +1,11 @@
+-- Migration: User roles
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN role ENUM('user', 'moderator', 'admin') NOT NULL DEFAULT 'user' COMMENT '권한 역할' AFTER uid,
+ADD INDEX idx_role (role);
+
+-- 관리자 지정 예시:
+-- UPDATE users SET role = 'admin' WHERE email = 'admin@setlone.com';
@@ -0,0 +1,25 @@
+-- Migration: Phone number verification (SMS OTP)
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN phone_verified BOOLEAN NOT NULL DEFAULT FALSE COMMENT '핸드폰 번호 인증 여부' AFTER phone_number,
+ADD COLUMN phone_verified_at TIMESTAMP NULL COMMENT '핸드폰 번호 인증 시간' AFTER phone_verified;
+
+-- SMS 인증 코드 (bcrypt 해시 저장, 발송 이력 겸 rate limit 기준)
+CREATE TABLE IF NOT EXISTS phone_verification_codes (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    attempts INT UNSIGNED NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP NULL DEFAULT NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_phone_created (phone_number, created_at),
+    INDEX idx_ip_created (ip_address, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
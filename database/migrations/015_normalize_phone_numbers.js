@@ -0,0 +1,132 @@
+/**
+ * Data Migration: Normalize stored phone numbers to E.164
+ * 015_normalize_phone_numbers.sql 적용 후 한 번 실행합니다.
+ *
+ *   node database/migrations/015_normalize_phone_numbers.js [--dry-run]
+ *
+ * - + 없이 저장된 번호는 DEFAULT_PHONE_COUNTRY(기본 KR) 번호로 해석합니다.
+ * - 변환할 수 없는 번호는 비우고 인증을 해제한 뒤 phone_number_migration_issues에 'invalid'로 남깁니다.
+ * - 변환 후 여러 계정이 같은 번호를 가지면, 인증한 계정이 있는 경우 가장 최근에 인증한 계정만 남기고
+ *   나머지 계정의 번호는 비운 뒤 'duplicate'로 남깁니다 (번호 인증 시 다른 계정의 번호를 비우는 것과 같은 규칙).
+ *   아무도 인증하지 않은 번호는 앱과 마찬가지로 여러 계정에 그대로 둡니다.
+ * 다시 실행해도 안전합니다 (이미 정리된 번호는 바뀌지 않음).
+ */
+import { query, transaction, closePool } from '../../src/config/database.js';
+import { normalizePhoneNumber, DEFAULT_PHONE_COUNTRY } from '../../src/utils/phone.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Pick the account that keeps a phone number shared by several accounts
+ * 탈퇴하지 않은 계정 → 가장 최근 인증 → 먼저 가입한 계정 순
+ * @param {Array<Object>} verified - Verified rows with the same normalized number
+ * @returns {Object} Row that keeps the number
+ */
+function pickOwner(verified) {
+  return [...verified].sort((a, b) => {
+    if (!a.deleted_at !== !b.deleted_at) {
+      return a.deleted_at ? 1 : -1;
+    }
+
+    const verifiedA = a.phone_verified_at ? new Date(a.phone_verified_at).getTime() : 0;
+    const verifiedB = b.phone_verified_at ? new Date(b.phone_verified_at).getTime() : 0;
+    return verifiedB - verifiedA || a.id - b.id;
+  })[0];
+}
+
+/**
+ * Work out the changes for every stored phone number
+ * @param {Array<Object>} rows - Users with a phone number
+ * @returns {Object} { updates: [{ id, number }], cleared: [{ row, number, reason }] }
+ */
+function planChanges(rows) {
+  const updates = [];
+  const cleared = [];
+  const byNumber = new Map();
+
+  for (const row of rows) {
+    const phone = normalizePhoneNumber(row.phone_number);
+
+    if (!phone) {
+      cleared.push({ row, number: null, reason: 'invalid' });
+      continue;
+    }
+
+    if (!byNumber.has(phone.number)) {
+      byNumber.set(phone.number, []);
+    }
+    byNumber.get(phone.number).push(row);
+  }
+
+  for (const [number, group] of byNumber) {
+    const verified = group.filter((row) => row.phone_verified);
+    const owner = verified.length > 0 ? pickOwner(verified) : null;
+
+    for (const row of group) {
+      if (owner && row.id !== owner.id) {
+        cleared.push({ row, number, reason: 'duplicate' });
+      } else if (row.phone_number !== number) {
+        updates.push({ id: row.id, number });
+      }
+    }
+  }
+
+  return { updates, cleared };
+}
+
+async function main() {
+  const rows = await query(`
+    SELECT id, phone_number, phone_verified, phone_verified_at, deleted_at
+    FROM users
+    WHERE phone_number IS NOT NULL
+    ORDER BY id
+  `);
+
+  const { updates, cleared } = planChanges(rows);
+
+  console.log(`Default country: ${DEFAULT_PHONE_COUNTRY}`);
+  console.log(`Phone numbers checked: ${rows.length}`);
+  console.log(`To normalize: ${updates.length}`);
+  console.log(`Invalid (cleared): ${cleared.filter((item) => item.reason === 'invalid').length}`);
+  console.log(`Duplicate (cleared): ${cleared.filter((item) => item.reason === 'duplicate').length}`);
+
+  for (const { row, number, reason } of cleared) {
+    console.log(`  user ${row.id}: ${row.phone_number} -> cleared (${reason}${number ? `, ${number}` : ''})`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no changes written.');
+    return;
+  }
+
+  await transaction(async (connection) => {
+    for (const { row, number, reason } of cleared) {
+      await connection.execute(
+        `INSERT INTO phone_number_migration_issues (user_id, original_phone_number, normalized_phone_number, reason)
+         VALUES (?, ?, ?, ?)`,
+        [row.id, row.phone_number, number, reason]
+      );
+      await connection.execute(
+        `UPDATE users
+         SET phone_number = NULL, phone_verified = FALSE, phone_verified_at = NULL
+         WHERE id = ?`,
+        [row.id]
+      );
+    }
+
+    for (const { id, number } of updates) {
+      await connection.execute('UPDATE users SET phone_number = ? WHERE id = ?', [number, id]);
+    }
+  });
+
+  console.log('Phone numbers normalized.');
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('Phone number migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
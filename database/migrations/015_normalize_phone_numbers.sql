@@ -0,0 +1,22 @@
+-- Migration: Normalize phone numbers to E.164
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 애플리케이션은 이제 E.164 형식(+821012345678)으로만 저장합니다.
+-- 기존 번호의 변환은 국가별 규칙이 필요하므로 SQL 대신 스크립트로 실행합니다:
+--   node database/migrations/015_normalize_phone_numbers.js [--dry-run]
+-- 스크립트는 libphonenumber(src/utils/phone.js의 normalizePhoneNumber)로 변환하고,
+-- 변환할 수 없는 번호와 중복 정리로 비운 번호를 아래 테이블에 남깁니다.
+
+CREATE TABLE IF NOT EXISTS phone_number_migration_issues (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    original_phone_number VARCHAR(20) NOT NULL COMMENT '정규화 전 저장 값',
+    normalized_phone_number VARCHAR(20) NULL COMMENT 'E.164 변환 결과 (invalid면 NULL)',
+    reason ENUM('invalid', 'duplicate') NOT NULL COMMENT 'invalid: 변환 불가, duplicate: 다른 계정이 같은 번호를 인증함',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id),
+    INDEX idx_reason (reason)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
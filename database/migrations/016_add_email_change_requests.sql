@@ -0,0 +1,27 @@
+-- Migration: Email change requests
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 이메일 변경 요청
+-- 새 주소로 보낸 코드를 확인하기 전까지 기존 주소가 그대로 유지되며,
+-- 변경 후에는 기존 주소로 되돌리기 링크(undo)를 보냅니다.
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    old_email VARCHAR(255) NOT NULL,
+    new_email VARCHAR(255) NOT NULL,
+    code_hash VARCHAR(255) NOT NULL COMMENT '새 주소로 보낸 인증 코드 (bcrypt)',
+    attempts INT UNSIGNED NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    confirmed_at TIMESTAMP NULL DEFAULT NULL,
+    cancelled_at TIMESTAMP NULL DEFAULT NULL,
+    undo_token_hash CHAR(64) NULL COMMENT '되돌리기 토큰 (SHA-256)',
+    undo_expires_at TIMESTAMP NULL DEFAULT NULL,
+    undone_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_old_email (old_email),
+    UNIQUE KEY unique_undo_token_hash (undo_token_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
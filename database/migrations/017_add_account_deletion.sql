@@ -0,0 +1,17 @@
+-- Migration: Self-service account deletion (grace period + purge)
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- deleted_at: 탈퇴 요청 시간 (유예 기간 중 로그인하면 복구)
+-- purge_after: 이 시간 이후 개인정보 익명화 및 콘텐츠 삭제
+-- purged_at: 익명화 완료 시간 (복구 불가)
+ALTER TABLE users
+ADD COLUMN purge_after TIMESTAMP NULL COMMENT '영구 삭제 예정 시간' AFTER deleted_at,
+ADD COLUMN purged_at TIMESTAMP NULL COMMENT '개인정보 익명화 완료 시간' AFTER purge_after,
+ADD INDEX idx_purge_after (purge_after);
+
+-- 기존에 소프트 삭제된 계정도 유예 기간 후 정리 대상에 포함
+UPDATE users
+SET purge_after = DATE_ADD(deleted_at, INTERVAL 30 DAY)
+WHERE deleted_at IS NOT NULL AND purge_after IS NULL;
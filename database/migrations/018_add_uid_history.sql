@@ -0,0 +1,22 @@
+-- Migration: UID change history and policy
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN uid_changed_at TIMESTAMP NULL COMMENT '마지막 UID 변경 시간' AFTER uid;
+
+-- UID 변경/해제 이력
+-- old_uid는 created_at부터 일정 기간 다른 사용자가 가져갈 수 없습니다.
+CREATE TABLE IF NOT EXISTS uid_history (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    old_uid VARCHAR(7) NULL,
+    new_uid VARCHAR(7) NULL COMMENT 'NULL if the UID was released (account purge)',
+    changed_by BIGINT UNSIGNED NULL COMMENT '변경한 사용자 (본인 또는 관리자)',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_old_uid_created (old_uid, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
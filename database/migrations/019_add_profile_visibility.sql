@@ -0,0 +1,9 @@
+-- Migration: Per-field profile visibility
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 선택 공개 항목별 공개 범위 (예: {"birth_date": "public", "real_name": "private"})
+-- 설정되지 않은 항목은 비공개
+ALTER TABLE users
+ADD COLUMN profile_visibility JSON NULL COMMENT '항목별 공개 설정' AFTER bio;
@@ -0,0 +1,14 @@
+-- Migration: Follower/following counters
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 프로필 조회마다 COUNT 하지 않도록 팔로우/언팔로우 시 같은 트랜잭션에서 증감
+ALTER TABLE users
+ADD COLUMN follower_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '팔로워 수' AFTER profile_visibility,
+ADD COLUMN following_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '팔로잉 수' AFTER follower_count;
+
+-- 기존 팔로우 관계로 초기값 설정
+UPDATE users u
+SET u.follower_count = (SELECT COUNT(*) FROM follows f WHERE f.following_id = u.id),
+    u.following_count = (SELECT COUNT(*) FROM follows f WHERE f.follower_id = u.id);
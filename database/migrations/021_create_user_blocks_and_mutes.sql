@@ -0,0 +1,29 @@
+-- Migration: User blocks and mutes
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 차단: 양방향으로 서로의 프로필/게시물/댓글/검색 결과를 숨기고 팔로우 관계를 끊음
+CREATE TABLE IF NOT EXISTS user_blocks (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    blocker_id BIGINT UNSIGNED NOT NULL COMMENT 'User who blocks',
+    blocked_id BIGINT UNSIGNED NOT NULL COMMENT 'User being blocked',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_block (blocker_id, blocked_id),
+    INDEX idx_blocked_id (blocked_id),
+    CHECK (blocker_id != blocked_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 뮤트: 뮤트한 사용자에게만 상대의 게시물/댓글을 숨김 (상대는 알 수 없음)
+CREATE TABLE IF NOT EXISTS user_mutes (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    muter_id BIGINT UNSIGNED NOT NULL COMMENT 'User who mutes',
+    muted_id BIGINT UNSIGNED NOT NULL COMMENT 'User being muted',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (muter_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (muted_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_mute (muter_id, muted_id),
+    CHECK (muter_id != muted_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,20 @@
+-- Migration: Private accounts and follow requests
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN is_private BOOLEAN NOT NULL DEFAULT FALSE COMMENT '비공개 계정 (팔로우 승인 필요)' AFTER profile_visibility;
+
+-- 비공개 계정에 대한 팔로우 요청 (승인 시 follows로 이동, 거절/취소 시 삭제)
+CREATE TABLE IF NOT EXISTS follow_requests (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    requester_id BIGINT UNSIGNED NOT NULL COMMENT 'User who wants to follow',
+    target_id BIGINT UNSIGNED NOT NULL COMMENT 'Private account being requested',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (target_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_follow_request (requester_id, target_id),
+    INDEX idx_target_id (target_id),
+    CHECK (requester_id != target_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
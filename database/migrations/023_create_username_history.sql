@@ -0,0 +1,20 @@
+-- Migration: Username change history and policy
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN username_changed_at TIMESTAMP NULL COMMENT '마지막 사용자명 변경 시간' AFTER username;
+
+-- 사용자명 변경/해제 이력
+-- old_username은 created_at부터 일정 기간 다른 사용자가 가져갈 수 없습니다 (사칭 방지).
+CREATE TABLE IF NOT EXISTS username_history (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    old_username VARCHAR(50) NOT NULL,
+    new_username VARCHAR(50) NULL COMMENT 'NULL if the username was released (account purge)',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_old_username_created (old_username, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
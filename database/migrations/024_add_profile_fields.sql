@@ -0,0 +1,10 @@
+-- Migration: Display name, pronouns, cover image and profile links
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+ALTER TABLE users
+ADD COLUMN display_name VARCHAR(50) NULL COMMENT '표시 이름 (중복 허용, 사용자명과 별개)' AFTER username_changed_at,
+ADD COLUMN pronouns VARCHAR(30) NULL COMMENT '호칭 (예: she/her)' AFTER bio,
+ADD COLUMN cover_image VARCHAR(500) NULL COMMENT '커버 이미지 URL' AFTER profile_image,
+ADD COLUMN profile_links JSON NULL COMMENT '외부 링크 최대 5개 [{"title", "url"}]' AFTER pronouns;
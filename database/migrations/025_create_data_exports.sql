@@ -0,0 +1,23 @@
+-- Migration: Personal data export requests
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 사용자 데이터 내보내기 (ZIP 파일은 서버의 exports/ 디렉터리에 저장, 다운로드 기간이 지나면 삭제)
+CREATE TABLE IF NOT EXISTS data_exports (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    status ENUM('pending', 'processing', 'completed', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+    file_name VARCHAR(255) NULL COMMENT 'exports/ 디렉터리 안의 ZIP 파일 이름',
+    file_size BIGINT UNSIGNED NULL,
+    download_token_hash CHAR(64) NULL COMMENT '다운로드 링크 토큰 (SHA-256)',
+    expires_at TIMESTAMP NULL DEFAULT NULL COMMENT '다운로드 링크 만료 시간',
+    error_message VARCHAR(500) NULL,
+    started_at TIMESTAMP NULL DEFAULT NULL,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_download_token (download_token_hash),
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_status (status, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,29 @@
+-- Migration: Account suspension and admin audit trail
+-- Created: 2026-10-19
+
+USE setlone_db;
+
+-- 정지된 계정은 로그인/토큰 갱신/API 키 사용이 거부됨 (is_active는 탈퇴 처리용으로 따로 유지)
+ALTER TABLE users
+ADD COLUMN suspended_at TIMESTAMP NULL DEFAULT NULL COMMENT '계정 정지 시간' AFTER is_verified,
+ADD COLUMN suspended_reason VARCHAR(500) NULL COMMENT '정지 사유' AFTER suspended_at,
+ADD COLUMN suspended_by BIGINT UNSIGNED NULL COMMENT '정지한 관리자' AFTER suspended_reason,
+ADD CONSTRAINT fk_users_suspended_by FOREIGN KEY (suspended_by) REFERENCES users(id) ON DELETE SET NULL,
+ADD INDEX idx_suspended_at (suspended_at);
+
+-- 관리자 작업 기록 (조회, 정지/해제, 인증 배지, 강제 로그아웃, 복구)
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    admin_id BIGINT UNSIGNED NULL COMMENT '작업한 관리자',
+    action VARCHAR(50) NOT NULL COMMENT 'view_user, suspend, unsuspend, verify, unverify, force_logout, restore',
+    target_user_id BIGINT UNSIGNED NULL,
+    reason VARCHAR(500) NULL,
+    details JSON NULL COMMENT '변경 전/후 값 등',
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_target_created (target_user_id, created_at),
+    INDEX idx_admin_created (admin_id, created_at),
+    INDEX idx_action_created (action, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,42 @@
+/**
+ * Account Lifecycle Configuration
+ */
+
+// 회원 탈퇴
+export const ACCOUNT_DELETION = {
+  // 유예 기간 중 로그인하면 계정 복구
+  graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10),
+  // 영구 삭제(익명화) 작업 주기 및 1회 처리 건수
+  purgeIntervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || '60', 10),
+  purgeBatchSize: parseInt(process.env.ACCOUNT_PURGE_BATCH_SIZE || '50', 10)
+};
+
+// UID 변경 정책
+export const UID_POLICY = {
+  // 본인 변경 간 최소 간격 (관리자는 제한 없음)
+  changeCooldownDays: parseInt(process.env.UID_CHANGE_COOLDOWN_DAYS || '30', 10),
+  // 변경/탈퇴로 해제된 UID를 다른 사용자가 가져갈 수 없는 기간
+  releaseHoldDays: parseInt(process.env.UID_RELEASE_HOLD_DAYS || '90', 10)
+};
+
+// 사용자명 변경 정책
+export const USERNAME_POLICY = {
+  // 본인 변경 간 최소 간격
+  changeCooldownDays: parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS || '14', 10),
+  // 변경/탈퇴로 해제된 사용자명을 다른 사용자가 가져갈 수 없는 기간
+  releaseHoldDays: parseInt(process.env.USERNAME_RELEASE_HOLD_DAYS || '30', 10)
+};
+
+// 개인 데이터 내보내기
+export const DATA_EXPORT = {
+  // 다운로드 링크 유효 시간
+  downloadHours: parseInt(process.env.DATA_EXPORT_DOWNLOAD_HOURS || '72', 10),
+  // 새 내보내기 요청 간 최소 간격
+  requestCooldownHours: parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS || '24', 10),
+  // 대기 중인 요청 처리 및 만료 파일 정리 주기
+  processIntervalMinutes: parseInt(process.env.DATA_EXPORT_INTERVAL_MINUTES || '5', 10),
+  batchSize: 5,
+  // 이 시간이 지나도록 끝나지 않은 처리 중 요청은 다시 대기 상태로
+  staleProcessingMinutes: 60,
+  downloadUrl: process.env.DATA_EXPORT_DOWNLOAD_URL || 'https://api.setlone.com/api/v1/exports/download'
+};
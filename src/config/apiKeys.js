@@ -0,0 +1,16 @@
+/**
+ * API Key Configuration
+ */
+
+// API 키에 부여할 수 있는 스코프
+export const API_KEY_SCOPES = {
+  'users:read': 'Read user profiles',
+  'posts:read': 'Read posts',
+  'profile:write': 'Update the key owner\'s profile'
+};
+
+// 사용자당 활성 API 키 최대 개수
+export const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || '10', 10);
+
+// last_used_at 갱신 최소 간격 (초)
+export const API_KEY_LAST_USED_UPDATE_INTERVAL_SECONDS = 60;
@@ -0,0 +1,20 @@
+/**
+ * Security Configuration
+ */
+
+// 로그인 무차별 대입 방어
+export const LOGIN_PROTECTION = {
+  // 이 횟수 이후부터 실패할 때마다 대기 시간이 2배씩 증가
+  delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10),
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10),
+  // 연속 실패 횟수가 이 값에 도달하면 계정 잠금
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '10', 10),
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10),
+  // IP 단위 실패 제한
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15', 10),
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES || '50', 10),
+  // 이메일 잠금 해제 링크
+  unlockTokenTtlMinutes: parseInt(process.env.ACCOUNT_UNLOCK_TTL_MINUTES || '60', 10),
+  unlockUrl: process.env.ACCOUNT_UNLOCK_URL || 'https://setlone.com/unlock-account'
+};
+
@@ -36,6 +36,18 @@ export const swaggerConfig = {
         name: 'users',
         description: 'User management endpoints'
       },
+      {
+        name: 'follows',
+        description: 'Follow relationship endpoints'
+      },
+      {
+        name: 'admin',
+        description: 'Admin user management endpoints (admin role required)'
+      },
+      {
+        name: 'api-keys',
+        description: 'API key management endpoints'
+      },
       {
         name: 'posts',
         description: 'Post management endpoints'
@@ -52,6 +64,12 @@ export const swaggerConfig = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'JWT Authorization header using the Bearer scheme. Example: "Authorization: Bearer {token}"'
+        },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key issued from /api/v1/api-keys. Access is limited to the scopes granted to the key.'
         }
       },
       schemas: {
@@ -0,0 +1,38 @@
+/**
+ * Verification & Account Recovery Configuration
+ */
+
+// 이메일 인증 코드
+export const EMAIL_VERIFICATION = {
+  codeLength: 6,
+  ttlMinutes: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '10', 10),
+  maxAttempts: parseInt(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS || '5', 10),
+  resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60', 10)
+};
+
+// 비밀번호 재설정 토큰
+export const PASSWORD_RESET = {
+  ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10),
+  requestCooldownSeconds: parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS || '60', 10),
+  url: process.env.PASSWORD_RESET_URL || 'https://setlone.com/reset-password'
+};
+
+// 핸드폰 번호 인증 (SMS)
+export const PHONE_VERIFICATION = {
+  codeLength: 6,
+  ttlMinutes: parseInt(process.env.PHONE_VERIFICATION_TTL_MINUTES || '5', 10),
+  maxAttempts: parseInt(process.env.PHONE_VERIFICATION_MAX_ATTEMPTS || '5', 10),
+  resendCooldownSeconds: parseInt(process.env.PHONE_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60', 10),
+  dailyLimitPerNumber: parseInt(process.env.PHONE_VERIFICATION_DAILY_LIMIT || '5', 10),
+  hourlyLimitPerIp: parseInt(process.env.PHONE_VERIFICATION_IP_HOURLY_LIMIT || '20', 10)
+};
+
+// 이메일 변경 (새 주소 인증 코드 + 기존 주소 되돌리기 링크)
+export const EMAIL_CHANGE = {
+  codeLength: 6,
+  ttlMinutes: parseInt(process.env.EMAIL_CHANGE_TTL_MINUTES || '30', 10),
+  maxAttempts: parseInt(process.env.EMAIL_CHANGE_MAX_ATTEMPTS || '5', 10),
+  requestCooldownSeconds: parseInt(process.env.EMAIL_CHANGE_COOLDOWN_SECONDS || '60', 10),
+  undoHours: parseInt(process.env.EMAIL_CHANGE_UNDO_HOURS || '48', 10),
+  undoUrl: process.env.EMAIL_CHANGE_UNDO_URL || 'https://setlone.com/undo-email-change'
+};
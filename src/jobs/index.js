@@ -0,0 +1,92 @@
+/**
+ * Scheduled Jobs
+ * 서버 프로세스 안에서 setInterval로 주기 작업을 실행합니다.
+ */
+import { purgeDeletedAccounts } from './purgeDeletedAccounts.js';
+import { processDataExports } from './processDataExports.js';
+import { deleteExpiredRevokedTokens } from '../models/RevokedToken.js';
+import { ACCOUNT_DELETION, DATA_EXPORT } from '../config/account.js';
+
+const jobs = [
+  {
+    name: 'purge-deleted-accounts',
+    intervalMinutes: ACCOUNT_DELETION.purgeIntervalMinutes,
+    run: purgeDeletedAccounts
+  },
+  {
+    name: 'delete-expired-revoked-tokens',
+    intervalMinutes: 60,
+    run: () => deleteExpiredRevokedTokens()
+  },
+  {
+    name: 'process-data-exports',
+    intervalMinutes: DATA_EXPORT.processIntervalMinutes,
+    run: processDataExports
+  }
+];
+
+const timers = [];
+const ticks = new Map();
+
+/**
+ * Start all scheduled jobs
+ * 같은 작업이 겹쳐 실행되지 않도록 이전 실행이 끝나지 않았으면 건너뜁니다.
+ * @param {Object} log - Logger (fastify.log)
+ */
+export function startScheduledJobs(log) {
+  if (process.env.DISABLE_SCHEDULED_JOBS === 'true') {
+    log.info('Scheduled jobs disabled');
+    return;
+  }
+
+  for (const job of jobs) {
+    let running = false;
+
+    const tick = async () => {
+      if (running) {
+        return;
+      }
+
+      running = true;
+      try {
+        await job.run(log);
+      } catch (error) {
+        log.error({ err: error, job: job.name }, 'Scheduled job failed');
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMinutes * 60 * 1000);
+    timer.unref();
+    timers.push(timer);
+    ticks.set(job.name, tick);
+  }
+}
+
+/**
+ * Run a scheduled job now instead of waiting for its next interval
+ * 이미 실행 중이면 건너뛰며, 주기 작업이 꺼져 있으면 아무것도 하지 않습니다.
+ * @param {string} name - Job name
+ * @returns {boolean} True if the job was started
+ */
+export function runScheduledJobNow(name) {
+  const tick = ticks.get(name);
+
+  if (!tick) {
+    return false;
+  }
+
+  setImmediate(tick);
+  return true;
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopScheduledJobs() {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+  ticks.clear();
+}
@@ -0,0 +1,89 @@
+/**
+ * Process Data Exports Job
+ * 대기 중인 데이터 내보내기 요청의 ZIP을 만들어 다운로드 링크를 메일로 보내고,
+ * 다운로드 기간이 지난 파일을 삭제합니다.
+ */
+import {
+  claimPendingExports,
+  collectUserData,
+  completeDataExport,
+  failDataExport,
+  getExpiredExports,
+  expireDataExport
+} from '../models/DataExport.js';
+import { writeExportArchive, deleteExportFile } from '../utils/dataExport.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { dataExportReadyMail } from '../utils/mailTemplates.js';
+import { DATA_EXPORT } from '../config/account.js';
+
+/**
+ * Build the archive of one claimed export and send the download link
+ * @param {Object} dataExport - Claimed export { id, user_id, email }
+ * @param {Object} log - Logger
+ */
+async function buildExport(dataExport, log) {
+  const data = await collectUserData(dataExport.user_id);
+
+  if (!data) {
+    await failDataExport(dataExport.id, 'User not found');
+    return;
+  }
+
+  const fileName = `setlone-export-${dataExport.user_id}-${dataExport.id}-${generateOpaqueToken(8)}.zip`;
+  const { fileSize, mediaCount, missingMedia } = await writeExportArchive(fileName, data);
+
+  const downloadToken = generateOpaqueToken();
+  const completed = await completeDataExport(dataExport.id, {
+    fileName,
+    fileSize,
+    tokenHash: hashToken(downloadToken)
+  });
+
+  if (!completed) {
+    // 처리 중 상태가 아니게 된 요청 (오래 걸려 다른 작업이 다시 가져감)
+    await deleteExportFile(fileName);
+    return;
+  }
+
+  log.info(
+    { exportId: dataExport.id, userId: dataExport.user_id, fileSize, mediaCount, missingMedia: missingMedia.length },
+    'Data export completed'
+  );
+
+  // 메일 발송 실패는 내보내기 실패로 보지 않음 (로그인 상태에서 받을 수도 있음)
+  try {
+    const downloadUrl = `${DATA_EXPORT.downloadUrl}?token=${encodeURIComponent(downloadToken)}`;
+    await sendMail({
+      to: dataExport.email,
+      ...dataExportReadyMail(downloadUrl, DATA_EXPORT.downloadHours)
+    });
+  } catch (error) {
+    log.error({ err: error, exportId: dataExport.id }, 'Failed to send data export mail');
+  }
+}
+
+/**
+ * Run one batch: build pending exports and delete expired archives
+ * @param {Object} log - Logger (fastify.log)
+ * @returns {Promise<number>} Number of processed exports
+ */
+export async function processDataExports(log) {
+  const claimed = await claimPendingExports(DATA_EXPORT.batchSize);
+
+  for (const dataExport of claimed) {
+    try {
+      await buildExport(dataExport, log);
+    } catch (error) {
+      log.error({ err: error, exportId: dataExport.id }, 'Failed to build data export');
+      await failDataExport(dataExport.id, error.message).catch(() => {});
+    }
+  }
+
+  for (const expired of await getExpiredExports(50)) {
+    await deleteExportFile(expired.file_name);
+    await expireDataExport(expired.id);
+  }
+
+  return claimed.length;
+}
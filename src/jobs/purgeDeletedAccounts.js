@@ -0,0 +1,38 @@
+/**
+ * Purge Deleted Accounts Job
+ * 탈퇴 유예 기간이 지난 계정을 익명화하고 업로드 파일을 삭제합니다.
+ */
+import { getAccountsDueForPurge, purgeAccount } from '../models/AccountPurge.js';
+import { deleteFile } from '../utils/fileUpload.js';
+import { ACCOUNT_DELETION } from '../config/account.js';
+
+/**
+ * Run one purge batch
+ * @param {Object} log - Logger (fastify.log)
+ * @returns {Promise<number>} Number of purged accounts
+ */
+export async function purgeDeletedAccounts(log) {
+  const userIds = await getAccountsDueForPurge(ACCOUNT_DELETION.purgeBatchSize);
+  let purged = 0;
+
+  for (const userId of userIds) {
+    try {
+      const files = await purgeAccount(userId);
+
+      if (files === null) {
+        continue;
+      }
+
+      for (const fileUrl of files) {
+        await deleteFile(fileUrl);
+      }
+
+      purged++;
+      log.info({ userId, files: files.length }, 'Purged deleted account');
+    } catch (error) {
+      log.error({ err: error, userId }, 'Failed to purge deleted account');
+    }
+  }
+
+  return purged;
+}
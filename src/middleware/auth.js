@@ -1,13 +1,64 @@
 /**
  * Authentication Middleware
- * JWT 토큰을 검증하여 로그인 상태를 확인합니다.
+ * JWT 토큰을 검증하여 로그인 상태를 확인하고, 역할 기반 권한을 검사합니다.
  */
+import { getAccessTokenStatus } from '../models/RevokedToken.js';
+import { getApiKeyByHash, touchApiKey } from '../models/ApiKey.js';
+import { hashToken } from '../utils/tokens.js';
+import { API_KEY_LAST_USED_UPDATE_INTERVAL_SECONDS } from '../config/apiKeys.js';
+import { DEFAULT_ROLE, hasRole } from '../utils/roles.js';
+
+const ACCOUNT_SUSPENDED_MESSAGE = 'Account is suspended';
+
+/**
+ * JWT 검증 + 폐기 여부 확인
+ * 로그아웃된 토큰(jti), 폐기된 세션(sid)의 토큰, 전체 로그아웃 이전에 발급된 토큰을 거부합니다.
+ * @param {Object} request - Fastify request
+ * @returns {Promise<Object>} Decoded token payload
+ */
+async function verifyAccessToken(request) {
+  const decoded = await request.jwtVerify();
+
+  if (decoded.type !== 'access' || !decoded.jti || !decoded.sid) {
+    throw new Error('Invalid or expired token');
+  }
+
+  const status = await getAccessTokenStatus(decoded.id, decoded.jti, decoded.sid);
+
+  if (!status || !status.is_active) {
+    throw new Error('Invalid or expired token');
+  }
+
+  if (status.suspended_at) {
+    throw new Error(ACCOUNT_SUSPENDED_MESSAGE);
+  }
+
+  if (status.is_revoked || !status.session_active) {
+    throw new Error('Token has been revoked');
+  }
+
+  // 같은 초에 폐기 직후 재발급된 토큰(비밀번호 변경)은 통과시키고,
+  // 같은 초에 발급된 이전 토큰은 위의 세션 검사에서 걸러집니다.
+  if (status.tokens_revoked_at) {
+    const revokedAt = Math.floor(new Date(status.tokens_revoked_at).getTime() / 1000);
+    if (decoded.iat < revokedAt) {
+      throw new Error('Token has been revoked');
+    }
+  }
+
+  // 이메일/사용자명/역할 변경이 토큰 만료를 기다리지 않고 바로 반영되도록 DB 값을 사용
+  decoded.email = status.email;
+  decoded.username = status.username;
+  decoded.role = status.role;
+
+  return decoded;
+}
 
 export async function authenticate(request, reply) {
   try {
     // Authorization 헤더에서 토큰 추출
     const authHeader = request.headers.authorization;
-    
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return reply.code(401).send({
         statusCode: 401,
@@ -16,20 +67,26 @@ export async function authenticate(request, reply) {
       });
     }
 
-    const token = authHeader.substring(7); // 'Bearer ' 제거
-
     // JWT 토큰 검증
-    const decoded = await request.jwtVerify();
-    
+    const decoded = await verifyAccessToken(request);
+
     // request에 사용자 정보 추가
     request.user = decoded;
-    
+
     return;
   } catch (error) {
+    if (error.message === ACCOUNT_SUSPENDED_MESSAGE) {
+      return reply.code(403).send({
+        statusCode: 403,
+        error: 'Forbidden',
+        message: ACCOUNT_SUSPENDED_MESSAGE
+      });
+    }
+
     return reply.code(401).send({
       statusCode: 401,
       error: 'Unauthorized',
-      message: 'Invalid or expired token'
+      message: error.message === 'Token has been revoked' ? error.message : 'Invalid or expired token'
     });
   }
 }
@@ -40,17 +97,169 @@ export async function authenticate(request, reply) {
 export async function optionalAuthenticate(request, reply) {
   try {
     const authHeader = request.headers.authorization;
-    
+
     if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const decoded = await request.jwtVerify();
+      const decoded = await verifyAccessToken(request);
       request.user = decoded;
     }
-    
+
     return;
   } catch (error) {
     // 토큰이 유효하지 않아도 통과 (선택적 인증)
+    request.user = null;
     return;
   }
 }
 
+/**
+ * API 키 인증 미들웨어 (X-API-Key 헤더)
+ * 키 소유자를 request.user로 설정하고 authType: 'api_key'와 스코프를 함께 담습니다.
+ */
+export async function authenticateApiKey(request, reply) {
+  const apiKey = request.headers['x-api-key'];
+
+  if (!apiKey) {
+    return reply.code(401).send({
+      statusCode: 401,
+      error: 'Unauthorized',
+      message: 'No API key provided'
+    });
+  }
+
+  const key = await getApiKeyByHash(hashToken(apiKey));
+
+  if (!key || !key.is_active || !key.user_is_active) {
+    return reply.code(401).send({
+      statusCode: 401,
+      error: 'Unauthorized',
+      message: 'Invalid API key'
+    });
+  }
+
+  if (key.user_suspended_at) {
+    return reply.code(403).send({
+      statusCode: 403,
+      error: 'Forbidden',
+      message: ACCOUNT_SUSPENDED_MESSAGE
+    });
+  }
+
+  if (key.expires_at && new Date(key.expires_at) <= new Date()) {
+    return reply.code(401).send({
+      statusCode: 401,
+      error: 'Unauthorized',
+      message: 'API key expired'
+    });
+  }
+
+  // 매 요청마다 쓰지 않도록 일정 간격으로만 갱신
+  const lastUsedAt = key.last_used_at ? new Date(key.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsedAt > API_KEY_LAST_USED_UPDATE_INTERVAL_SECONDS * 1000) {
+    await touchApiKey(key.id);
+  }
+
+  request.user = {
+    id: key.user_id,
+    email: key.email,
+    username: key.username,
+    // API 키는 소유자의 역할과 관계없이 일반 사용자 권한만 가짐
+    role: DEFAULT_ROLE,
+    authType: 'api_key',
+    apiKeyId: key.id,
+    scopes: key.scopes
+  };
+}
+
+/**
+ * JWT 또는 API 키 인증 (X-API-Key 헤더가 있으면 API 키로 인증)
+ */
+export async function authenticateUserOrApiKey(request, reply) {
+  if (request.headers['x-api-key']) {
+    return authenticateApiKey(request, reply);
+  }
+  return authenticate(request, reply);
+}
+
+/**
+ * 선택적 JWT 또는 API 키 인증
+ * X-API-Key 헤더가 있으면 API 키로 인증하고(잘못된 키는 401), 없으면 optionalAuthenticate와 같습니다.
+ * 스코프가 필요한 공개 조회 경로에서 requireScope와 함께 사용합니다.
+ */
+export async function optionalAuthenticateUserOrApiKey(request, reply) {
+  if (request.headers['x-api-key']) {
+    return authenticateApiKey(request, reply);
+  }
+  return optionalAuthenticate(request, reply);
+}
+
+/**
+ * API 키 스코프 검사 preHandler 생성
+ * JWT로 인증된 사용자는 통과하고, API 키는 해당 스코프가 있어야 합니다.
+ * @param {string} scope - Required scope (e.g. 'users:read')
+ * @returns {Function} preHandler
+ */
+export function requireScope(scope) {
+  return async function (request, reply) {
+    if (request.user && request.user.authType === 'api_key' && !request.user.scopes.includes(scope)) {
+      return reply.code(403).send({
+        statusCode: 403,
+        error: 'Forbidden',
+        message: `API key is missing required scope: ${scope}`
+      });
+    }
+  };
+}
+
+/**
+ * 역할 검사 preHandler 생성 (authenticate 이후에 사용)
+ * 상위 역할은 통과합니다. 예: authorize('moderator')는 moderator와 admin 허용
+ * @param {string} role - Minimum role (user, moderator, admin)
+ * @returns {Function} preHandler
+ */
+export function authorize(role) {
+  return async function (request, reply) {
+    if (!request.user) {
+      return reply.code(401).send({
+        statusCode: 401,
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    if (!hasRole(request.user.role, role)) {
+      return reply.code(403).send({
+        statusCode: 403,
+        error: 'Forbidden',
+        message: 'Insufficient permissions'
+      });
+    }
+  };
+}
+
+/**
+ * 본인 또는 특정 역할 이상만 허용하는 preHandler 생성 (authenticate 이후에 사용)
+ * @param {string} role - Minimum role allowed to act on other users' resources
+ * @param {Function} [getOwnerId] - (request) => owner user ID (default: params.userId)
+ * @returns {Function} preHandler
+ */
+export function authorizeOwnerOrRole(role, getOwnerId = (request) => request.params.userId) {
+  return async function (request, reply) {
+    if (!request.user) {
+      return reply.code(401).send({
+        statusCode: 401,
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    const ownerId = parseInt(await getOwnerId(request), 10);
+
+    if (request.user.id !== ownerId && !hasRole(request.user.role, role)) {
+      return reply.code(403).send({
+        statusCode: 403,
+        error: 'Forbidden',
+        message: 'You do not have permission to access this resource'
+      });
+    }
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Account Purge Model
+ * 탈퇴 유예 기간이 지난 계정의 개인정보 익명화 및 콘텐츠 삭제
+ *
+ * users 행은 외래 키 참조 보존을 위해 남기고, 식별 가능한 값만 지웁니다.
+ */
+import { query, transaction } from '../config/database.js';
+
+/**
+ * Get accounts whose grace period has ended
+ * @param {number} limit - Maximum number of accounts
+ * @returns {Promise<Array<number>>} User IDs
+ */
+export async function getAccountsDueForPurge(limit) {
+  const sql = `
+    SELECT id
+    FROM users
+    WHERE deleted_at IS NOT NULL
+      AND purged_at IS NULL
+      AND purge_after <= CURRENT_TIMESTAMP
+    ORDER BY purge_after
+    LIMIT ${parseInt(limit, 10)}
+  `;
+
+  const rows = await query(sql);
+  return rows.map((row) => row.id);
+}
+
+/**
+ * Collect uploaded file URLs owned by a user (profile/cover image and post images)
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} File URLs under /uploads/
+ */
+async function collectUserFiles(connection, userId) {
+  const [users] = await connection.execute(
+    'SELECT profile_image, cover_image FROM users WHERE id = ?',
+    [userId]
+  );
+  const [posts] = await connection.execute(
+    'SELECT image_url, image_urls FROM posts WHERE user_id = ?',
+    [userId]
+  );
+
+  const urls = users.flatMap((user) => [user.profile_image, user.cover_image]);
+
+  for (const post of posts) {
+    urls.push(post.image_url);
+
+    let imageUrls = post.image_urls;
+    if (typeof imageUrls === 'string') {
+      try {
+        imageUrls = JSON.parse(imageUrls);
+      } catch {
+        imageUrls = null;
+      }
+    }
+    if (Array.isArray(imageUrls)) {
+      urls.push(...imageUrls);
+    }
+  }
+
+  return [...new Set(urls.filter((url) => typeof url === 'string' && url.startsWith('/uploads/')))];
+}
+
+/**
+ * Purge a deleted account: remove content and anonymize personal data
+ * 파일 삭제는 커밋 이후 호출 측에서 반환된 URL로 처리합니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>|null>} Uploaded file URLs to delete, or null if the account is not due
+ */
+export async function purgeAccount(userId) {
+  return transaction(async (connection) => {
+    const [due] = await connection.execute(
+      `SELECT id FROM users
+       WHERE id = ? AND deleted_at IS NOT NULL AND purged_at IS NULL AND purge_after <= CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [userId]
+    );
+
+    if (due.length === 0) {
+      return null;
+    }
+
+    const files = await collectUserFiles(connection, userId);
+
+    // 콘텐츠 (게시물 삭제 시 해당 게시물의 좋아요/댓글은 외래 키로 함께 삭제)
+    await connection.execute('DELETE FROM likes WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM comments WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM posts WHERE user_id = ?', [userId]);
+
+    // 상대방 팔로워/팔로잉 수를 먼저 줄인 뒤 팔로우 관계 삭제
+    await connection.execute(
+      `UPDATE users u JOIN follows f ON f.following_id = u.id
+       SET u.follower_count = u.follower_count - 1
+       WHERE f.follower_id = ? AND u.follower_count > 0`,
+      [userId]
+    );
+    await connection.execute(
+      `UPDATE users u JOIN follows f ON f.follower_id = u.id
+       SET u.following_count = u.following_count - 1
+       WHERE f.following_id = ? AND u.following_count > 0`,
+      [userId]
+    );
+    await connection.execute('DELETE FROM follows WHERE follower_id = ? OR following_id = ?', [userId, userId]);
+    await connection.execute('DELETE FROM user_blocks WHERE blocker_id = ? OR blocked_id = ?', [userId, userId]);
+    await connection.execute('DELETE FROM user_mutes WHERE muter_id = ? OR muted_id = ?', [userId, userId]);
+    await connection.execute('DELETE FROM follow_requests WHERE requester_id = ? OR target_id = ?', [userId, userId]);
+
+    // 인증/보안 기록 (IP, 이메일 등 개인정보 포함)
+    // 데이터 내보내기 파일은 다운로드 기간(유예 기간보다 짧음)이 지나면 주기 작업이 이미 삭제함
+    for (const table of [
+      'refresh_tokens',
+      'revoked_tokens',
+      'api_keys',
+      'password_reset_tokens',
+      'login_attempts',
+      'account_lockout_events',
+      'two_factor_recovery_codes',
+      'phone_verification_codes',
+      'phone_number_migration_issues',
+      'email_change_requests',
+      'data_exports'
+    ]) {
+      await connection.execute(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+    }
+
+    // 해제되는 UID/사용자명은 일정 기간 다른 사용자가 가져갈 수 없도록 이력에 남김
+    await connection.execute(
+      `INSERT INTO uid_history (user_id, old_uid, new_uid)
+       SELECT id, uid, NULL FROM users WHERE id = ? AND uid IS NOT NULL`,
+      [userId]
+    );
+    await connection.execute(
+      `INSERT INTO username_history (user_id, old_username, new_username)
+       SELECT id, username, NULL FROM users WHERE id = ?`,
+      [userId]
+    );
+
+    await connection.execute(
+      `UPDATE users
+       SET email = CONCAT('deleted-', id, '@deleted.invalid'),
+           username = CONCAT('deleted_', id),
+           password_hash = '',
+           display_name = NULL,
+           profile_image = NULL,
+           cover_image = NULL,
+           bio = NULL,
+           pronouns = NULL,
+           profile_links = NULL,
+           follower_count = 0,
+           following_count = 0,
+           real_name = NULL,
+           birth_date = NULL,
+           phone_number = NULL,
+           phone_verified = FALSE,
+           phone_verified_at = NULL,
+           uid = NULL,
+           email_verification_code = NULL,
+           totp_secret = NULL,
+           totp_enabled = FALSE,
+           unlock_token_hash = NULL,
+           is_active = FALSE,
+           purged_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId]
+    );
+
+    return files;
+  });
+}
@@ -0,0 +1,424 @@
+/**
+ * Admin Model
+ * 관리자용 사용자 조회/정지/인증 배지/복구와 관리자 작업 기록(admin_audit_logs)
+ *
+ * 사용자 상태를 바꾸는 작업은 같은 트랜잭션에서 작업 기록을 남깁니다.
+ */
+import { query, transaction } from '../config/database.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { getLockoutEvents } from './LoginSecurity.js';
+
+// 목록 필터의 계정 상태
+export const ADMIN_USER_STATUSES = ['active', 'suspended', 'deleted', 'purged'];
+
+// admin_audit_logs.action 값
+export const ADMIN_AUDIT_ACTIONS = ['view_user', 'suspend', 'unsuspend', 'verify', 'unverify', 'force_logout', 'restore'];
+
+const STATUS_CONDITIONS = {
+  active: 'deleted_at IS NULL AND suspended_at IS NULL',
+  suspended: 'suspended_at IS NOT NULL',
+  deleted: 'deleted_at IS NOT NULL AND purged_at IS NULL',
+  purged: 'purged_at IS NOT NULL'
+};
+
+const USER_SUMMARY_COLUMNS = `
+  id, uid, email, username, display_name, phone_number, role,
+  is_active, is_verified, email_verified, phone_verified,
+  suspended_at, suspended_reason, created_at, deleted_at, purged_at
+`;
+
+/**
+ * Insert an audit log entry
+ * @param {Object} connection - Transaction connection
+ * @param {Object} entry - Audit entry
+ * @param {number} entry.adminId - Acting admin
+ * @param {string} entry.action - Action name
+ * @param {number} [entry.targetUserId] - Affected user
+ * @param {string} [entry.reason] - Reason given by the admin
+ * @param {Object} [entry.details] - Extra data (previous/new values)
+ * @param {string} [entry.ipAddress] - Admin IP
+ * @returns {Promise<void>}
+ */
+async function insertAuditLog(connection, { adminId, action, targetUserId = null, reason = null, details = null, ipAddress = null }) {
+  await connection.execute(
+    `INSERT INTO admin_audit_logs (admin_id, action, target_user_id, reason, details, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [adminId, action, targetUserId, reason, details ? JSON.stringify(details) : null, ipAddress]
+  );
+}
+
+/**
+ * Record an admin action that has no state change of its own (view, force logout)
+ * @param {Object} entry - Audit entry (see insertAuditLog)
+ * @returns {Promise<void>}
+ */
+export async function recordAdminAction(entry) {
+  await transaction((connection) => insertAuditLog(connection, entry));
+}
+
+/**
+ * Lock a user row for an admin state change
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Current state or null if not found
+ */
+async function lockUser(connection, userId) {
+  const [rows] = await connection.execute(
+    `SELECT id, role, is_verified, suspended_at, suspended_reason, deleted_at, purge_after, purged_at
+     FROM users
+     WHERE id = ?
+     FOR UPDATE`,
+    [userId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * List users with admin filters (newest first)
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - active | suspended | deleted | purged
+ * @param {boolean} [filters.verified] - is_verified badge
+ * @param {string} [filters.role] - Role
+ * @param {string} [filters.createdFrom] - Created on or after this date (YYYY-MM-DD)
+ * @param {string} [filters.createdTo] - Created on or before this date (YYYY-MM-DD)
+ * @param {string} [filters.search] - Part of the email, or a phone number
+ * @param {number} [filters.limit=20] - Page size (one extra row is fetched to detect more results)
+ * @param {Object|null} [filters.after] - Cursor keys of the last item ({ id })
+ * @returns {Promise<Array>} User rows
+ */
+export async function listUsersForAdmin({
+  status,
+  verified,
+  role,
+  createdFrom,
+  createdTo,
+  search,
+  limit = 20,
+  after = null
+} = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push(STATUS_CONDITIONS[status]);
+  }
+
+  if (verified !== undefined) {
+    conditions.push('is_verified = ?');
+    params.push(verified);
+  }
+
+  if (role) {
+    conditions.push('role = ?');
+    params.push(role);
+  }
+
+  if (createdFrom) {
+    conditions.push('created_at >= ?');
+    params.push(createdFrom);
+  }
+
+  if (createdTo) {
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(createdTo);
+  }
+
+  if (search) {
+    const term = search.trim();
+    const like = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+    const phone = /^\+?[0-9\s().-]{4,}$/.test(term) ? normalizePhoneNumber(term) : null;
+    const digits = term.replace(/\D/g, '');
+
+    if (phone) {
+      conditions.push('(email LIKE ? OR phone_number = ?)');
+      params.push(like, phone.number);
+    } else if (digits.length >= 4 && /^[0-9\s()+.-]+$/.test(term)) {
+      // 일부만 입력한 번호는 숫자 부분 일치
+      // 저장 값은 E.164(+821012345678)이므로 국내 형식 입력(010-1234)은 앞자리 0을 떼고 비교
+      const partial = term.startsWith('+') ? digits : digits.replace(/^0/, '');
+      conditions.push('(email LIKE ? OR phone_number LIKE ?)');
+      params.push(like, `%${partial}%`);
+    } else {
+      conditions.push('email LIKE ?');
+      params.push(like);
+    }
+  }
+
+  if (after) {
+    conditions.push('id < ?');
+    params.push(after.id);
+  }
+
+  const sql = `
+    SELECT ${USER_SUMMARY_COLUMNS}
+    FROM users
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ${parseInt(limit, 10) + 1}
+  `;
+
+  return query(sql, params);
+}
+
+/**
+ * Get the summary row of a user (same fields as the admin list)
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} User summary or null
+ */
+export async function getUserSummaryForAdmin(userId) {
+  const rows = await query(`SELECT ${USER_SUMMARY_COLUMNS} FROM users WHERE id = ?`, [userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Get the full record of a user for admins
+ * 비밀번호 해시, 인증 코드/토큰 해시, TOTP 시크릿은 제외합니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} User record with activity counts, lockout events and admin actions, or null
+ */
+export async function getUserRecordForAdmin(userId) {
+  const rows = await query(
+    `SELECT
+       u.id, u.uid, u.uid_changed_at, u.email, u.email_verified, u.email_verification_sent_at,
+       u.username, u.username_changed_at, u.display_name, u.real_name, u.birth_date,
+       u.phone_number, u.phone_verified, u.phone_verified_at,
+       u.profile_image, u.cover_image, u.bio, u.pronouns, u.profile_links, u.profile_visibility,
+       u.is_private, u.follower_count, u.following_count, u.role, u.is_active, u.is_verified,
+       u.suspended_at, u.suspended_reason, u.suspended_by, sb.username AS suspended_by_username,
+       u.totp_enabled, u.totp_enabled_at, u.failed_login_attempts, u.last_failed_login_at, u.locked_until,
+       u.password_changed_at, u.tokens_revoked_at,
+       u.created_at, u.updated_at, u.deleted_at, u.purge_after, u.purged_at,
+       (SELECT COUNT(*) FROM posts p WHERE p.user_id = u.id AND p.is_deleted = FALSE) AS post_count,
+       (SELECT COUNT(*) FROM comments c WHERE c.user_id = u.id AND c.is_deleted = FALSE) AS comment_count,
+       (SELECT COUNT(DISTINCT rt.family_id) FROM refresh_tokens rt
+        WHERE rt.user_id = u.id AND rt.is_revoked = FALSE AND rt.expires_at > CURRENT_TIMESTAMP) AS active_session_count,
+       (SELECT COUNT(*) FROM api_keys k WHERE k.user_id = u.id AND k.is_active = TRUE) AS active_api_key_count
+     FROM users u
+     LEFT JOIN users sb ON sb.id = u.suspended_by
+     WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const record = rows[0];
+
+  for (const column of ['profile_links', 'profile_visibility']) {
+    if (typeof record[column] === 'string') {
+      try {
+        record[column] = JSON.parse(record[column]);
+      } catch {
+        record[column] = null;
+      }
+    }
+  }
+
+  record.lockout_events = await getLockoutEvents(userId, 20);
+  record.admin_actions = (await getAdminAuditLogs({ targetUserId: userId, limit: 20 })).slice(0, 20);
+
+  return record;
+}
+
+/**
+ * Suspend a user
+ * 관리자 계정은 정지할 수 없습니다. 세션 종료는 호출 측에서 처리합니다.
+ * @param {number} userId - User ID
+ * @param {Object} actor - { adminId, reason, ipAddress }
+ * @returns {Promise<string>} suspended | already_suspended | protected | not_found
+ */
+export async function suspendUser(userId, { adminId, reason, ipAddress }) {
+  return transaction(async (connection) => {
+    const user = await lockUser(connection, userId);
+
+    if (!user || user.purged_at) {
+      return 'not_found';
+    }
+
+    if (user.role === 'admin') {
+      return 'protected';
+    }
+
+    if (user.suspended_at) {
+      return 'already_suspended';
+    }
+
+    await connection.execute(
+      `UPDATE users
+       SET suspended_at = CURRENT_TIMESTAMP, suspended_reason = ?, suspended_by = ?
+       WHERE id = ?`,
+      [reason, adminId, userId]
+    );
+    await insertAuditLog(connection, { adminId, action: 'suspend', targetUserId: userId, reason, ipAddress });
+
+    return 'suspended';
+  });
+}
+
+/**
+ * Lift a user's suspension
+ * @param {number} userId - User ID
+ * @param {Object} actor - { adminId, reason, ipAddress }
+ * @returns {Promise<string>} unsuspended | not_suspended | not_found
+ */
+export async function unsuspendUser(userId, { adminId, reason, ipAddress }) {
+  return transaction(async (connection) => {
+    const user = await lockUser(connection, userId);
+
+    if (!user) {
+      return 'not_found';
+    }
+
+    if (!user.suspended_at) {
+      return 'not_suspended';
+    }
+
+    await connection.execute(
+      `UPDATE users
+       SET suspended_at = NULL, suspended_reason = NULL, suspended_by = NULL
+       WHERE id = ?`,
+      [userId]
+    );
+    await insertAuditLog(connection, {
+      adminId,
+      action: 'unsuspend',
+      targetUserId: userId,
+      reason,
+      details: { suspended_at: user.suspended_at, suspended_reason: user.suspended_reason },
+      ipAddress
+    });
+
+    return 'unsuspended';
+  });
+}
+
+/**
+ * Grant or remove the verified badge
+ * @param {number} userId - User ID
+ * @param {boolean} isVerified - New badge state
+ * @param {Object} actor - { adminId, reason, ipAddress }
+ * @returns {Promise<string>} updated | unchanged | not_found
+ */
+export async function setUserVerified(userId, isVerified, { adminId, reason = null, ipAddress }) {
+  return transaction(async (connection) => {
+    const user = await lockUser(connection, userId);
+
+    if (!user || user.purged_at) {
+      return 'not_found';
+    }
+
+    if (Boolean(user.is_verified) === isVerified) {
+      return 'unchanged';
+    }
+
+    await connection.execute('UPDATE users SET is_verified = ? WHERE id = ?', [isVerified, userId]);
+    await insertAuditLog(connection, {
+      adminId,
+      action: isVerified ? 'verify' : 'unverify',
+      targetUserId: userId,
+      reason,
+      ipAddress
+    });
+
+    return 'updated';
+  });
+}
+
+/**
+ * Restore a soft-deleted user
+ * 본인 복구와 달리 유예 기간이 지났더라도 아직 익명화되지 않았다면 복구할 수 있습니다.
+ * @param {number} userId - User ID
+ * @param {Object} actor - { adminId, reason, ipAddress }
+ * @returns {Promise<string>} restored | not_deleted | purged | not_found
+ */
+export async function restoreDeletedUser(userId, { adminId, reason = null, ipAddress }) {
+  return transaction(async (connection) => {
+    const user = await lockUser(connection, userId);
+
+    if (!user) {
+      return 'not_found';
+    }
+
+    if (user.purged_at) {
+      return 'purged';
+    }
+
+    if (!user.deleted_at) {
+      return 'not_deleted';
+    }
+
+    await connection.execute(
+      `UPDATE users
+       SET deleted_at = NULL, purge_after = NULL, is_active = TRUE
+       WHERE id = ?`,
+      [userId]
+    );
+    await insertAuditLog(connection, {
+      adminId,
+      action: 'restore',
+      targetUserId: userId,
+      reason,
+      details: { deleted_at: user.deleted_at, purge_after: user.purge_after },
+      ipAddress
+    });
+
+    return 'restored';
+  });
+}
+
+/**
+ * Get admin audit log entries (newest first)
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.adminId] - Acting admin
+ * @param {number} [filters.targetUserId] - Affected user
+ * @param {string} [filters.action] - Action name
+ * @param {number} [filters.limit=50] - Page size (one extra row is fetched to detect more results)
+ * @param {Object|null} [filters.after] - Cursor keys of the last item ({ id })
+ * @returns {Promise<Array>} Audit entries
+ */
+export async function getAdminAuditLogs({ adminId, targetUserId, action, limit = 50, after = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (adminId) {
+    conditions.push('l.admin_id = ?');
+    params.push(adminId);
+  }
+
+  if (targetUserId) {
+    conditions.push('l.target_user_id = ?');
+    params.push(targetUserId);
+  }
+
+  if (action) {
+    conditions.push('l.action = ?');
+    params.push(action);
+  }
+
+  if (after) {
+    conditions.push('l.id < ?');
+    params.push(after.id);
+  }
+
+  const sql = `
+    SELECT
+      l.id, l.admin_id, a.username AS admin_username, l.action,
+      l.target_user_id, t.username AS target_username,
+      l.reason, l.details, l.ip_address, l.created_at
+    FROM admin_audit_logs l
+    LEFT JOIN users a ON a.id = l.admin_id
+    LEFT JOIN users t ON t.id = l.target_user_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY l.id DESC
+    LIMIT ${parseInt(limit, 10) + 1}
+  `;
+
+  const rows = await query(sql, params);
+
+  return rows.map((row) => ({
+    ...row,
+    details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+  }));
+}
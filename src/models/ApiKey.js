@@ -0,0 +1,156 @@
+/**
+ * API Key Model
+ * Database operations for api_keys table
+ *
+ * 키 원문은 발급/회전 시 한 번만 반환하고, DB에는 접두사와 SHA-256 해시만 저장합니다.
+ */
+import { query } from '../config/database.js';
+
+const API_KEY_COLUMNS = `
+  id, user_id, api_key AS key_prefix, platform, name, scopes,
+  is_active, expires_at, last_used_at, revoked_at, created_at, updated_at
+`;
+
+/**
+ * Normalize scopes column (JSON) into an array
+ * @param {Object} row - api_keys row
+ * @returns {Object} Row with scopes as array
+ */
+function formatApiKey(row) {
+  let scopes = row.scopes || [];
+  if (typeof scopes === 'string') {
+    scopes = JSON.parse(scopes);
+  }
+  return { ...row, scopes };
+}
+
+/**
+ * Create an API key
+ * @param {Object} keyData - Key data
+ * @param {number} keyData.userId - Owner user ID
+ * @param {string} keyData.keyPrefix - Public key prefix
+ * @param {string} keyData.keyHash - SHA-256 hash of the full key
+ * @param {string} keyData.platform - Platform name
+ * @param {string} [keyData.name] - Friendly name
+ * @param {Array<string>} keyData.scopes - Granted scopes
+ * @param {Date|null} [keyData.expiresAt] - Expiration time (null = never)
+ * @returns {Promise<Object>} Created key (without secret)
+ */
+export async function createApiKey({ userId, keyPrefix, keyHash, platform, name = null, scopes, expiresAt = null }) {
+  const sql = `
+    INSERT INTO api_keys (user_id, api_key, api_key_hash, platform, name, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  const result = await query(sql, [userId, keyPrefix, keyHash, platform, name, JSON.stringify(scopes), expiresAt]);
+  return getApiKeyById(result.insertId, userId);
+}
+
+/**
+ * Get an API key of a user
+ * @param {number} keyId - API key ID
+ * @param {number} userId - Owner user ID
+ * @returns {Promise<Object|null>} API key or null
+ */
+export async function getApiKeyById(keyId, userId) {
+  const sql = `
+    SELECT ${API_KEY_COLUMNS}
+    FROM api_keys
+    WHERE id = ? AND user_id = ?
+  `;
+
+  const rows = await query(sql, [keyId, userId]);
+  return rows.length > 0 ? formatApiKey(rows[0]) : null;
+}
+
+/**
+ * List API keys of a user
+ * @param {number} userId - Owner user ID
+ * @returns {Promise<Array>} API keys (newest first)
+ */
+export async function getApiKeysByUser(userId) {
+  const sql = `
+    SELECT ${API_KEY_COLUMNS}
+    FROM api_keys
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.map(formatApiKey);
+}
+
+/**
+ * Count active API keys of a user
+ * @param {number} userId - Owner user ID
+ * @returns {Promise<number>} Active key count
+ */
+export async function countActiveApiKeys(userId) {
+  const sql = 'SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND is_active = TRUE';
+  const rows = await query(sql, [userId]);
+  return Number(rows[0].count);
+}
+
+/**
+ * Find an active key by hash together with its owner
+ * @param {string} keyHash - SHA-256 hash of the full key
+ * @returns {Promise<Object|null>} Key with owner fields or null
+ */
+export async function getApiKeyByHash(keyHash) {
+  const sql = `
+    SELECT
+      k.id, k.user_id, k.scopes, k.is_active, k.expires_at, k.last_used_at,
+      u.email, u.username, u.is_active AS user_is_active, u.suspended_at AS user_suspended_at
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id AND u.deleted_at IS NULL
+    WHERE k.api_key_hash = ?
+  `;
+
+  const rows = await query(sql, [keyHash]);
+  return rows.length > 0 ? formatApiKey(rows[0]) : null;
+}
+
+/**
+ * Replace the secret of an active key
+ * @param {number} keyId - API key ID
+ * @param {number} userId - Owner user ID
+ * @param {string} keyPrefix - New public prefix
+ * @param {string} keyHash - New SHA-256 hash
+ * @returns {Promise<Object|null>} Updated key or null if not found/inactive
+ */
+export async function rotateApiKey(keyId, userId, keyPrefix, keyHash) {
+  const sql = `
+    UPDATE api_keys
+    SET api_key = ?, api_key_hash = ?, last_used_at = NULL
+    WHERE id = ? AND user_id = ? AND is_active = TRUE
+  `;
+
+  const result = await query(sql, [keyPrefix, keyHash, keyId, userId]);
+  return result.affectedRows > 0 ? getApiKeyById(keyId, userId) : null;
+}
+
+/**
+ * Revoke an API key
+ * @param {number} keyId - API key ID
+ * @param {number} userId - Owner user ID
+ * @returns {Promise<boolean>} True if a key was revoked
+ */
+export async function revokeApiKey(keyId, userId) {
+  const sql = `
+    UPDATE api_keys
+    SET is_active = FALSE, revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ? AND is_active = TRUE
+  `;
+
+  const result = await query(sql, [keyId, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Update last_used_at of a key
+ * @param {number} keyId - API key ID
+ * @returns {Promise<void>}
+ */
+export async function touchApiKey(keyId) {
+  await query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [keyId]);
+}
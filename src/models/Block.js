@@ -0,0 +1,184 @@
+/**
+ * Block / Mute Model
+ * Database operations for user_blocks and user_mutes tables
+ *
+ * 차단은 양방향으로 적용되고(서로 보이지 않음), 뮤트는 뮤트한 사용자에게만 상대의 콘텐츠를 숨깁니다.
+ * 읽기 쿼리에 적용할 조건은 utils/hiddenUsers.js의 buildHiddenUsersFilter를 사용합니다.
+ */
+import { query, transaction } from '../config/database.js';
+import { removeFollowsBetween } from './Follow.js';
+import { hasRole } from '../utils/roles.js';
+
+/**
+ * Check whether either user blocked the other
+ * @param {number} userId - User ID
+ * @param {number} otherUserId - Other user ID
+ * @returns {Promise<boolean>} True if a block exists in either direction
+ */
+export async function isBlockedBetween(userId, otherUserId) {
+  const rows = await query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+     LIMIT 1`,
+    [userId, otherUserId, otherUserId, userId]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Check whether a user is hidden from a viewer by a block in either direction
+ * 차단 관계는 존재 여부도 드러내지 않도록 호출 측에서 404로 응답합니다. 관리자는 항상 조회 가능.
+ * @param {number} userId - User being viewed
+ * @param {Object|null} viewer - request.user (or null for anonymous)
+ * @returns {Promise<boolean>} True if the viewer must not see the user
+ */
+export async function isHiddenFromViewer(userId, viewer) {
+  if (!viewer || viewer.id === userId || hasRole(viewer.role, 'admin')) {
+    return false;
+  }
+  return isBlockedBetween(viewer.id, userId);
+}
+
+/**
+ * Check whether a user muted another user
+ * @param {number} muterId - User who may have muted
+ * @param {number} mutedId - Possibly muted user
+ * @returns {Promise<boolean>} True if muted
+ */
+export async function isMuted(muterId, mutedId) {
+  const rows = await query(
+    'SELECT 1 FROM user_mutes WHERE muter_id = ? AND muted_id = ? LIMIT 1',
+    [muterId, mutedId]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Block a user and remove follows in both directions
+ * @param {number} blockerId - User who blocks
+ * @param {number} blockedId - User to block
+ * @returns {Promise<boolean|null>} True if newly blocked, false if already blocked, null if the target does not exist
+ */
+export async function blockUser(blockerId, blockedId) {
+  return transaction(async (connection) => {
+    const users = await removeFollowsBetween(connection, blockerId, blockedId);
+    const target = users.find((user) => user.id === blockedId);
+
+    if (!target || target.deleted_at) {
+      return null;
+    }
+
+    const [result] = await connection.execute(
+      'INSERT IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)',
+      [blockerId, blockedId]
+    );
+
+    return result.affectedRows > 0;
+  });
+}
+
+/**
+ * Unblock a user (removed follows are not restored)
+ * @param {number} blockerId - User who blocked
+ * @param {number} blockedId - Blocked user
+ * @returns {Promise<boolean>} True if a block was removed
+ */
+export async function unblockUser(blockerId, blockedId) {
+  const result = await query(
+    'DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?',
+    [blockerId, blockedId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Mute a user
+ * @param {number} muterId - User who mutes
+ * @param {number} mutedId - User to mute
+ * @returns {Promise<boolean|null>} True if newly muted, false if already muted, null if the target does not exist
+ */
+export async function muteUser(muterId, mutedId) {
+  const targets = await query('SELECT id FROM users WHERE id = ? AND deleted_at IS NULL', [mutedId]);
+
+  if (targets.length === 0) {
+    return null;
+  }
+
+  const result = await query(
+    'INSERT IGNORE INTO user_mutes (muter_id, muted_id) VALUES (?, ?)',
+    [muterId, mutedId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Unmute a user
+ * @param {number} muterId - User who muted
+ * @param {number} mutedId - Muted user
+ * @returns {Promise<boolean>} True if a mute was removed
+ */
+export async function unmuteUser(muterId, mutedId) {
+  const result = await query(
+    'DELETE FROM user_mutes WHERE muter_id = ? AND muted_id = ?',
+    [muterId, mutedId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * List users blocked or muted by a user, newest first
+ * @param {string} table - 'user_blocks' or 'user_mutes'
+ * @param {number} userId - Owner of the list
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit=20] - Page size (one extra row is fetched to detect more results)
+ * @param {number|null} [options.afterId] - Row ID of the last item on the previous page
+ * @returns {Promise<Array>} User rows with entry_id and listed_at
+ */
+async function listHiddenUsers(table, userId, { limit = 20, afterId = null } = {}) {
+  const [ownerColumn, targetColumn] = table === 'user_blocks'
+    ? ['blocker_id', 'blocked_id']
+    : ['muter_id', 'muted_id'];
+
+  const params = [userId];
+  let cursorCondition = '';
+  if (afterId) {
+    cursorCondition = 'AND t.id < ?';
+    params.push(afterId);
+  }
+
+  const sql = `
+    SELECT
+      t.id AS entry_id, t.created_at AS listed_at,
+      u.id, u.username, u.display_name, u.profile_image, u.bio, u.uid,
+      u.pronouns, u.cover_image, u.profile_links,
+      u.is_verified, u.created_at
+    FROM ${table} t
+    JOIN users u ON u.id = t.${targetColumn}
+    WHERE t.${ownerColumn} = ? AND u.deleted_at IS NULL
+      ${cursorCondition}
+    ORDER BY t.id DESC
+    LIMIT ${parseInt(limit, 10) + 1}
+  `;
+
+  return query(sql, params);
+}
+
+/**
+ * List users blocked by a user
+ * @param {number} userId - User ID
+ * @param {Object} [options] - See listHiddenUsers
+ * @returns {Promise<Array>} Blocked user rows
+ */
+export async function getBlockedUsers(userId, options) {
+  return listHiddenUsers('user_blocks', userId, options);
+}
+
+/**
+ * List users muted by a user
+ * @param {number} userId - User ID
+ * @param {Object} [options] - See listHiddenUsers
+ * @returns {Promise<Array>} Muted user rows
+ */
+export async function getMutedUsers(userId, options) {
+  return listHiddenUsers('user_mutes', userId, options);
+}
@@ -0,0 +1,415 @@
+/**
+ * Data Export Model
+ * Database operations for data_exports table and collection of the exported data
+ *
+ * 요청(pending) → 주기 작업이 처리(processing) → ZIP 생성 완료(completed) → 다운로드 기간 후 만료(expired)
+ */
+import { query, transaction } from '../config/database.js';
+import { DATA_EXPORT } from '../config/account.js';
+
+const EXPORT_COLUMNS = `
+  id, status, file_size, expires_at, error_message, started_at, completed_at, created_at
+`;
+
+/**
+ * Create a data export request
+ * 진행 중인 요청이 있거나 최근 요청 후 대기 시간이 지나지 않았으면 새로 만들지 않습니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { status, exportId, retryAfter } - status: created | in_progress | cooldown
+ */
+export async function createDataExport(userId) {
+  return transaction(async (connection) => {
+    // 같은 사용자의 동시 요청을 직렬화
+    await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+
+    const [recent] = await connection.execute(
+      `SELECT id, status,
+              TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, DATE_ADD(created_at, INTERVAL ? HOUR)) AS seconds_left
+       FROM data_exports
+       WHERE user_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [DATA_EXPORT.requestCooldownHours, userId]
+    );
+
+    if (recent.length > 0) {
+      const last = recent[0];
+
+      if (last.status === 'pending' || last.status === 'processing') {
+        return { status: 'in_progress', exportId: last.id };
+      }
+
+      // 실패한 요청은 바로 다시 요청할 수 있음
+      if (last.status !== 'failed' && last.seconds_left > 0) {
+        return { status: 'cooldown', exportId: last.id, retryAfter: Number(last.seconds_left) };
+      }
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO data_exports (user_id) VALUES (?)',
+      [userId]
+    );
+
+    return { status: 'created', exportId: result.insertId };
+  });
+}
+
+/**
+ * Get a data export of a user
+ * @param {number} userId - User ID
+ * @param {number} exportId - Export ID
+ * @returns {Promise<Object|null>} Export row or null
+ */
+export async function getDataExport(userId, exportId) {
+  const sql = `
+    SELECT ${EXPORT_COLUMNS}
+    FROM data_exports
+    WHERE id = ? AND user_id = ?
+  `;
+
+  const rows = await query(sql, [exportId, userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Get recent data exports of a user
+ * @param {number} userId - User ID
+ * @param {number} [limit=10] - Maximum number of exports
+ * @returns {Promise<Array>} Export rows, newest first
+ */
+export async function getDataExports(userId, limit = 10) {
+  const sql = `
+    SELECT ${EXPORT_COLUMNS}
+    FROM data_exports
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${parseInt(limit, 10)}
+  `;
+
+  return query(sql, [userId]);
+}
+
+/**
+ * Find a downloadable export by its download token
+ * @param {string} tokenHash - SHA-256 hash of the download token
+ * @returns {Promise<Object|null>} { id, user_id, file_name, file_size, created_at } or null if invalid/expired
+ */
+export async function getDownloadableExport(tokenHash) {
+  const sql = `
+    SELECT de.id, de.user_id, de.file_name, de.file_size, de.created_at
+    FROM data_exports de
+    JOIN users u ON u.id = de.user_id
+    WHERE de.download_token_hash = ?
+      AND de.status = 'completed'
+      AND de.expires_at > CURRENT_TIMESTAMP
+      AND u.deleted_at IS NULL
+  `;
+
+  const rows = await query(sql, [tokenHash]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Claim pending exports for processing
+ * 오래 멈춘 처리 중 요청은 서버 재시작 등으로 중단된 것으로 보고 다시 대기 상태로 돌립니다.
+ * @param {number} limit - Maximum number of exports
+ * @returns {Promise<Array>} Claimed exports { id, user_id, email }
+ */
+export async function claimPendingExports(limit) {
+  await query(
+    `UPDATE data_exports
+     SET status = 'pending', started_at = NULL
+     WHERE status = 'processing' AND started_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)`,
+    [DATA_EXPORT.staleProcessingMinutes]
+  );
+
+  const candidates = await query(
+    `SELECT de.id, de.user_id, u.email
+     FROM data_exports de
+     JOIN users u ON u.id = de.user_id
+     WHERE de.status = 'pending'
+     ORDER BY de.created_at, de.id
+     LIMIT ${parseInt(limit, 10)}`
+  );
+
+  const claimed = [];
+
+  for (const candidate of candidates) {
+    // 다른 작업이 먼저 가져간 요청은 건너뜀
+    const result = await query(
+      `UPDATE data_exports
+       SET status = 'processing', started_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [candidate.id]
+    );
+
+    if (result.affectedRows > 0) {
+      claimed.push(candidate);
+    }
+  }
+
+  return claimed;
+}
+
+/**
+ * Mark an export as completed and issue its download link
+ * @param {number} exportId - Export ID
+ * @param {Object} file - Generated archive
+ * @param {string} file.fileName - File name inside the exports directory
+ * @param {number} file.fileSize - File size in bytes
+ * @param {string} file.tokenHash - SHA-256 hash of the download token
+ * @returns {Promise<boolean>} Success status
+ */
+export async function completeDataExport(exportId, { fileName, fileSize, tokenHash }) {
+  const sql = `
+    UPDATE data_exports
+    SET status = 'completed',
+        file_name = ?,
+        file_size = ?,
+        download_token_hash = ?,
+        expires_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR),
+        completed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'processing'
+  `;
+
+  const result = await query(sql, [fileName, fileSize, tokenHash, DATA_EXPORT.downloadHours, exportId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Mark an export as failed
+ * @param {number} exportId - Export ID
+ * @param {string} message - Error message
+ * @returns {Promise<void>}
+ */
+export async function failDataExport(exportId, message) {
+  const sql = `
+    UPDATE data_exports
+    SET status = 'failed', error_message = ?, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'processing'
+  `;
+
+  await query(sql, [String(message).slice(0, 500), exportId]);
+}
+
+/**
+ * Get completed exports whose download period has ended
+ * @param {number} limit - Maximum number of exports
+ * @returns {Promise<Array>} { id, file_name }
+ */
+export async function getExpiredExports(limit) {
+  const sql = `
+    SELECT id, file_name
+    FROM data_exports
+    WHERE status = 'completed' AND expires_at <= CURRENT_TIMESTAMP
+    ORDER BY expires_at
+    LIMIT ${parseInt(limit, 10)}
+  `;
+
+  return query(sql);
+}
+
+/**
+ * Mark an export as expired (its file has been deleted)
+ * @param {number} exportId - Export ID
+ * @returns {Promise<void>}
+ */
+export async function expireDataExport(exportId) {
+  const sql = `
+    UPDATE data_exports
+    SET status = 'expired', download_token_hash = NULL
+    WHERE id = ?
+  `;
+
+  await query(sql, [exportId]);
+}
+
+/**
+ * Parse a JSON column that the driver may return as a string
+ * @param {*} value - Column value
+ * @returns {*} Parsed value
+ */
+function parseJsonColumn(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Collect everything stored about a user for the export archive
+ * 비밀번호 해시, 토큰/코드 해시, TOTP 시크릿 등 인증 비밀 값은 포함하지 않습니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Export data or null if the user does not exist
+ */
+export async function collectUserData(userId) {
+  const users = await query(
+    `SELECT id, uid, uid_changed_at, email, email_verified, username, username_changed_at,
+            display_name, real_name, birth_date, phone_number, phone_verified, phone_verified_at,
+            profile_image, cover_image, bio, pronouns, profile_links, profile_visibility,
+            is_private, follower_count, following_count, role, is_active, is_verified,
+            totp_enabled, totp_enabled_at, password_changed_at, created_at, updated_at, deleted_at
+     FROM users
+     WHERE id = ?`,
+    [userId]
+  );
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  const account = users[0];
+  account.profile_links = parseJsonColumn(account.profile_links);
+  account.profile_visibility = parseJsonColumn(account.profile_visibility);
+
+  const posts = await query(
+    `SELECT id, content, image_url, image_urls, location, is_deleted, created_at, updated_at, deleted_at
+     FROM posts
+     WHERE user_id = ?
+     ORDER BY created_at, id`,
+    [userId]
+  );
+  for (const post of posts) {
+    post.image_urls = parseJsonColumn(post.image_urls);
+  }
+
+  const comments = await query(
+    `SELECT id, post_id, parent_comment_id, content, is_deleted, created_at, updated_at, deleted_at
+     FROM comments
+     WHERE user_id = ?
+     ORDER BY created_at, id`,
+    [userId]
+  );
+
+  const likes = await query(
+    'SELECT post_id, created_at FROM likes WHERE user_id = ? ORDER BY created_at, id',
+    [userId]
+  );
+
+  const following = await query(
+    `SELECT u.id AS user_id, u.username, f.created_at
+     FROM follows f
+     JOIN users u ON u.id = f.following_id
+     WHERE f.follower_id = ?
+     ORDER BY f.created_at, f.id`,
+    [userId]
+  );
+
+  const followers = await query(
+    `SELECT u.id AS user_id, u.username, f.created_at
+     FROM follows f
+     JOIN users u ON u.id = f.follower_id
+     WHERE f.following_id = ?
+     ORDER BY f.created_at, f.id`,
+    [userId]
+  );
+
+  const followRequests = await query(
+    `SELECT fr.requester_id, fr.target_id, u.username AS other_username, fr.created_at
+     FROM follow_requests fr
+     JOIN users u ON u.id = IF(fr.requester_id = ?, fr.target_id, fr.requester_id)
+     WHERE fr.requester_id = ? OR fr.target_id = ?
+     ORDER BY fr.created_at, fr.id`,
+    [userId, userId, userId]
+  );
+
+  const blocks = await query(
+    `SELECT u.id AS user_id, u.username, b.created_at
+     FROM user_blocks b
+     JOIN users u ON u.id = b.blocked_id
+     WHERE b.blocker_id = ?
+     ORDER BY b.created_at, b.id`,
+    [userId]
+  );
+
+  const mutes = await query(
+    `SELECT u.id AS user_id, u.username, m.created_at
+     FROM user_mutes m
+     JOIN users u ON u.id = m.muted_id
+     WHERE m.muter_id = ?
+     ORDER BY m.created_at, m.id`,
+    [userId]
+  );
+
+  // 세션 = refresh token 패밀리, 패밀리별 마지막 토큰 기준 (토큰 값은 제외)
+  const sessions = await query(
+    `SELECT rt.family_id AS session_id, rt.device_label, rt.user_agent, rt.ip_address,
+            COALESCE(rt.session_created_at, rt.created_at) AS created_at,
+            rt.created_at AS last_seen_at, rt.expires_at, rt.is_revoked
+     FROM refresh_tokens rt
+     WHERE rt.user_id = ?
+       AND NOT EXISTS (
+         SELECT 1 FROM refresh_tokens newer
+         WHERE newer.family_id = rt.family_id AND newer.id > rt.id
+       )
+     ORDER BY created_at, rt.id`,
+    [userId]
+  );
+
+  const loginAttempts = await query(
+    `SELECT ip_address, success, created_at
+     FROM login_attempts
+     WHERE user_id = ?
+     ORDER BY created_at, id`,
+    [userId]
+  );
+
+  const apiKeys = await query(
+    `SELECT id, api_key AS prefix, platform, name, scopes, is_active, expires_at, last_used_at, revoked_at, created_at
+     FROM api_keys
+     WHERE user_id = ?
+     ORDER BY created_at, id`,
+    [userId]
+  );
+  for (const apiKey of apiKeys) {
+    apiKey.scopes = parseJsonColumn(apiKey.scopes);
+  }
+
+  const uidHistory = await query(
+    'SELECT old_uid, new_uid, created_at FROM uid_history WHERE user_id = ? ORDER BY created_at, id',
+    [userId]
+  );
+
+  const usernameHistory = await query(
+    'SELECT old_username, new_username, created_at FROM username_history WHERE user_id = ? ORDER BY created_at, id',
+    [userId]
+  );
+
+  const emailChanges = await query(
+    `SELECT old_email, new_email, created_at, confirmed_at, cancelled_at, undone_at
+     FROM email_change_requests
+     WHERE user_id = ?
+     ORDER BY created_at, id`,
+    [userId]
+  );
+
+  return {
+    account,
+    posts,
+    comments,
+    likes,
+    follows: {
+      following,
+      followers,
+      requests: followRequests.map((request) => ({
+        direction: request.requester_id === account.id ? 'sent' : 'received',
+        user_id: request.requester_id === account.id ? request.target_id : request.requester_id,
+        username: request.other_username,
+        created_at: request.created_at
+      }))
+    },
+    blocks,
+    mutes,
+    sessions,
+    login_attempts: loginAttempts,
+    api_keys: apiKeys,
+    uid_history: uidHistory,
+    username_history: usernameHistory,
+    email_changes: emailChanges
+  };
+}
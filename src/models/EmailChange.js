@@ -0,0 +1,200 @@
+/**
+ * Email Change Model
+ * Database operations for email_change_requests table
+ *
+ * 요청 → 새 주소 코드 확인(confirm) → 기존 주소의 되돌리기(undo) 순서로 진행됩니다.
+ * 확인 전까지 users.email은 바뀌지 않습니다.
+ */
+import { query, transaction } from '../config/database.js';
+import { compareCode } from '../utils/otp.js';
+import { EMAIL_CHANGE } from '../config/verification.js';
+
+/**
+ * Create an email change request (cancels earlier pending requests of the user)
+ * @param {Object} requestData - Request data
+ * @param {number} requestData.userId - User ID
+ * @param {string} requestData.oldEmail - Current email
+ * @param {string} requestData.newEmail - Requested new email
+ * @param {string} requestData.codeHash - Hashed confirmation code
+ * @returns {Promise<number>} Inserted request ID
+ */
+export async function createEmailChangeRequest({ userId, oldEmail, newEmail, codeHash }) {
+  return transaction(async (connection) => {
+    await connection.execute(
+      `UPDATE email_change_requests
+       SET cancelled_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+      [userId]
+    );
+
+    const [result] = await connection.execute(
+      `INSERT INTO email_change_requests (user_id, old_email, new_email, code_hash, expires_at)
+       VALUES (?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))`,
+      [userId, oldEmail, newEmail, codeHash, EMAIL_CHANGE.ttlMinutes]
+    );
+
+    return result.insertId;
+  });
+}
+
+/**
+ * Get the most recent email change request time of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Date|null>} Creation time or null
+ */
+export async function getLastEmailChangeRequestAt(userId) {
+  const sql = `
+    SELECT created_at
+    FROM email_change_requests
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0].created_at : null;
+}
+
+/**
+ * Get the pending (unconfirmed, not cancelled) request of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Request row or null
+ */
+export async function getPendingEmailChange(userId) {
+  const sql = `
+    SELECT id, old_email, new_email, code_hash, attempts, expires_at, created_at
+    FROM email_change_requests
+    WHERE user_id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL
+    ORDER BY id DESC
+    LIMIT 1
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Confirm the pending email change with the code sent to the new address
+ * @param {number} userId - User ID
+ * @param {string} code - Plain confirmation code
+ * @param {string} undoTokenHash - SHA-256 hash of the undo token for the old address
+ * @returns {Promise<Object>} { status, oldEmail, newEmail } - status: confirmed | invalid | expired | too_many_attempts | email_taken
+ */
+export async function confirmEmailChange(userId, code, undoTokenHash) {
+  const pending = await getPendingEmailChange(userId);
+
+  if (!pending) {
+    return { status: 'invalid' };
+  }
+
+  if (new Date(pending.expires_at) <= new Date()) {
+    return { status: 'expired' };
+  }
+
+  const attempt = await query(
+    `UPDATE email_change_requests
+     SET attempts = attempts + 1
+     WHERE id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL AND attempts < ?`,
+    [pending.id, EMAIL_CHANGE.maxAttempts]
+  );
+
+  if (attempt.affectedRows === 0) {
+    return { status: 'too_many_attempts' };
+  }
+
+  if (!(await compareCode(code, pending.code_hash))) {
+    return { status: 'invalid' };
+  }
+
+  try {
+    return await transaction(async (connection) => {
+      const [claimed] = await connection.execute(
+        `UPDATE email_change_requests
+         SET confirmed_at = CURRENT_TIMESTAMP,
+             undo_token_hash = ?,
+             undo_expires_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR)
+         WHERE id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+        [undoTokenHash, EMAIL_CHANGE.undoHours, pending.id]
+      );
+
+      if (claimed.affectedRows === 0) {
+        return { status: 'invalid' };
+      }
+
+      // 요청 이후 이메일이 이미 바뀌었다면 무효
+      const [updated] = await connection.execute(
+        `UPDATE users
+         SET email = ?, email_verified = TRUE, email_verification_code = NULL
+         WHERE id = ? AND email = ? AND deleted_at IS NULL`,
+        [pending.new_email, userId, pending.old_email]
+      );
+
+      if (updated.affectedRows === 0) {
+        throw Object.assign(new Error('Email changed since request'), { code: 'EMAIL_CHANGED' });
+      }
+
+      return { status: 'confirmed', oldEmail: pending.old_email, newEmail: pending.new_email };
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { status: 'email_taken' };
+    }
+    if (error.code === 'EMAIL_CHANGED') {
+      return { status: 'invalid' };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restore the old email from the undo link
+ * @param {string} undoTokenHash - SHA-256 hash of the undo token
+ * @returns {Promise<Object>} { status, userId, oldEmail } - status: undone | invalid | expired | email_taken
+ */
+export async function undoEmailChange(undoTokenHash) {
+  try {
+    return await transaction(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT id, user_id, old_email, new_email, undo_expires_at
+         FROM email_change_requests
+         WHERE undo_token_hash = ? AND undone_at IS NULL
+         FOR UPDATE`,
+        [undoTokenHash]
+      );
+
+      if (rows.length === 0) {
+        return { status: 'invalid' };
+      }
+
+      const change = rows[0];
+
+      if (new Date(change.undo_expires_at) <= new Date()) {
+        return { status: 'expired' };
+      }
+
+      // 이후 다시 변경된 경우에는 되돌리지 않음
+      const [restored] = await connection.execute(
+        `UPDATE users
+         SET email = ?, email_verified = TRUE
+         WHERE id = ? AND email = ? AND deleted_at IS NULL`,
+        [change.old_email, change.user_id, change.new_email]
+      );
+
+      if (restored.affectedRows === 0) {
+        return { status: 'invalid' };
+      }
+
+      await connection.execute(
+        'UPDATE email_change_requests SET undone_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [change.id]
+      );
+
+      return { status: 'undone', userId: change.user_id, oldEmail: change.old_email };
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { status: 'email_taken' };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,431 @@
+/**
+ * Follow Model
+ * Database operations for follows and follow_requests tables
+ *
+ * users.follower_count / following_count는 follows 행 추가/삭제와 같은 트랜잭션에서 증감합니다.
+ * 두 사용자 행을 잠근 뒤 follows 행이 실제로 바뀐 경우에만 카운터를 움직이므로 동시 요청에도 어긋나지 않습니다.
+ *
+ * 비공개 계정(users.is_private)은 팔로우 대신 follow_requests에 요청을 만들고, 승인 시 follows로 옮깁니다.
+ */
+import { query, transaction } from '../config/database.js';
+import { buildHiddenUsersFilter } from '../utils/hiddenUsers.js';
+import { hasRole } from '../utils/roles.js';
+
+/**
+ * Lock both user rows in ID order
+ * follows 외래 키 검사가 users 행에 공유 잠금을 걸기 때문에, 서로 팔로우하는 동시 요청이
+ * 교착 상태에 빠지지 않도록 카운터를 바꿀 두 행을 먼저 같은 순서로 잠급니다.
+ * @param {Object} connection - Transaction connection
+ * @param {number} followerId - User who follows
+ * @param {number} followingId - User being followed
+ * @returns {Promise<Array>} Locked rows (id, is_active, is_private, deleted_at)
+ */
+async function lockFollowUsers(connection, followerId, followingId) {
+  const [rows] = await connection.execute(
+    'SELECT id, is_active, is_private, deleted_at FROM users WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+    [followerId, followingId]
+  );
+  return rows;
+}
+
+/**
+ * Adjust follower/following counters of both users
+ * @param {Object} connection - Transaction connection
+ * @param {number} followerId - User who follows
+ * @param {number} followingId - User being followed
+ * @param {number} delta - +1 or -1
+ * @returns {Promise<void>}
+ */
+async function adjustFollowCounts(connection, followerId, followingId, delta) {
+  if (delta > 0) {
+    await connection.execute('UPDATE users SET following_count = following_count + 1 WHERE id = ?', [followerId]);
+    await connection.execute('UPDATE users SET follower_count = follower_count + 1 WHERE id = ?', [followingId]);
+  } else {
+    await connection.execute('UPDATE users SET following_count = following_count - 1 WHERE id = ? AND following_count > 0', [followerId]);
+    await connection.execute('UPDATE users SET follower_count = follower_count - 1 WHERE id = ? AND follower_count > 0', [followingId]);
+  }
+}
+
+/**
+ * Insert a follow and update counters (users must already be locked)
+ * @param {Object} connection - Transaction connection
+ * @param {number} followerId - User who follows
+ * @param {number} followingId - User being followed
+ * @returns {Promise<boolean>} True if the follow was created
+ */
+async function insertFollow(connection, followerId, followingId) {
+  const [result] = await connection.execute(
+    'INSERT IGNORE INTO follows (follower_id, following_id) VALUES (?, ?)',
+    [followerId, followingId]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await adjustFollowCounts(connection, followerId, followingId, 1);
+  return true;
+}
+
+/**
+ * Follow a user, or request to follow a private account
+ * @param {number} followerId - User who follows
+ * @param {number} followingId - User to follow
+ * @returns {Promise<string|null>} 'followed', 'already_following' or 'requested';
+ *   null if the target does not exist or a block exists
+ */
+export async function followUser(followerId, followingId) {
+  return transaction(async (connection) => {
+    const users = await lockFollowUsers(connection, followerId, followingId);
+    const target = users.find((user) => user.id === followingId);
+
+    if (!target || !target.is_active || target.deleted_at) {
+      return null;
+    }
+
+    // 어느 쪽이든 차단 관계가 있으면 팔로우 불가 (존재 여부를 드러내지 않도록 미존재와 동일하게 처리)
+    const [blocks] = await connection.execute(
+      `SELECT 1 FROM user_blocks
+       WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+       LIMIT 1`,
+      [followerId, followingId, followingId, followerId]
+    );
+
+    if (blocks.length > 0) {
+      return null;
+    }
+
+    if (target.is_private) {
+      const [existing] = await connection.execute(
+        'SELECT 1 FROM follows WHERE follower_id = ? AND following_id = ?',
+        [followerId, followingId]
+      );
+
+      if (existing.length > 0) {
+        return 'already_following';
+      }
+
+      await connection.execute(
+        'INSERT IGNORE INTO follow_requests (requester_id, target_id) VALUES (?, ?)',
+        [followerId, followingId]
+      );
+      return 'requested';
+    }
+
+    return (await insertFollow(connection, followerId, followingId)) ? 'followed' : 'already_following';
+  });
+}
+
+/**
+ * Unfollow a user (also cancels a pending follow request)
+ * @param {number} followerId - User who follows
+ * @param {number} followingId - User to unfollow
+ * @returns {Promise<boolean>} True if a follow or request was removed
+ */
+export async function unfollowUser(followerId, followingId) {
+  return transaction(async (connection) => {
+    await lockFollowUsers(connection, followerId, followingId);
+
+    const [request] = await connection.execute(
+      'DELETE FROM follow_requests WHERE requester_id = ? AND target_id = ?',
+      [followerId, followingId]
+    );
+
+    const [result] = await connection.execute(
+      'DELETE FROM follows WHERE follower_id = ? AND following_id = ?',
+      [followerId, followingId]
+    );
+
+    if (result.affectedRows === 0) {
+      return request.affectedRows > 0;
+    }
+
+    await adjustFollowCounts(connection, followerId, followingId, -1);
+    return true;
+  });
+}
+
+/**
+ * Approve a pending follow request
+ * @param {number} targetId - Private account owner
+ * @param {number} requestId - follow_requests.id
+ * @returns {Promise<number|null>} Requester user ID, or null if the request does not exist
+ */
+export async function approveFollowRequest(targetId, requestId) {
+  const requests = await query(
+    'SELECT requester_id FROM follow_requests WHERE id = ? AND target_id = ?',
+    [requestId, targetId]
+  );
+
+  if (requests.length === 0) {
+    return null;
+  }
+
+  const requesterId = requests[0].requester_id;
+
+  return transaction(async (connection) => {
+    await lockFollowUsers(connection, requesterId, targetId);
+
+    // 동시에 취소/거절된 요청은 승인하지 않음
+    const [deleted] = await connection.execute(
+      'DELETE FROM follow_requests WHERE id = ? AND target_id = ?',
+      [requestId, targetId]
+    );
+
+    if (deleted.affectedRows === 0) {
+      return null;
+    }
+
+    await insertFollow(connection, requesterId, targetId);
+    return requesterId;
+  });
+}
+
+/**
+ * Reject a pending follow request
+ * @param {number} targetId - Private account owner
+ * @param {number} requestId - follow_requests.id
+ * @returns {Promise<boolean>} True if the request was removed
+ */
+export async function rejectFollowRequest(targetId, requestId) {
+  const result = await query(
+    'DELETE FROM follow_requests WHERE id = ? AND target_id = ?',
+    [requestId, targetId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Approve every pending request of an account (used when it becomes public)
+ * @param {number} targetId - Account owner
+ * @returns {Promise<number>} Number of approved requests
+ */
+export async function approveAllFollowRequests(targetId) {
+  const requests = await query(
+    'SELECT id FROM follow_requests WHERE target_id = ? ORDER BY id',
+    [targetId]
+  );
+
+  let approved = 0;
+  for (const request of requests) {
+    if (await approveFollowRequest(targetId, request.id)) {
+      approved += 1;
+    }
+  }
+  return approved;
+}
+
+/**
+ * Remove follows and follow requests in both directions between two users (used when blocking)
+ * 호출 측 트랜잭션 안에서 두 사용자 행을 잠그고 카운터를 함께 조정합니다.
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @param {number} otherUserId - Other user ID
+ * @returns {Promise<Array>} Locked user rows (id, is_active, is_private, deleted_at)
+ */
+export async function removeFollowsBetween(connection, userId, otherUserId) {
+  const users = await lockFollowUsers(connection, userId, otherUserId);
+
+  for (const [followerId, followingId] of [[userId, otherUserId], [otherUserId, userId]]) {
+    const [result] = await connection.execute(
+      'DELETE FROM follows WHERE follower_id = ? AND following_id = ?',
+      [followerId, followingId]
+    );
+
+    if (result.affectedRows > 0) {
+      await adjustFollowCounts(connection, followerId, followingId, -1);
+    }
+  }
+
+  await connection.execute(
+    `DELETE FROM follow_requests
+     WHERE (requester_id = ? AND target_id = ?) OR (requester_id = ? AND target_id = ?)`,
+    [userId, otherUserId, otherUserId, userId]
+  );
+
+  return users;
+}
+
+/**
+ * Get the follow relationship between a viewer and another user
+ * @param {number} viewerId - Viewing user
+ * @param {number} userId - Other user
+ * @returns {Promise<Object>} { is_following, is_followed_by, is_mutual, is_requested }
+ */
+export async function getFollowRelation(viewerId, userId) {
+  const rows = await query(
+    `SELECT follower_id FROM follows
+     WHERE (follower_id = ? AND following_id = ?) OR (follower_id = ? AND following_id = ?)`,
+    [viewerId, userId, userId, viewerId]
+  );
+  const requests = await query(
+    'SELECT 1 FROM follow_requests WHERE requester_id = ? AND target_id = ?',
+    [viewerId, userId]
+  );
+
+  const isFollowing = rows.some((row) => row.follower_id === viewerId);
+  const isFollowedBy = rows.some((row) => row.follower_id === userId);
+
+  return {
+    is_following: isFollowing,
+    is_followed_by: isFollowedBy,
+    is_mutual: isFollowing && isFollowedBy,
+    is_requested: requests.length > 0
+  };
+}
+
+/**
+ * Check whether a private account's content is locked for a viewer
+ * 본인, 관리자, 승인된 팔로워만 비공개 계정의 게시물/팔로우 목록을 볼 수 있습니다.
+ * @param {Object} user - User row (id, is_private)
+ * @param {Object|null} viewer - request.user (or null for anonymous)
+ * @returns {Promise<boolean>} True if only a locked placeholder may be shown
+ */
+export async function isContentLocked(user, viewer) {
+  if (!user.is_private) {
+    return false;
+  }
+  if (viewer && (viewer.id === user.id || hasRole(viewer.role, 'admin'))) {
+    return false;
+  }
+  if (!viewer) {
+    return true;
+  }
+
+  const rows = await query(
+    'SELECT 1 FROM follows WHERE follower_id = ? AND following_id = ?',
+    [viewer.id, user.id]
+  );
+  return rows.length === 0;
+}
+
+/**
+ * List followers or followed users, newest follow first
+ * @param {string} direction - 'followers' (who follows userId) or 'following' (whom userId follows)
+ * @param {number} userId - List owner
+ * @param {Object} [options] - Pagination and viewer options
+ * @param {number} [options.limit=20] - Page size (one extra row is fetched to detect more results)
+ * @param {number|null} [options.afterId] - follows.id of the last item on the previous page
+ * @param {number|null} [options.viewerId] - Viewer for is_following (users blocked either way are excluded)
+ * @returns {Promise<Array>} User rows with follow_id, followed_at, is_mutual and is_following
+ */
+async function listFollows(direction, userId, { limit = 20, afterId = null, viewerId = null } = {}) {
+  // followers: 목록의 사용자 = follower_id, following: 목록의 사용자 = following_id
+  const ownerColumn = direction === 'followers' ? 'following_id' : 'follower_id';
+  const otherColumn = direction === 'followers' ? 'follower_id' : 'following_id';
+
+  // is_mutual: 목록 주인과 서로 팔로우하는 관계인지
+  // 조회자와 차단 관계인 사용자는 목록에서 제외
+  const hidden = buildHiddenUsersFilter('u.id', viewerId);
+  const params = [userId, viewerId || 0, userId, ...hidden.params];
+  let cursorCondition = '';
+  if (afterId) {
+    cursorCondition = 'AND f.id < ?';
+    params.push(afterId);
+  }
+
+  const sql = `
+    SELECT
+      f.id AS follow_id, f.created_at AS followed_at,
+      u.id, u.email, u.username, u.display_name, u.profile_image, u.bio, u.profile_visibility,
+      u.pronouns, u.cover_image, u.profile_links,
+      u.real_name, u.birth_date, u.phone_number, u.uid, u.is_private,
+      u.follower_count, u.following_count, u.is_verified, u.created_at,
+      EXISTS (
+        SELECT 1 FROM follows back
+        WHERE back.${ownerColumn} = u.id AND back.${otherColumn} = ?
+      ) AS is_mutual,
+      EXISTS (
+        SELECT 1 FROM follows mine
+        WHERE mine.follower_id = ? AND mine.following_id = u.id
+      ) AS is_following
+    FROM follows f
+    JOIN users u ON u.id = f.${otherColumn}
+    WHERE f.${ownerColumn} = ?
+      AND u.deleted_at IS NULL
+      ${hidden.sql}
+      ${cursorCondition}
+    ORDER BY f.id DESC
+    LIMIT ${parseInt(limit, 10) + 1}
+  `;
+
+  return query(sql, params);
+}
+
+/**
+ * List users who follow a user
+ * @param {number} userId - User ID
+ * @param {Object} [options] - See listFollows
+ * @returns {Promise<Array>} Follower rows
+ */
+export async function getFollowers(userId, options) {
+  return listFollows('followers', userId, options);
+}
+
+/**
+ * List users a user follows
+ * @param {number} userId - User ID
+ * @param {Object} [options] - See listFollows
+ * @returns {Promise<Array>} Followed user rows
+ */
+export async function getFollowing(userId, options) {
+  return listFollows('following', userId, options);
+}
+
+/**
+ * List pending follow requests, newest first
+ * @param {string} direction - 'incoming' (requests to userId) or 'outgoing' (requests by userId)
+ * @param {number} userId - List owner
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit=20] - Page size (one extra row is fetched to detect more results)
+ * @param {number|null} [options.afterId] - follow_requests.id of the last item on the previous page
+ * @returns {Promise<Array>} User rows of the other side with request_id and requested_at
+ */
+async function listFollowRequests(direction, userId, { limit = 20, afterId = null } = {}) {
+  const ownerColumn = direction === 'incoming' ? 'target_id' : 'requester_id';
+  const otherColumn = direction === 'incoming' ? 'requester_id' : 'target_id';
+
+  const params = [userId];
+  let cursorCondition = '';
+  if (afterId) {
+    cursorCondition = 'AND r.id < ?';
+    params.push(afterId);
+  }
+
+  const sql = `
+    SELECT
+      r.id AS request_id, r.created_at AS requested_at,
+      u.id, u.email, u.username, u.display_name, u.profile_image, u.bio, u.profile_visibility,
+      u.pronouns, u.cover_image, u.profile_links,
+      u.real_name, u.birth_date, u.phone_number, u.uid, u.is_private,
+      u.follower_count, u.following_count, u.is_verified, u.created_at
+    FROM follow_requests r
+    JOIN users u ON u.id = r.${otherColumn}
+    WHERE r.${ownerColumn} = ? AND u.deleted_at IS NULL
+      ${cursorCondition}
+    ORDER BY r.id DESC
+    LIMIT ${parseInt(limit, 10) + 1}
+  `;
+
+  return query(sql, params);
+}
+
+/**
+ * List follow requests received by a private account
+ * @param {number} userId - User ID
+ * @param {Object} [options] - See listFollowRequests
+ * @returns {Promise<Array>} Requester rows
+ */
+export async function getIncomingFollowRequests(userId, options) {
+  return listFollowRequests('incoming', userId, options);
+}
+
+/**
+ * List follow requests sent by a user
+ * @param {number} userId - User ID
+ * @param {Object} [options] - See listFollowRequests
+ * @returns {Promise<Array>} Target user rows
+ */
+export async function getOutgoingFollowRequests(userId, options) {
+  return listFollowRequests('outgoing', userId, options);
+}
@@ -0,0 +1,236 @@
+/**
+ * Login Security Model
+ * Failed login tracking, account lockout and lockout events
+ */
+import { query } from '../config/database.js';
+import { LOGIN_PROTECTION } from '../config/security.js';
+
+/**
+ * Delay required before the next login attempt
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @returns {number} Delay in seconds (0 if no delay)
+ */
+export function getLoginDelaySeconds(failedAttempts) {
+  if (failedAttempts < LOGIN_PROTECTION.delayAfterFailures) {
+    return 0;
+  }
+
+  const exponent = failedAttempts - LOGIN_PROTECTION.delayAfterFailures;
+  return Math.min(2 ** exponent, LOGIN_PROTECTION.maxDelaySeconds);
+}
+
+/**
+ * Record a login attempt
+ * @param {Object} attempt - Attempt data
+ * @param {number|null} attempt.userId - Matched user ID (null if none)
+ * @param {string} attempt.identifier - Submitted login ID
+ * @param {string} attempt.ipAddress - Client IP
+ * @param {boolean} attempt.success - Whether the login succeeded
+ * @returns {Promise<void>}
+ */
+export async function recordLoginAttempt({ userId = null, identifier, ipAddress, success }) {
+  const sql = `
+    INSERT INTO login_attempts (user_id, identifier, ip_address, success)
+    VALUES (?, ?, ?, ?)
+  `;
+
+  await query(sql, [userId, identifier.slice(0, 255), ipAddress, success]);
+}
+
+/**
+ * Count recent failed login attempts from an IP
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<number>} Failed attempts within the IP window
+ */
+export async function countRecentFailedLoginsByIp(ipAddress) {
+  const sql = `
+    SELECT COUNT(*) AS count
+    FROM login_attempts
+    WHERE ip_address = ?
+      AND success = FALSE
+      AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+  `;
+
+  const rows = await query(sql, [ipAddress, LOGIN_PROTECTION.ipWindowMinutes]);
+  return Number(rows[0].count);
+}
+
+/**
+ * Get login protection state of a user
+ * 탈퇴 유예 기간 중인 계정도 포함합니다 (로그인으로 복구 가능).
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { failed_login_attempts, last_failed_login_at, locked_until } or null
+ */
+export async function getLoginState(userId) {
+  const sql = `
+    SELECT failed_login_attempts, last_failed_login_at, locked_until
+    FROM users
+    WHERE id = ?
+      AND (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Reserve a credential check before comparing the password or code
+ * 잠금/대기 시간 확인과 실패 카운터 증가를 한 번의 UPDATE로 처리합니다.
+ * 시도는 먼저 실패로 집계되고 성공하면 resetLoginFailures로 되돌리므로,
+ * 동시에 들어온 요청이 같은 대기 시간을 함께 통과할 수 없습니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if the attempt may proceed
+ */
+export async function reserveLoginAttempt(userId) {
+  const sql = `
+    UPDATE users
+    SET failed_login_attempts = failed_login_attempts + 1,
+        last_failed_login_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+      AND (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+      AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+      AND (
+        failed_login_attempts < ?
+        OR last_failed_login_at IS NULL
+        OR last_failed_login_at <= DATE_SUB(
+          CURRENT_TIMESTAMP,
+          INTERVAL LEAST(POW(2, CAST(failed_login_attempts AS SIGNED) - ?), ?) SECOND
+        )
+      )
+  `;
+
+  const result = await query(sql, [
+    userId,
+    LOGIN_PROTECTION.delayAfterFailures,
+    LOGIN_PROTECTION.delayAfterFailures,
+    LOGIN_PROTECTION.maxDelaySeconds
+  ]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Lock an account until the given time, unless it is already locked
+ * @param {number} userId - User ID
+ * @param {Object} lock - Lock data
+ * @param {Date} lock.lockedUntil - Lock expiry
+ * @param {string} lock.unlockTokenHash - SHA-256 hash of the email unlock token
+ * @param {Date} lock.unlockTokenExpiresAt - Unlock token expiry
+ * @returns {Promise<boolean>} True if this call locked the account
+ */
+export async function lockAccount(userId, { lockedUntil, unlockTokenHash, unlockTokenExpiresAt }) {
+  const sql = `
+    UPDATE users
+    SET locked_until = ?,
+        unlock_token_hash = ?,
+        unlock_token_expires_at = ?,
+        failed_login_attempts = 0
+    WHERE id = ?
+      AND (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+      AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+  `;
+
+  const result = await query(sql, [lockedUntil, unlockTokenHash, unlockTokenExpiresAt, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Set a new unlock token for a locked account
+ * @param {number} userId - User ID
+ * @param {string} unlockTokenHash - SHA-256 hash of the unlock token
+ * @param {Date} expiresAt - Unlock token expiry
+ * @returns {Promise<boolean>} True if the account is locked and the token was stored
+ */
+export async function setUnlockToken(userId, unlockTokenHash, expiresAt) {
+  const sql = `
+    UPDATE users
+    SET unlock_token_hash = ?, unlock_token_expires_at = ?
+    WHERE id = ? AND locked_until > CURRENT_TIMESTAMP
+  `;
+
+  const result = await query(sql, [unlockTokenHash, expiresAt, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Clear failure counter and lock (successful login, password reset)
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function resetLoginFailures(userId) {
+  await query(`
+    UPDATE users
+    SET failed_login_attempts = 0,
+        last_failed_login_at = NULL,
+        locked_until = NULL,
+        unlock_token_hash = NULL,
+        unlock_token_expires_at = NULL
+    WHERE id = ?
+  `, [userId]);
+}
+
+/**
+ * Unlock an account with an email unlock token
+ * @param {string} unlockTokenHash - SHA-256 hash of the unlock token
+ * @returns {Promise<number|null>} Unlocked user ID or null if the token is invalid
+ */
+export async function unlockAccountByToken(unlockTokenHash) {
+  const rows = await query(`
+    SELECT id
+    FROM users
+    WHERE unlock_token_hash = ?
+      AND unlock_token_expires_at > CURRENT_TIMESTAMP
+      AND (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+  `, [unlockTokenHash]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const result = await query(`
+    UPDATE users
+    SET failed_login_attempts = 0,
+        last_failed_login_at = NULL,
+        locked_until = NULL,
+        unlock_token_hash = NULL,
+        unlock_token_expires_at = NULL
+    WHERE id = ? AND unlock_token_hash = ?
+  `, [rows[0].id, unlockTokenHash]);
+
+  return result.affectedRows > 0 ? rows[0].id : null;
+}
+
+/**
+ * Record a lockout event
+ * @param {Object} event - Event data
+ * @param {number} event.userId - User ID
+ * @param {string} event.eventType - 'locked' | 'unlocked' | 'unlock_requested'
+ * @param {string} [event.reason] - Human readable reason
+ * @param {string} [event.ipAddress] - Client IP
+ * @returns {Promise<void>}
+ */
+export async function recordLockoutEvent({ userId, eventType, reason = null, ipAddress = null }) {
+  const sql = `
+    INSERT INTO account_lockout_events (user_id, event_type, reason, ip_address)
+    VALUES (?, ?, ?, ?)
+  `;
+
+  await query(sql, [userId, eventType, reason, ipAddress]);
+}
+
+/**
+ * Get lockout events of a user (newest first)
+ * @param {number} userId - User ID
+ * @param {number} [limit=50] - Max rows
+ * @returns {Promise<Array>} Lockout events
+ */
+export async function getLockoutEvents(userId, limit = 50) {
+  const sql = `
+    SELECT id, event_type, reason, ip_address, created_at
+    FROM account_lockout_events
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${parseInt(limit, 10)}
+  `;
+
+  return query(sql, [userId]);
+}
@@ -0,0 +1,93 @@
+/**
+ * Password Reset Token Model
+ * Database operations for password_reset_tokens table
+ */
+import { query, transaction } from '../config/database.js';
+
+/**
+ * Create a password reset token (invalidates earlier unused tokens of the user)
+ * @param {Object} tokenData - Token data
+ * @param {number} tokenData.userId - User ID
+ * @param {string} tokenData.tokenHash - SHA-256 hash of the token
+ * @param {Date} tokenData.expiresAt - Expiration time
+ * @param {string} [tokenData.requestedIp] - Requesting IP address
+ * @returns {Promise<number>} Inserted token ID
+ */
+export async function createPasswordResetToken({ userId, tokenHash, expiresAt, requestedIp = null }) {
+  return transaction(async (connection) => {
+    await connection.execute(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [userId]
+    );
+
+    const [result] = await connection.execute(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES (?, ?, ?, ?)`,
+      [userId, tokenHash, expiresAt, requestedIp]
+    );
+
+    return result.insertId;
+  });
+}
+
+/**
+ * Get the most recent reset token creation time of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Date|null>} Creation time or null
+ */
+export async function getLastPasswordResetRequestAt(userId) {
+  const sql = `
+    SELECT created_at
+    FROM password_reset_tokens
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0].created_at : null;
+}
+
+/**
+ * Consume a reset token and set the new password in one transaction
+ * 비밀번호 변경이 실패하면 토큰도 사용되지 않은 상태로 남습니다.
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {string} passwordHash - New bcrypt hash
+ * @returns {Promise<number|null>} User ID, or null if the token is invalid, used or expired
+ */
+export async function consumePasswordResetToken(tokenHash, passwordHash) {
+  return transaction(async (connection) => {
+    const [rows] = await connection.execute(
+      `SELECT id, user_id
+       FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [tokenHash]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const [updated] = await connection.execute(
+      `UPDATE users
+       SET password_hash = ?,
+           password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND deleted_at IS NULL`,
+      [passwordHash, rows[0].user_id]
+    );
+
+    if (updated.affectedRows === 0) {
+      return null;
+    }
+
+    await connection.execute(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [rows[0].id]
+    );
+
+    return rows[0].user_id;
+  });
+}
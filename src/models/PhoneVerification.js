@@ -0,0 +1,159 @@
+/**
+ * Phone Verification Model
+ * Database operations for phone_verification_codes table and users.phone_verified
+ *
+ * 인증 코드는 bcrypt 해시로만 저장합니다.
+ * 발송 기록은 rate limit 계산에도 사용됩니다.
+ */
+import { query, transaction } from '../config/database.js';
+import { compareCode } from '../utils/otp.js';
+import { PHONE_VERIFICATION } from '../config/verification.js';
+
+/**
+ * Store a new verification code (earlier unused codes for the user are invalidated)
+ * @param {Object} codeData - Code data
+ * @param {number} codeData.userId - User ID
+ * @param {string} codeData.phoneNumber - Phone number the code was sent to
+ * @param {string} codeData.codeHash - Hashed code
+ * @param {string} [codeData.ipAddress] - Requesting IP address
+ * @returns {Promise<number>} Inserted code ID
+ */
+export async function createPhoneVerificationCode({ userId, phoneNumber, codeHash, ipAddress = null }) {
+  return transaction(async (connection) => {
+    await connection.execute(
+      `UPDATE phone_verification_codes
+       SET consumed_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND consumed_at IS NULL`,
+      [userId]
+    );
+
+    const [result] = await connection.execute(
+      `INSERT INTO phone_verification_codes (user_id, phone_number, code_hash, expires_at, ip_address)
+       VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE), ?)`,
+      [userId, phoneNumber, codeHash, PHONE_VERIFICATION.ttlMinutes, ipAddress]
+    );
+
+    return result.insertId;
+  });
+}
+
+/**
+ * Get send statistics used for rate limiting
+ * @param {number} userId - User ID
+ * @param {string} phoneNumber - Target phone number
+ * @param {string} ipAddress - Requesting IP address
+ * @returns {Promise<Object>} { last_sent_at, sent_to_number_today, sent_from_ip_last_hour }
+ */
+export async function getPhoneVerificationSendStats(userId, phoneNumber, ipAddress) {
+  const sql = `
+    SELECT
+      (SELECT MAX(created_at) FROM phone_verification_codes WHERE user_id = ?) AS last_sent_at,
+      (SELECT COUNT(*) FROM phone_verification_codes
+        WHERE phone_number = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)) AS sent_to_number_today,
+      (SELECT COUNT(*) FROM phone_verification_codes
+        WHERE ip_address = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 HOUR)) AS sent_from_ip_last_hour
+  `;
+
+  const rows = await query(sql, [userId, phoneNumber, ipAddress]);
+  return rows[0];
+}
+
+/**
+ * Check whether a phone number is already verified by another account
+ * @param {string} phoneNumber - Phone number
+ * @param {number} [excludeUserId] - User ID to ignore
+ * @returns {Promise<boolean>} True if taken
+ */
+export async function isPhoneNumberVerifiedByOther(phoneNumber, excludeUserId = 0) {
+  const sql = `
+    SELECT 1 FROM users
+    WHERE phone_number = ? AND phone_verified = TRUE AND id != ? AND deleted_at IS NULL
+    LIMIT 1
+  `;
+
+  const rows = await query(sql, [phoneNumber, excludeUserId]);
+  return rows.length > 0;
+}
+
+/**
+ * Verify the latest phone code of a user
+ * 성공하면 코드의 번호를 사용자 번호로 확정하고, 같은 번호를 미인증 상태로
+ * 점유하고 있던 다른 계정에서는 번호를 해제합니다.
+ * @param {number} userId - User ID
+ * @param {string} code - Plain code entered by the user
+ * @returns {Promise<Object>} { status, phoneNumber } - status: verified | invalid | expired | too_many_attempts | phone_taken
+ */
+export async function verifyPhoneCode(userId, code) {
+  const rows = await query(
+    `SELECT id, phone_number, code_hash, attempts, expires_at
+     FROM phone_verification_codes
+     WHERE user_id = ? AND consumed_at IS NULL
+     ORDER BY id DESC
+     LIMIT 1`,
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return { status: 'invalid' };
+  }
+
+  const pending = rows[0];
+
+  if (new Date(pending.expires_at) <= new Date()) {
+    return { status: 'expired' };
+  }
+
+  // 시도 횟수를 먼저 차감 (동시 요청으로 제한을 우회하지 못하도록)
+  const attempt = await query(
+    `UPDATE phone_verification_codes
+     SET attempts = attempts + 1
+     WHERE id = ? AND consumed_at IS NULL AND attempts < ?`,
+    [pending.id, PHONE_VERIFICATION.maxAttempts]
+  );
+
+  if (attempt.affectedRows === 0) {
+    return { status: 'too_many_attempts' };
+  }
+
+  if (!(await compareCode(code, pending.code_hash))) {
+    return { status: 'invalid' };
+  }
+
+  return transaction(async (connection) => {
+    const [consumed] = await connection.execute(
+      'UPDATE phone_verification_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = ? AND consumed_at IS NULL',
+      [pending.id]
+    );
+
+    if (consumed.affectedRows === 0) {
+      return { status: 'invalid' };
+    }
+
+    const [taken] = await connection.execute(
+      `SELECT id FROM users
+       WHERE phone_number = ? AND phone_verified = TRUE AND id != ? AND deleted_at IS NULL
+       LIMIT 1 FOR UPDATE`,
+      [pending.phone_number, userId]
+    );
+
+    if (taken.length > 0) {
+      return { status: 'phone_taken' };
+    }
+
+    await connection.execute(
+      `UPDATE users
+       SET phone_number = NULL
+       WHERE phone_number = ? AND phone_verified = FALSE AND id != ?`,
+      [pending.phone_number, userId]
+    );
+
+    await connection.execute(
+      `UPDATE users
+       SET phone_number = ?, phone_verified = TRUE, phone_verified_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND deleted_at IS NULL`,
+      [pending.phone_number, userId]
+    );
+
+    return { status: 'verified', phoneNumber: pending.phone_number };
+  });
+}
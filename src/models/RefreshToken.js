@@ -0,0 +1,191 @@
+/**
+ * Refresh Token Model
+ * Database operations for refresh_tokens table
+ *
+ * 토큰 원문은 저장하지 않고 SHA-256 해시만 저장합니다.
+ * 하나의 로그인에서 회전(rotation)된 토큰들은 같은 family_id를 공유합니다.
+ * family_id가 곧 세션(기기) ID이며, 세션마다 폐기되지 않은 토큰은 최대 1개입니다.
+ */
+import { query, transaction } from '../config/database.js';
+
+/**
+ * Store a new refresh token
+ * @param {Object} tokenData - Token data
+ * @param {number} tokenData.userId - User ID
+ * @param {string} tokenData.familyId - Token family ID
+ * @param {string} tokenData.tokenHash - Hashed refresh token
+ * @param {Date} tokenData.expiresAt - Expiration time
+ * @param {Object} [tokenData.client] - Client metadata ({ userAgent, ipAddress, deviceLabel })
+ * @returns {Promise<number>} Inserted token ID
+ */
+export async function createRefreshToken({ userId, familyId, tokenHash, expiresAt, client = {} }) {
+  const sql = `
+    INSERT INTO refresh_tokens (
+      user_id, family_id, session_created_at, device_label, user_agent, ip_address, token, expires_at
+    )
+    VALUES (?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?)
+  `;
+
+  const result = await query(sql, [
+    userId,
+    familyId,
+    client.deviceLabel || null,
+    client.userAgent || null,
+    client.ipAddress || null,
+    tokenHash,
+    expiresAt
+  ]);
+  return result.insertId;
+}
+
+/**
+ * Get refresh token by hash
+ * @param {string} tokenHash - Hashed refresh token
+ * @returns {Promise<Object|null>} Token row or null
+ */
+export async function getRefreshTokenByHash(tokenHash) {
+  const sql = `
+    SELECT
+      id, user_id, family_id, expires_at, is_revoked,
+      replaced_by_id, revoked_at, created_at
+    FROM refresh_tokens
+    WHERE token = ?
+  `;
+
+  const rows = await query(sql, [tokenHash]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Rotate a refresh token: revoke the current token and store its replacement
+ * in the same family. Only one caller can rotate a given token; concurrent
+ * attempts get null and must be treated as reuse.
+ * @param {number} currentId - ID of the token being rotated
+ * @param {Object} next - Replacement token data
+ * @param {string} next.tokenHash - Hashed replacement token
+ * @param {Date} next.expiresAt - Expiration time
+ * @param {Object} [next.client] - Client metadata of the refreshing device
+ * @returns {Promise<number|null>} New token ID, or null if already rotated/revoked
+ */
+export async function rotateRefreshToken(currentId, { tokenHash, expiresAt, client = {} }) {
+  return transaction(async (connection) => {
+    const [current] = await connection.execute(
+      `SELECT user_id, family_id, session_created_at, created_at, device_label, user_agent, ip_address
+       FROM refresh_tokens WHERE id = ? FOR UPDATE`,
+      [currentId]
+    );
+
+    if (current.length === 0) {
+      return null;
+    }
+
+    const [revoked] = await connection.execute(
+      `UPDATE refresh_tokens
+       SET is_revoked = TRUE, revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND is_revoked = FALSE`,
+      [currentId]
+    );
+
+    if (revoked.affectedRows === 0) {
+      return null;
+    }
+
+    const session = current[0];
+    const [inserted] = await connection.execute(
+      `INSERT INTO refresh_tokens (
+         user_id, family_id, session_created_at, device_label, user_agent, ip_address, token, expires_at
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        session.user_id,
+        session.family_id,
+        session.session_created_at || session.created_at,
+        client.deviceLabel || session.device_label,
+        client.userAgent || session.user_agent,
+        client.ipAddress || session.ip_address,
+        tokenHash,
+        expiresAt
+      ]
+    );
+
+    await connection.execute(
+      'UPDATE refresh_tokens SET replaced_by_id = ? WHERE id = ?',
+      [inserted.insertId, currentId]
+    );
+
+    return inserted.insertId;
+  });
+}
+
+/**
+ * Revoke every token in a family
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+export async function revokeRefreshTokenFamily(familyId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET is_revoked = TRUE, revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE family_id = ? AND is_revoked = FALSE
+  `;
+
+  const result = await query(sql, [familyId]);
+  return result.affectedRows;
+}
+
+/**
+ * Get active sessions (one row per token family) of a user
+ * 마지막 회전 시간을 마지막 사용 시간으로 사용합니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+export async function getActiveSessionsByUser(userId) {
+  const sql = `
+    SELECT
+      family_id AS id,
+      device_label,
+      user_agent,
+      ip_address,
+      COALESCE(session_created_at, created_at) AS created_at,
+      created_at AS last_seen_at,
+      expires_at
+    FROM refresh_tokens
+    WHERE user_id = ? AND is_revoked = FALSE AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY last_seen_at DESC
+  `;
+
+  return await query(sql, [userId]);
+}
+
+/**
+ * Revoke one session of a user
+ * @param {number} userId - Session owner
+ * @param {string} familyId - Session (token family) ID
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+export async function revokeUserSession(userId, familyId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET is_revoked = TRUE, revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE user_id = ? AND family_id = ? AND is_revoked = FALSE AND expires_at > CURRENT_TIMESTAMP
+  `;
+
+  const result = await query(sql, [userId, familyId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Revoke all refresh tokens of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+export async function revokeUserRefreshTokens(userId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET is_revoked = TRUE, revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE user_id = ? AND is_revoked = FALSE
+  `;
+
+  const result = await query(sql, [userId]);
+  return result.affectedRows;
+}
@@ -0,0 +1,76 @@
+/**
+ * Revoked Token Model
+ * Database operations for revoked_tokens table (access token blacklist)
+ */
+import { query } from '../config/database.js';
+
+/**
+ * Revoke a single access token by its JWT ID
+ * @param {string} jti - JWT ID
+ * @param {number} userId - Token owner
+ * @param {Date} expiresAt - Original token expiration
+ * @returns {Promise<void>}
+ */
+export async function revokeAccessToken(jti, userId, expiresAt) {
+  const sql = `
+    INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at)
+    VALUES (?, ?, ?)
+  `;
+
+  await query(sql, [jti, userId, expiresAt]);
+}
+
+/**
+ * Invalidate every access token issued to a user up to now
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function revokeAccessTokensIssuedBefore(userId) {
+  const sql = `
+    UPDATE users
+    SET tokens_revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `;
+
+  const result = await query(sql, [userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get everything needed to decide whether an access token is still valid
+ * @param {number} userId - User ID from the token
+ * @param {string} jti - JWT ID from the token
+ * @param {string} sessionId - Session (refresh token family) ID from the token
+ * @returns {Promise<Object|null>} { email, username, role, is_active, suspended_at, tokens_revoked_at, is_revoked, session_active } or null if user is gone
+ */
+export async function getAccessTokenStatus(userId, jti, sessionId) {
+  const sql = `
+    SELECT
+      u.email,
+      u.username,
+      u.role,
+      u.is_active,
+      u.suspended_at,
+      u.tokens_revoked_at,
+      EXISTS(SELECT 1 FROM revoked_tokens rt WHERE rt.jti = ?) AS is_revoked,
+      EXISTS(
+        SELECT 1 FROM refresh_tokens rf
+        WHERE rf.family_id = ? AND rf.user_id = u.id AND rf.is_revoked = FALSE
+      ) AS session_active
+    FROM users u
+    WHERE u.id = ? AND u.deleted_at IS NULL
+  `;
+
+  const rows = await query(sql, [jti, sessionId || '', userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Remove blacklist entries for tokens that have expired anyway
+ * @returns {Promise<number>} Number of deleted rows
+ */
+export async function deleteExpiredRevokedTokens() {
+  const sql = 'DELETE FROM revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP';
+  const result = await query(sql);
+  return result.affectedRows;
+}
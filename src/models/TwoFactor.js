@@ -0,0 +1,182 @@
+/**
+ * Two-Factor Authentication Model
+ * TOTP columns on users and two_factor_recovery_codes table
+ */
+import { query, transaction } from '../config/database.js';
+import { verifyTotp, decryptTotpSecret, normalizeRecoveryCode } from '../utils/totp.js';
+import { hashToken } from '../utils/tokens.js';
+
+/**
+ * Get 2FA state of a user
+ * 탈퇴 유예 기간 중인 계정도 포함합니다 (복구 로그인에도 2단계 인증 필요).
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { totp_secret, totp_enabled, totp_last_used_step } or null
+ */
+export async function getTwoFactorState(userId) {
+  const sql = `
+    SELECT totp_secret, totp_enabled, totp_enabled_at, totp_last_used_step
+    FROM users
+    WHERE id = ?
+      AND (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Store a pending (not yet confirmed) TOTP secret
+ * @param {number} userId - User ID
+ * @param {string} encryptedSecret - Encrypted secret
+ * @returns {Promise<boolean>} True if stored (2FA not already enabled)
+ */
+export async function setPendingTotpSecret(userId, encryptedSecret) {
+  const sql = `
+    UPDATE users
+    SET totp_secret = ?, totp_last_used_step = NULL
+    WHERE id = ? AND totp_enabled = FALSE AND deleted_at IS NULL
+  `;
+
+  const result = await query(sql, [encryptedSecret, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Mark a TOTP step as used. Fails if the same or a later step was already used.
+ * @param {number} userId - User ID
+ * @param {number} step - Matched time step
+ * @returns {Promise<boolean>} True if the step had not been used yet
+ */
+export async function markTotpStepUsed(userId, step) {
+  const sql = `
+    UPDATE users
+    SET totp_last_used_step = ?
+    WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+  `;
+
+  const result = await query(sql, [step, userId, step]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Enable 2FA and store fresh recovery codes
+ * @param {number} userId - User ID
+ * @param {Array<string>} codeHashes - Hashed recovery codes
+ * @returns {Promise<void>}
+ */
+export async function enableTwoFactor(userId, codeHashes) {
+  await transaction(async (connection) => {
+    await connection.execute(
+      `UPDATE users
+       SET totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId]
+    );
+
+    await insertRecoveryCodes(connection, userId, codeHashes);
+  });
+}
+
+/**
+ * Disable 2FA and remove the secret and recovery codes
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function disableTwoFactor(userId) {
+  await transaction(async (connection) => {
+    await connection.execute(
+      `UPDATE users
+       SET totp_enabled = FALSE, totp_secret = NULL,
+           totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = ?`,
+      [userId]
+    );
+
+    await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  });
+}
+
+/**
+ * Replace all recovery codes of a user
+ * @param {number} userId - User ID
+ * @param {Array<string>} codeHashes - Hashed recovery codes
+ * @returns {Promise<void>}
+ */
+export async function replaceRecoveryCodes(userId, codeHashes) {
+  await transaction(async (connection) => {
+    await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await insertRecoveryCodes(connection, userId, codeHashes);
+  });
+}
+
+/**
+ * Insert recovery code hashes inside a transaction
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @param {Array<string>} codeHashes - Hashed recovery codes
+ * @returns {Promise<void>}
+ */
+async function insertRecoveryCodes(connection, userId, codeHashes) {
+  for (const codeHash of codeHashes) {
+    await connection.execute(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, codeHash]
+    );
+  }
+}
+
+/**
+ * Use a recovery code (each code works once)
+ * @param {number} userId - User ID
+ * @param {string} codeHash - Hashed recovery code
+ * @returns {Promise<boolean>} True if an unused code matched
+ */
+export async function consumeRecoveryCode(userId, codeHash) {
+  const sql = `
+    UPDATE two_factor_recovery_codes
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `;
+
+  const result = await query(sql, [userId, codeHash]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Count unused recovery codes
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Remaining codes
+ */
+export async function countRemainingRecoveryCodes(userId) {
+  const sql = 'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+  const rows = await query(sql, [userId]);
+  return Number(rows[0].count);
+}
+
+/**
+ * Verify a second factor: a TOTP code or, failing that, a recovery code.
+ * TOTP codes cannot be replayed and recovery codes are consumed on success.
+ * @param {number} userId - User ID
+ * @param {Object} factor - Submitted factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>} True if the factor is valid
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const state = await getTwoFactorState(userId);
+
+  if (!state || !state.totp_enabled || !state.totp_secret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTotp(decryptTotpSecret(state.totp_secret), code);
+    return step !== null && await markTotpStepUsed(userId, step);
+  }
+
+  if (recoveryCode) {
+    return consumeRecoveryCode(userId, hashToken(normalizeRecoveryCode(recoveryCode)));
+  }
+
+  return false;
+}
@@ -3,6 +3,15 @@
  * Database operations for users table
  */
 import { query, transaction } from '../config/database.js';
+import { EMAIL_VERIFICATION } from '../config/verification.js';
+import { ACCOUNT_DELETION, UID_POLICY, USERNAME_POLICY } from '../config/account.js';
+import { compareCode } from '../utils/otp.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { isReservedUID } from '../utils/uid.js';
+import { isReservedUsername, validateUsernameFormat, USERNAME_MAX_LENGTH } from '../utils/username.js';
+import { getProfileVisibility } from '../utils/userProfile.js';
+import { needsHangulMatching, buildHangulPrefixPattern } from '../utils/hangul.js';
+import { buildHiddenUsersFilter } from '../utils/hiddenUsers.js';
 
 /**
  * Create a new user
@@ -11,7 +20,10 @@ import { query, transaction } from '../config/database.js';
  * @param {string} userData.username - Username
  * @param {string} userData.passwordHash - Hashed password
  * @param {string} [userData.profileImage] - Profile image URL
+ * @param {string} [userData.displayName] - Display name
  * @param {string} [userData.bio] - User bio
+ * @param {string} [userData.pronouns] - Pronouns
+ * @param {string} [userData.profileLinks] - Profile links (JSON string, see normalizeProfileFields)
  * @param {string} [userData.realName] - Real name
  * @param {string} [userData.birthDate] - Birth date (YYYY-MM-DD)
  * @param {string} [userData.phoneNumber] - Phone number
@@ -23,7 +35,10 @@ export async function createUser(userData) {
     username, 
     passwordHash, 
     profileImage = null, 
+    displayName = null,
     bio = null,
+    pronouns = null,
+    profileLinks = null,
     realName = null,
     birthDate = null,
     phoneNumber = null
@@ -34,18 +49,21 @@ export async function createUser(userData) {
   
   const sql = `
     INSERT INTO users (
-      email, username, password_hash, profile_image, bio,
-      real_name, birth_date, phone_number, email_verified, uid
+      email, username, display_name, password_hash, profile_image, bio,
+      pronouns, profile_links, real_name, birth_date, phone_number, email_verified, uid
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   const result = await query(sql, [
     email, 
     username, 
+    displayName,
     passwordHash, 
     profileImage, 
     bio,
+    pronouns,
+    profileLinks,
     realName,
     birthDate,
     phoneNumber,
@@ -64,9 +82,10 @@ export async function createUser(userData) {
 export async function getUserById(userId) {
   const sql = `
     SELECT 
-      id, email, username, profile_image, bio, 
-      real_name, birth_date, phone_number, uid,
-      is_active, is_verified, email_verified,
+      id, email, username, profile_image, bio, profile_visibility, is_private, follower_count, following_count,
+      display_name, pronouns, cover_image, profile_links,
+      real_name, birth_date, phone_number, phone_verified, uid, role,
+      is_active, is_verified, email_verified, suspended_at,
       created_at, updated_at
     FROM users
     WHERE id = ? AND deleted_at IS NULL
@@ -84,8 +103,9 @@ export async function getUserById(userId) {
 export async function getUserByEmail(email) {
   const sql = `
     SELECT 
-      id, email, username, password_hash, profile_image, bio,
-      real_name, birth_date, phone_number, uid,
+      id, email, username, password_hash, profile_image, bio, profile_visibility, is_private, follower_count, following_count,
+      display_name, pronouns, cover_image, profile_links,
+      real_name, birth_date, phone_number, phone_verified, uid, role,
       is_active, is_verified, email_verified,
       created_at, updated_at
     FROM users
@@ -96,6 +116,67 @@ export async function getUserByEmail(email) {
   return rows.length > 0 ? rows[0] : null;
 }
 
+/**
+ * Get user by any login identifier (email, username, 7-digit UID or verified phone number)
+ * 여러 계정과 일치하면 이메일 > 사용자명 > UID > 핸드폰 번호 순으로 선택합니다.
+ * 탈퇴 유예 기간 중인 계정도 반환하며(deleted_at 설정됨), 로그인 시 복구에 사용됩니다.
+ * @param {string} identifier - Login ID entered by the user
+ * @returns {Promise<Object|null>} User object (with password_hash) or null
+ */
+export async function getUserByLoginIdentifier(identifier) {
+  const value = identifier.trim();
+  const phone = /^\+?[0-9\s().-]{8,}$/.test(value) ? normalizePhoneNumber(value) : null;
+
+  const sql = `
+    SELECT
+      id, email, username, password_hash, profile_image, bio,
+      real_name, birth_date, phone_number, phone_verified, uid, role,
+      is_active, is_verified, email_verified, suspended_at,
+      created_at, updated_at, deleted_at
+    FROM users
+    WHERE (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+      AND (
+        email = ?
+        OR username = ?
+        OR uid = ?
+        OR (phone_number = ? AND phone_verified = TRUE)
+      )
+    ORDER BY deleted_at IS NOT NULL, CASE
+      WHEN email = ? THEN 0
+      WHEN username = ? THEN 1
+      WHEN uid = ? THEN 2
+      ELSE 3
+    END
+    LIMIT 1
+  `;
+
+  const phoneNumber = phone ? phone.number : null;
+  const rows = await query(sql, [value, value, value, phoneNumber, value, value, value]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Get user by ID for completing a login
+ * 탈퇴 유예 기간 중인 계정도 반환합니다 (2단계 인증 후 복구).
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} User object (with deleted_at) or null
+ */
+export async function getUserForLogin(userId) {
+  const sql = `
+    SELECT
+      id, email, username, profile_image, bio,
+      real_name, birth_date, phone_number, phone_verified, uid, role,
+      is_active, is_verified, email_verified, suspended_at,
+      created_at, updated_at, deleted_at
+    FROM users
+    WHERE id = ?
+      AND (deleted_at IS NULL OR (purged_at IS NULL AND purge_after > CURRENT_TIMESTAMP))
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
 /**
  * Get user by username
  * @param {string} username - Username
@@ -121,7 +202,11 @@ export async function getUserByUsername(username) {
  * @returns {Promise<Object>} Updated user
  */
 export async function updateUser(userId, updateData) {
-  const allowedFields = ['username', 'profile_image', 'bio', 'is_active', 'is_verified'];
+  // 사용자명은 중복/예약어/변경 주기 검사가 필요하므로 updateUsername으로만 변경
+  const allowedFields = [
+    'display_name', 'profile_image', 'cover_image', 'bio', 'pronouns', 'profile_links',
+    'is_active', 'is_verified'
+  ];
   const updates = [];
   const values = [];
   
@@ -148,39 +233,142 @@ export async function updateUser(userId, updateData) {
 }
 
 /**
- * Check if email exists
- * @param {string} email - Email to check
- * @returns {Promise<boolean>} True if exists
+ * Update per-field profile visibility (merged into existing settings)
+ * @param {number} userId - User ID
+ * @param {Object} visibility - { field: 'public' | 'private' }
+ * @returns {Promise<Object|null>} Updated user or null
  */
-export async function emailExists(email) {
-  const sql = 'SELECT 1 FROM users WHERE email = ? AND deleted_at IS NULL LIMIT 1';
-  const rows = await query(sql, [email]);
-  return rows.length > 0;
+export async function updateProfileVisibility(userId, visibility) {
+  const user = await getUserById(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  const settings = { ...getProfileVisibility(user.profile_visibility), ...visibility };
+
+  await query(
+    'UPDATE users SET profile_visibility = ? WHERE id = ? AND deleted_at IS NULL',
+    [JSON.stringify(settings), userId]
+  );
+  return getUserById(userId);
+}
+
+/**
+ * Turn private account mode on or off
+ * @param {number} userId - User ID
+ * @param {boolean} isPrivate - New setting
+ * @returns {Promise<Object|null>} Updated user or null
+ */
+export async function setPrivateAccount(userId, isPrivate) {
+  await query(
+    'UPDATE users SET is_private = ? WHERE id = ? AND deleted_at IS NULL',
+    [isPrivate, userId]
+  );
+  return getUserById(userId);
+}
+
+/**
+ * Get password hash of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} bcrypt hash or null
+ */
+export async function getPasswordHash(userId) {
+  const sql = 'SELECT password_hash FROM users WHERE id = ? AND deleted_at IS NULL';
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0].password_hash : null;
+}
+
+/**
+ * Get account security settings
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Security-related columns or null
+ */
+export async function getAccountSecurity(userId) {
+  const sql = `
+    SELECT
+      email, email_verified, phone_number, phone_verified,
+      password_changed_at, totp_enabled AS two_factor_enabled
+    FROM users
+    WHERE id = ? AND deleted_at IS NULL
+  `;
+
+  const rows = await query(sql, [userId]);
+  return rows.length > 0 ? rows[0] : null;
 }
 
 /**
- * Check if username exists
- * @param {string} username - Username to check
+ * Update user password
+ * @param {number} userId - User ID
+ * @param {string} passwordHash - New bcrypt hash
+ * @returns {Promise<boolean>} Success status
+ */
+export async function updatePassword(userId, passwordHash) {
+  const sql = `
+    UPDATE users
+    SET password_hash = ?,
+        password_changed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND deleted_at IS NULL
+  `;
+
+  const result = await query(sql, [passwordHash, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Check if email exists
+ * 탈퇴 유예 중인 계정의 주소와 이메일 변경 후 되돌리기 기간 중인 이전 주소도
+ * 사용 중으로 취급합니다. (영구 삭제 시 익명화되어 해제됨)
+ * @param {string} email - Email to check
  * @returns {Promise<boolean>} True if exists
  */
-export async function usernameExists(username) {
-  const sql = 'SELECT 1 FROM users WHERE username = ? AND deleted_at IS NULL LIMIT 1';
-  const rows = await query(sql, [username]);
+export async function emailExists(email) {
+  const sql = `
+    SELECT 1 FROM users WHERE email = ?
+    UNION ALL
+    SELECT 1 FROM email_change_requests
+    WHERE old_email = ? AND undone_at IS NULL AND undo_expires_at > CURRENT_TIMESTAMP
+    LIMIT 1
+  `;
+  const rows = await query(sql, [email, email]);
   return rows.length > 0;
 }
 
 /**
  * Soft delete user
+ * 유예 기간(graceDays) 후 영구 삭제 작업 대상이 됩니다.
  * @param {number} userId - User ID
+ * @param {number} [graceDays] - Days before the account is purged
  * @returns {Promise<boolean>} Success status
  */
-export async function deleteUser(userId) {
+export async function deleteUser(userId, graceDays = ACCOUNT_DELETION.graceDays) {
   const sql = `
     UPDATE users
-    SET deleted_at = CURRENT_TIMESTAMP, is_active = FALSE
+    SET deleted_at = CURRENT_TIMESTAMP,
+        purge_after = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY),
+        is_active = FALSE
     WHERE id = ? AND deleted_at IS NULL
   `;
   
+  const result = await query(sql, [graceDays, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Restore a soft-deleted user within the grace period
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if the account was restored
+ */
+export async function restoreUser(userId) {
+  const sql = `
+    UPDATE users
+    SET deleted_at = NULL, purge_after = NULL, is_active = TRUE
+    WHERE id = ?
+      AND deleted_at IS NOT NULL
+      AND purged_at IS NULL
+      AND purge_after > CURRENT_TIMESTAMP
+  `;
+
   const result = await query(sql, [userId]);
   return result.affectedRows > 0;
 }
@@ -188,48 +376,104 @@ export async function deleteUser(userId) {
 /**
  * Set email verification code
  * @param {string} email - User email
- * @param {string} code - Verification code
+ * @param {string} codeHash - Hashed verification code
  * @returns {Promise<boolean>} Success status
  */
-export async function setEmailVerificationCode(email, code) {
+export async function setEmailVerificationCode(email, codeHash) {
   const sql = `
     UPDATE users
     SET email_verification_code = ?,
-        email_verification_sent_at = CURRENT_TIMESTAMP
+        email_verification_sent_at = CURRENT_TIMESTAMP,
+        email_verification_attempts = 0
     WHERE email = ? AND deleted_at IS NULL
   `;
   
-  const result = await query(sql, [code, email]);
+  const result = await query(sql, [codeHash, email]);
   return result.affectedRows > 0;
 }
 
+/**
+ * Get email verification state
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} Verification columns or null
+ */
+export async function getEmailVerificationState(email) {
+  const sql = `
+    SELECT
+      id, email_verified, email_verification_code,
+      email_verification_sent_at, email_verification_attempts
+    FROM users
+    WHERE email = ? AND deleted_at IS NULL
+  `;
+
+  const rows = await query(sql, [email]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
 /**
  * Verify email with code
+ *
+ * 시도 횟수를 먼저 차감한 뒤 코드를 비교하므로 동시 요청으로도
+ * maxAttempts 이상 추측할 수 없습니다.
  * @param {string} email - User email
  * @param {string} code - Verification code
- * @returns {Promise<boolean>} True if verification successful
+ * @returns {Promise<string>} 'verified' | 'already_verified' | 'invalid' | 'expired' | 'too_many_attempts'
  */
 export async function verifyEmailCode(email, code) {
+  const state = await getEmailVerificationState(email);
+
+  if (!state) {
+    return 'invalid';
+  }
+
+  if (state.email_verified) {
+    return 'already_verified';
+  }
+
+  if (!state.email_verification_code || !state.email_verification_sent_at) {
+    return 'invalid';
+  }
+
+  const expiresAt = new Date(state.email_verification_sent_at).getTime() + EMAIL_VERIFICATION.ttlMinutes * 60 * 1000;
+  if (Date.now() > expiresAt) {
+    return 'expired';
+  }
+
+  const attemptSql = `
+    UPDATE users
+    SET email_verification_attempts = email_verification_attempts + 1
+    WHERE id = ? AND email_verification_attempts < ?
+  `;
+  const attempt = await query(attemptSql, [state.id, EMAIL_VERIFICATION.maxAttempts]);
+
+  if (attempt.affectedRows === 0) {
+    return 'too_many_attempts';
+  }
+
+  if (!(await compareCode(code, state.email_verification_code))) {
+    return 'invalid';
+  }
+
   const sql = `
     UPDATE users
     SET email_verified = TRUE,
-        email_verification_code = NULL
-    WHERE email = ? 
-      AND email_verification_code = ?
-      AND deleted_at IS NULL
+        email_verification_code = NULL,
+        email_verification_attempts = 0
+    WHERE id = ? AND deleted_at IS NULL
   `;
-  
-  const result = await query(sql, [email, code]);
-  return result.affectedRows > 0;
+
+  await query(sql, [state.id]);
+  return 'verified';
 }
 
 /**
- * Check if phone number exists
+ * Check if a phone number is already verified by an account
+ * 미인증 번호는 중복 가입을 막지 않으며, 먼저 인증한 계정이 번호를 갖습니다.
  * @param {string} phoneNumber - Phone number to check
- * @returns {Promise<boolean>} True if exists
+ * @returns {Promise<boolean>} True if a verified account uses the number
  */
-export async function phoneNumberExists(phoneNumber) {
-  const sql = 'SELECT 1 FROM users WHERE phone_number = ? AND deleted_at IS NULL LIMIT 1';
+export async function verifiedPhoneNumberExists(phoneNumber) {
+  const sql = 'SELECT 1 FROM users WHERE phone_number = ? AND phone_verified = TRUE AND deleted_at IS NULL LIMIT 1';
   const rows = await query(sql, [phoneNumber]);
   return rows.length > 0;
 }
@@ -248,6 +492,12 @@ export async function generateUniqueUID() {
     // Generate 7-digit random number
     uid = String(Math.floor(Math.random() * 9000000) + 1000000);
     
+    // 예약 UID와 최근 해제된 UID는 자동 발급하지 않음
+    if (isReservedUID(uid) || await isUIDOnHold(uid)) {
+      attempts++;
+      continue;
+    }
+
     // Check if UID already exists
     const sql = 'SELECT 1 FROM users WHERE uid = ? LIMIT 1';
     const rows = await query(sql, [uid]);
@@ -270,8 +520,9 @@ export async function generateUniqueUID() {
 export async function getUserByUID(uid) {
   const sql = `
     SELECT 
-      id, email, username, profile_image, bio, 
-      real_name, birth_date, phone_number, uid,
+      id, email, username, profile_image, bio, profile_visibility, is_private, follower_count, following_count,
+      display_name, pronouns, cover_image, profile_links,
+      real_name, birth_date, phone_number, phone_verified, uid, role,
       is_active, is_verified, email_verified,
       created_at, updated_at
     FROM users
@@ -282,31 +533,354 @@ export async function getUserByUID(uid) {
   return rows.length > 0 ? rows[0] : null;
 }
 
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} [extra] - Extra properties (e.g. retryAfter)
+ * @returns {Error} Error with statusCode
+ */
+function createStatusError(message, statusCode, extra = {}) {
+  return Object.assign(new Error(message), { statusCode }, extra);
+}
+
+/**
+ * Check whether a UID was released by another user within the hold period
+ * @param {string} uid - UID to check
+ * @param {number} [userId] - User allowed to reclaim their own old UID
+ * @returns {Promise<boolean>} True if the UID is on hold
+ */
+export async function isUIDOnHold(uid, userId = 0) {
+  const sql = `
+    SELECT 1 FROM uid_history
+    WHERE old_uid = ?
+      AND user_id != ?
+      AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    LIMIT 1
+  `;
+
+  const rows = await query(sql, [uid, userId, UID_POLICY.releaseHoldDays]);
+  return rows.length > 0;
+}
+
 /**
  * Update user UID
+ * 본인 변경은 쿨다운과 예약 UID 제한을 받으며, 관리자는 둘 다 무시합니다.
+ * 다른 사용자가 최근 해제한 UID는 관리자도 지정할 수 없습니다.
  * @param {number} userId - User ID
  * @param {string} newUID - New UID (must be 7 digits)
+ * @param {Object} [options] - Options
+ * @param {number} [options.changedBy] - User performing the change
+ * @param {boolean} [options.isAdmin=false] - Whether the actor is an admin
  * @returns {Promise<Object>} Updated user
+ * @throws {Error} Error with statusCode 400/403/404/409/429
  */
-export async function updateUserUID(userId, newUID) {
+export async function updateUserUID(userId, newUID, { changedBy = userId, isAdmin = false } = {}) {
   // Validate UID format (7 digits)
   if (!/^\d{7}$/.test(newUID)) {
-    throw new Error('UID must be exactly 7 digits');
+    throw createStatusError('UID must be exactly 7 digits', 400);
+  }
+
+  const rows = await query(
+    'SELECT uid, uid_changed_at FROM users WHERE id = ? AND deleted_at IS NULL',
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    throw createStatusError('User not found', 404);
+  }
+
+  const current = rows[0];
+
+  if (current.uid === newUID) {
+    throw createStatusError('New UID is the same as the current UID', 400);
+  }
+
+  if (!isAdmin && isReservedUID(newUID)) {
+    throw createStatusError('This UID is reserved', 403);
+  }
+
+  if (!isAdmin && current.uid_changed_at) {
+    const nextChangeAt = new Date(current.uid_changed_at).getTime() + UID_POLICY.changeCooldownDays * 24 * 60 * 60 * 1000;
+    const retryAfter = Math.ceil((nextChangeAt - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      throw createStatusError(
+        `UID can only be changed once every ${UID_POLICY.changeCooldownDays} days`,
+        429,
+        { retryAfter }
+      );
+    }
+  }
+
+  // Check if UID already exists (탈퇴 유예 중인 계정 포함)
+  const taken = await query('SELECT id FROM users WHERE uid = ? LIMIT 1', [newUID]);
+  if (taken.length > 0) {
+    throw createStatusError('UID already exists', 409);
   }
 
-  // Check if UID already exists
-  const existingUser = await getUserByUID(newUID);
-  if (existingUser && existingUser.id !== userId) {
-    throw new Error('UID already exists');
+  if (await isUIDOnHold(newUID, userId)) {
+    throw createStatusError('This UID was recently released and cannot be claimed yet', 409);
+  }
+
+  try {
+    await transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE users
+         SET uid = ?, uid_changed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL`,
+        [newUID, userId]
+      );
+
+      await connection.execute(
+        `INSERT INTO uid_history (user_id, old_uid, new_uid, changed_by)
+         VALUES (?, ?, ?, ?)`,
+        [userId, current.uid, newUID, changedBy]
+      );
+    });
+  } catch (error) {
+    // 동시에 같은 UID를 요청한 경우
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw createStatusError('UID already exists', 409);
+    }
+    throw error;
+  }
+
+  return getUserById(userId);
+}
+
+
+/**
+ * Build a prefix match condition for a column (with chosung matching for Hangul input)
+ * @param {string} column - Column name
+ * @param {string} term - Search term
+ * @returns {Object} { sql, params }
+ */
+function buildPrefixMatch(column, term) {
+  const like = `${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+  if (!needsHangulMatching(term)) {
+    return { sql: `${column} LIKE ?`, params: [like] };
+  }
+
+  return {
+    sql: `(${column} LIKE ? OR ${column} REGEXP ?)`,
+    params: [like, buildHangulPrefixPattern(term)]
+  };
+}
+
+/**
+ * Search active users by username prefix, exact UID or public real name
+ * 정렬: 정확히 일치(UID/사용자명) → 실명 일치 → 사용자명 접두어 → 실명 접두어, 같은 순위는 ID 순
+ * 실명은 사용자가 공개로 설정한 경우에만 검색됩니다.
+ * @param {string} term - Search term
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit=20] - Page size (one extra row is fetched to detect more results)
+ * @param {Object|null} [options.after] - Cursor keys of the last item ({ r: rank, id })
+ * @param {number|null} [options.viewerId] - Searching user (users blocked either way are excluded)
+ * @returns {Promise<Array>} Matching user rows with match_rank
+ */
+export async function searchUsers(term, { limit = 20, after = null, viewerId = null } = {}) {
+  const realNamePublic = "profile_visibility->>'$.real_name' = 'public'";
+  const usernameMatch = buildPrefixMatch('username', term);
+  const realNameMatch = buildPrefixMatch('real_name', term);
+  const hidden = buildHiddenUsersFilter('users.id', viewerId);
+
+  const params = [
+    term, term,
+    term,
+    ...usernameMatch.params,
+    term,
+    ...usernameMatch.params,
+    ...realNameMatch.params,
+    ...hidden.params
+  ];
+
+  let cursorCondition = '';
+  if (after) {
+    cursorCondition = 'WHERE match_rank > ? OR (match_rank = ? AND id > ?)';
+    params.push(after.r, after.r, after.id);
   }
 
   const sql = `
-    UPDATE users
-    SET uid = ?
-    WHERE id = ? AND deleted_at IS NULL
+    SELECT * FROM (
+      SELECT
+        id, email, username, profile_image, bio, profile_visibility, is_private, follower_count, following_count,
+        display_name, pronouns, cover_image, profile_links,
+        real_name, birth_date, phone_number, uid,
+        is_verified, created_at,
+        CASE
+          WHEN uid = ? OR username = ? THEN 0
+          WHEN ${realNamePublic} AND real_name = ? THEN 1
+          WHEN ${usernameMatch.sql} THEN 2
+          ELSE 3
+        END AS match_rank
+      FROM users
+      WHERE deleted_at IS NULL AND is_active = TRUE
+        AND (
+          uid = ?
+          OR ${usernameMatch.sql}
+          OR (${realNamePublic} AND ${realNameMatch.sql})
+        )
+        ${hidden.sql}
+    ) matches
+    ${cursorCondition}
+    ORDER BY match_rank, id
+    LIMIT ${parseInt(limit, 10) + 1}
   `;
-  
-  await query(sql, [newUID, userId]);
-  return getUserById(userId);
+
+  return query(sql, params);
+}
+
+/**
+ * Check whether a username was recently released by another user
+ * @param {string} username - Username
+ * @param {number} [userId=0] - User allowed to reclaim their own old username
+ * @returns {Promise<boolean>} True if the username is still on hold
+ */
+export async function isUsernameOnHold(username, userId = 0) {
+  const sql = `
+    SELECT 1 FROM username_history
+    WHERE old_username = ?
+      AND user_id != ?
+      AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)
+    LIMIT 1
+  `;
+
+  const rows = await query(sql, [username, userId, USERNAME_POLICY.releaseHoldDays]);
+  return rows.length > 0;
+}
+
+/**
+ * Check whether a username can be taken (format, reserved words, in use, on hold)
+ * @param {string} username - Username
+ * @param {number} [userId=0] - User who wants it (their own current/old username is allowed)
+ * @returns {Promise<Object>} { available, reason: null | 'invalid' | 'reserved' | 'taken', message }
+ */
+export async function checkUsernameAvailability(username, userId = 0) {
+  const formatError = validateUsernameFormat(username);
+  if (formatError) {
+    return { available: false, reason: 'invalid', message: formatError };
+  }
+
+  if (isReservedUsername(username)) {
+    return { available: false, reason: 'reserved', message: 'This username is reserved' };
+  }
+
+  // 탈퇴 유예 중인 계정의 사용자명도 사용 중 (영구 삭제 시 익명화되어 해제됨)
+  const taken = await query('SELECT id FROM users WHERE username = ? AND id != ? LIMIT 1', [username, userId]);
+  if (taken.length > 0 || await isUsernameOnHold(username, userId)) {
+    return { available: false, reason: 'taken', message: 'Username already exists' };
+  }
+
+  return { available: true, reason: null, message: 'Username is available' };
+}
+
+/**
+ * Suggest available usernames similar to a taken one
+ * @param {string} username - Requested username
+ * @param {number} [count=3] - Number of suggestions
+ * @returns {Promise<Array<string>>} Available usernames
+ */
+export async function suggestUsernames(username, count = 3) {
+  const base = Array.from(username.replace(/[^\p{L}\p{N}_.]/gu, '').replace(/^[._]+|[._]+$/g, ''))
+    .slice(0, USERNAME_MAX_LENGTH - 5)
+    .join('') || 'user';
+
+  const candidates = new Set([`${base}_${new Date().getFullYear() % 100}`]);
+  while (candidates.size < count * 4) {
+    const digits = String(Math.floor(Math.random() * 10000)).padStart(2, '0');
+    candidates.add(Math.random() < 0.5 ? `${base}${digits}` : `${base}_${digits}`);
+  }
+
+  const valid = [...candidates].filter((candidate) => !validateUsernameFormat(candidate) && !isReservedUsername(candidate));
+  if (valid.length === 0) {
+    return [];
+  }
+
+  const placeholders = valid.map(() => '?').join(', ');
+  const [takenRows, heldRows] = await Promise.all([
+    query(`SELECT username FROM users WHERE username IN (${placeholders})`, valid),
+    query(
+      `SELECT old_username FROM username_history
+       WHERE old_username IN (${placeholders})
+         AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY)`,
+      [...valid, USERNAME_POLICY.releaseHoldDays]
+    )
+  ]);
+
+  const unavailable = new Set([
+    ...takenRows.map((row) => row.username.toLowerCase()),
+    ...heldRows.map((row) => row.old_username.toLowerCase())
+  ]);
+
+  return valid.filter((candidate) => !unavailable.has(candidate.toLowerCase())).slice(0, count);
 }
 
+/**
+ * Change a user's username (records history, enforces cooldown and hold period)
+ * @param {number} userId - User ID
+ * @param {string} newUsername - New username
+ * @returns {Promise<Object>} Updated user
+ * @throws {Error} statusCode 400 (invalid/unchanged), 403 (reserved), 404, 409 (taken) or 429 (cooldown, with retryAfter)
+ */
+export async function updateUsername(userId, newUsername) {
+  const rows = await query(
+    'SELECT username, username_changed_at FROM users WHERE id = ? AND deleted_at IS NULL',
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    throw createStatusError('User not found', 404);
+  }
+
+  const current = rows[0];
+
+  if (current.username === newUsername) {
+    throw createStatusError('New username is the same as the current username', 400);
+  }
+
+  if (current.username_changed_at) {
+    const nextChangeAt = new Date(current.username_changed_at).getTime() + USERNAME_POLICY.changeCooldownDays * 24 * 60 * 60 * 1000;
+    const retryAfter = Math.ceil((nextChangeAt - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      throw createStatusError(
+        `Username can only be changed once every ${USERNAME_POLICY.changeCooldownDays} days`,
+        429,
+        { retryAfter }
+      );
+    }
+  }
+
+  const availability = await checkUsernameAvailability(newUsername, userId);
+  if (!availability.available) {
+    const statusCode = { invalid: 400, reserved: 403, taken: 409 }[availability.reason];
+    throw createStatusError(availability.message, statusCode);
+  }
+
+  try {
+    await transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE users
+         SET username = ?, username_changed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL`,
+        [newUsername, userId]
+      );
+
+      await connection.execute(
+        `INSERT INTO username_history (user_id, old_username, new_username)
+         VALUES (?, ?, ?)`,
+        [userId, current.username, newUsername]
+      );
+    });
+  } catch (error) {
+    // 동시에 같은 사용자명을 요청한 경우
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw createStatusError('Username already exists', 409);
+    }
+    throw error;
+  }
+
+  return getUserById(userId);
+}
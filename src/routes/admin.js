@@ -0,0 +1,624 @@
+/**
+ * Admin Routes
+ * 관리자 전용 사용자 관리 (목록/상세 조회, 정지·해제, 인증 배지, 강제 로그아웃, 탈퇴 계정 복구)
+ * 모든 작업은 admin_audit_logs에 기록됩니다.
+ */
+import { STATUS_CODES } from 'http';
+import {
+  ADMIN_USER_STATUSES,
+  ADMIN_AUDIT_ACTIONS,
+  listUsersForAdmin,
+  getUserSummaryForAdmin,
+  getUserRecordForAdmin,
+  suspendUser,
+  unsuspendUser,
+  setUserVerified,
+  restoreDeletedUser,
+  recordAdminAction,
+  getAdminAuditLogs
+} from '../models/Admin.js';
+import { revokeAllSessions } from '../utils/tokens.js';
+import { decodeCursor, paginate } from '../utils/pagination.js';
+import { ROLES } from '../utils/roles.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+const userIdParamsSchema = {
+  type: 'object',
+  properties: {
+    userId: { type: 'number' }
+  },
+  required: ['userId']
+};
+
+const reasonProperty = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 500,
+  description: 'Reason recorded in the audit log'
+};
+
+const userSummaryProperties = {
+  id: { type: 'number' },
+  uid: { type: 'string', nullable: true },
+  email: { type: 'string' },
+  username: { type: 'string' },
+  display_name: { type: 'string', nullable: true },
+  phone_number: { type: 'string', nullable: true },
+  role: { type: 'string' },
+  is_active: { type: 'boolean' },
+  is_verified: { type: 'boolean' },
+  email_verified: { type: 'boolean' },
+  phone_verified: { type: 'boolean' },
+  suspended_at: { type: 'string', nullable: true },
+  suspended_reason: { type: 'string', nullable: true },
+  created_at: { type: 'string' },
+  deleted_at: { type: 'string', nullable: true },
+  purged_at: { type: 'string', nullable: true }
+};
+
+const auditLogSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    admin_id: { type: 'number', nullable: true },
+    admin_username: { type: 'string', nullable: true },
+    action: { type: 'string' },
+    target_user_id: { type: 'number', nullable: true },
+    target_username: { type: 'string', nullable: true },
+    reason: { type: 'string', nullable: true },
+    details: { type: 'object', nullable: true, additionalProperties: true },
+    ip_address: { type: 'string', nullable: true },
+    created_at: { type: 'string' }
+  }
+};
+
+const userRecordSchema = {
+  type: 'object',
+  properties: {
+    ...userSummaryProperties,
+    uid_changed_at: { type: 'string', nullable: true },
+    email_verification_sent_at: { type: 'string', nullable: true },
+    username_changed_at: { type: 'string', nullable: true },
+    real_name: { type: 'string', nullable: true },
+    birth_date: { type: 'string', nullable: true },
+    phone_verified_at: { type: 'string', nullable: true },
+    profile_image: { type: 'string', nullable: true },
+    cover_image: { type: 'string', nullable: true },
+    bio: { type: 'string', nullable: true },
+    pronouns: { type: 'string', nullable: true },
+    profile_links: {
+      type: 'array',
+      nullable: true,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', nullable: true },
+          url: { type: 'string' }
+        }
+      }
+    },
+    profile_visibility: { type: 'object', nullable: true, additionalProperties: { type: 'string' } },
+    is_private: { type: 'boolean' },
+    follower_count: { type: 'number' },
+    following_count: { type: 'number' },
+    suspended_by: { type: 'number', nullable: true },
+    suspended_by_username: { type: 'string', nullable: true },
+    totp_enabled: { type: 'boolean' },
+    totp_enabled_at: { type: 'string', nullable: true },
+    failed_login_attempts: { type: 'number' },
+    last_failed_login_at: { type: 'string', nullable: true },
+    locked_until: { type: 'string', nullable: true },
+    password_changed_at: { type: 'string', nullable: true },
+    tokens_revoked_at: { type: 'string', nullable: true },
+    updated_at: { type: 'string' },
+    purge_after: { type: 'string', nullable: true },
+    post_count: { type: 'number' },
+    comment_count: { type: 'number' },
+    active_session_count: { type: 'number' },
+    active_api_key_count: { type: 'number' },
+    lockout_events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'number' },
+          event_type: { type: 'string' },
+          reason: { type: 'string', nullable: true },
+          ip_address: { type: 'string', nullable: true },
+          created_at: { type: 'string' }
+        }
+      }
+    },
+    admin_actions: {
+      type: 'array',
+      items: auditLogSchema
+    }
+  }
+};
+
+const userActionResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    data: {
+      type: 'object',
+      properties: userSummaryProperties
+    }
+  }
+};
+
+export default async function adminRoutes(fastify) {
+  const adminOnly = [fastify.authenticate, fastify.authorize('admin')];
+
+  /**
+   * Send an error response for a failed admin action
+   * @param {Object} reply - Fastify reply
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   */
+  const sendError = (reply, statusCode, message) => reply.code(statusCode).send({
+    statusCode,
+    error: STATUS_CODES[statusCode],
+    message
+  });
+
+  /**
+   * Build the actor passed to Admin model functions
+   * @param {Object} request - Fastify request
+   * @returns {Object} { adminId, reason, ipAddress }
+   */
+  const getActor = (request) => ({
+    adminId: request.user.id,
+    reason: request.body ? request.body.reason || null : null,
+    ipAddress: request.ip
+  });
+
+  /**
+   * Send the updated user after a successful admin action
+   * @param {Object} reply - Fastify reply
+   * @param {number} userId - Target user ID
+   * @param {string} message - Success message
+   */
+  const sendUpdatedUser = async (reply, userId, message) => reply.send({
+    success: true,
+    message,
+    data: await getUserSummaryForAdmin(userId)
+  });
+
+  /**
+   * @route GET /api/v1/admin/users
+   * @description List and filter users
+   * @tags admin
+   * @security BearerAuth
+   * @query {string} [status] - active | suspended | deleted | purged
+   * @query {boolean} [verified] - Verified badge
+   * @query {string} [role] - user | moderator | admin
+   * @query {string} [created_from] - Joined on or after (YYYY-MM-DD)
+   * @query {string} [created_to] - Joined on or before (YYYY-MM-DD)
+   * @query {string} [q] - Part of the email, or a phone number
+   * @query {number} [limit=20] - Page size (max 100)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Users, newest first
+   * @response 403 - Not an admin
+   */
+  fastify.get('/admin/users', {
+    schema: {
+      description: 'List users for support and moderation, newest first. Filter by account status (active, suspended, deleted = pending purge, purged), verified badge, role and join date, and search by part of an email address or by phone number. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ADMIN_USER_STATUSES },
+          verified: { type: 'boolean' },
+          role: { type: 'string', enum: ROLES },
+          created_from: { type: 'string', format: 'date' },
+          created_to: { type: 'string', format: 'date' },
+          q: { type: 'string', minLength: 1, maxLength: 255 },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          cursor: { type: 'string' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: userSummaryProperties
+              }
+            },
+            nextCursor: { type: 'string', nullable: true }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        403: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { status, verified, role, created_from: createdFrom, created_to: createdTo, q, limit, cursor } = request.query;
+    const after = decodeCursor(cursor);
+
+    if (cursor && (!after || !Number.isInteger(after.id))) {
+      return sendError(reply, 400, 'Invalid cursor');
+    }
+
+    const rows = await listUsersForAdmin({ status, verified, role, createdFrom, createdTo, search: q, limit, after });
+    const page = paginate(rows, limit, (row) => ({ id: row.id }));
+
+    return reply.send({
+      success: true,
+      data: page.items,
+      nextCursor: page.nextCursor
+    });
+  });
+
+  /**
+   * @route GET /api/v1/admin/users/:userId
+   * @description Get the full record of a user (recorded in the audit log)
+   * @tags admin
+   * @security BearerAuth
+   * @param {number} userId - User ID
+   * @response 200 - Full user record with activity counts, lockout events and recent admin actions
+   * @response 404 - User not found
+   */
+  fastify.get('/admin/users/:userId', {
+    schema: {
+      description: 'Get the full record of any user, including deleted and suspended accounts: private profile fields, account and security state, activity counts, recent lockout events and recent admin actions. Secrets (password and token hashes, 2FA secret) are never returned. Each lookup is recorded in the audit log. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: userRecordSchema
+          }
+        },
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const record = await getUserRecordForAdmin(userId);
+
+    if (!record) {
+      return sendError(reply, 404, 'User not found');
+    }
+
+    await recordAdminAction({ ...getActor(request), action: 'view_user', targetUserId: userId });
+
+    return reply.send({
+      success: true,
+      data: record
+    });
+  });
+
+  /**
+   * @route POST /api/v1/admin/users/:userId/suspend
+   * @description Suspend a user and log out every session
+   * @tags admin
+   * @security BearerAuth
+   * @param {number} userId - User ID
+   * @body {string} reason - Suspension reason
+   * @response 200 - User suspended
+   * @response 403 - Admin accounts cannot be suspended
+   * @response 404 - User not found
+   * @response 409 - Already suspended
+   */
+  fastify.post('/admin/users/:userId/suspend', {
+    schema: {
+      description: 'Suspend a user. Every session is logged out, and logging in, refreshing tokens and using API keys are refused with 403 until the suspension is lifted. Admin accounts cannot be suspended. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      body: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+          reason: reasonProperty
+        }
+      },
+      response: {
+        200: userActionResponseSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema,
+        409: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const result = await suspendUser(userId, getActor(request));
+
+    if (result === 'not_found') {
+      return sendError(reply, 404, 'User not found');
+    }
+
+    if (result === 'protected') {
+      return sendError(reply, 403, 'Admin accounts cannot be suspended');
+    }
+
+    if (result === 'already_suspended') {
+      return sendError(reply, 409, 'User is already suspended');
+    }
+
+    await revokeAllSessions(userId);
+
+    return sendUpdatedUser(reply, userId, 'User suspended');
+  });
+
+  /**
+   * @route POST /api/v1/admin/users/:userId/unsuspend
+   * @description Lift a user's suspension
+   * @tags admin
+   * @security BearerAuth
+   * @param {number} userId - User ID
+   * @body {string} reason - Reason for lifting the suspension
+   * @response 200 - Suspension lifted
+   * @response 404 - User not found
+   * @response 409 - User is not suspended
+   */
+  fastify.post('/admin/users/:userId/unsuspend', {
+    schema: {
+      description: 'Lift a suspension. The user can log in again; sessions logged out by the suspension are not restored. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      body: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+          reason: reasonProperty
+        }
+      },
+      response: {
+        200: userActionResponseSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema,
+        409: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const result = await unsuspendUser(userId, getActor(request));
+
+    if (result === 'not_found') {
+      return sendError(reply, 404, 'User not found');
+    }
+
+    if (result === 'not_suspended') {
+      return sendError(reply, 409, 'User is not suspended');
+    }
+
+    return sendUpdatedUser(reply, userId, 'Suspension lifted');
+  });
+
+  /**
+   * @route PUT /api/v1/admin/users/:userId/verified
+   * @description Grant or remove the verified badge
+   * @tags admin
+   * @security BearerAuth
+   * @param {number} userId - User ID
+   * @body {boolean} is_verified - Badge state
+   * @body {string} [reason] - Reason
+   * @response 200 - Badge updated (or already in the requested state)
+   * @response 404 - User not found
+   */
+  fastify.put('/admin/users/:userId/verified', {
+    schema: {
+      description: 'Grant or remove the verified badge (is_verified) shown on the profile. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      body: {
+        type: 'object',
+        required: ['is_verified'],
+        properties: {
+          is_verified: { type: 'boolean' },
+          reason: reasonProperty
+        }
+      },
+      response: {
+        200: userActionResponseSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const { is_verified: isVerified } = request.body;
+    const result = await setUserVerified(userId, isVerified, getActor(request));
+
+    if (result === 'not_found') {
+      return sendError(reply, 404, 'User not found');
+    }
+
+    const message = result === 'unchanged'
+      ? `User is already ${isVerified ? 'verified' : 'unverified'}`
+      : `Verified badge ${isVerified ? 'granted' : 'removed'}`;
+
+    return sendUpdatedUser(reply, userId, message);
+  });
+
+  /**
+   * @route POST /api/v1/admin/users/:userId/logout
+   * @description Log out every session of a user
+   * @tags admin
+   * @security BearerAuth
+   * @param {number} userId - User ID
+   * @body {string} [reason] - Reason
+   * @response 200 - All sessions logged out
+   * @response 404 - User not found
+   */
+  fastify.post('/admin/users/:userId/logout', {
+    schema: {
+      description: 'Force logout: revoke every refresh token and invalidate access tokens issued so far. The user can log in again immediately (suspend the account to prevent that). Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      body: {
+        type: 'object',
+        properties: {
+          reason: reasonProperty
+        }
+      },
+      response: {
+        200: userActionResponseSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const user = await getUserSummaryForAdmin(userId);
+
+    if (!user || user.purged_at) {
+      return sendError(reply, 404, 'User not found');
+    }
+
+    await revokeAllSessions(userId);
+    await recordAdminAction({ ...getActor(request), action: 'force_logout', targetUserId: userId });
+
+    return sendUpdatedUser(reply, userId, 'All sessions have been logged out');
+  });
+
+  /**
+   * @route POST /api/v1/admin/users/:userId/restore
+   * @description Restore a soft-deleted user
+   * @tags admin
+   * @security BearerAuth
+   * @param {number} userId - User ID
+   * @body {string} [reason] - Reason
+   * @response 200 - Account restored
+   * @response 404 - User not found
+   * @response 409 - Not deleted, or already purged
+   */
+  fastify.post('/admin/users/:userId/restore', {
+    schema: {
+      description: 'Restore an account that was deleted (soft-deleted) by its owner. Works until the purge job has anonymized the account, even after the grace period has ended. Suspensions are not lifted by restoring. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      body: {
+        type: 'object',
+        properties: {
+          reason: reasonProperty
+        }
+      },
+      response: {
+        200: userActionResponseSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema,
+        409: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const result = await restoreDeletedUser(userId, getActor(request));
+
+    if (result === 'not_found') {
+      return sendError(reply, 404, 'User not found');
+    }
+
+    if (result === 'not_deleted') {
+      return sendError(reply, 409, 'User is not deleted');
+    }
+
+    if (result === 'purged') {
+      return sendError(reply, 409, 'Account has already been purged and cannot be restored');
+    }
+
+    return sendUpdatedUser(reply, userId, 'Account restored');
+  });
+
+  /**
+   * @route GET /api/v1/admin/audit-logs
+   * @description List admin actions
+   * @tags admin
+   * @security BearerAuth
+   * @query {number} [admin_id] - Acting admin
+   * @query {number} [target_user_id] - Affected user
+   * @query {string} [action] - view_user | suspend | unsuspend | verify | unverify | force_logout | restore
+   * @query {number} [limit=50] - Page size (max 100)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Audit log entries, newest first
+   */
+  fastify.get('/admin/audit-logs', {
+    schema: {
+      description: 'List the audit trail of admin actions, newest first. Filter by acting admin, affected user or action. Requires the admin role.',
+      tags: ['admin'],
+      security: [{ BearerAuth: [] }],
+      querystring: {
+        type: 'object',
+        properties: {
+          admin_id: { type: 'integer', minimum: 1 },
+          target_user_id: { type: 'integer', minimum: 1 },
+          action: { type: 'string', enum: ADMIN_AUDIT_ACTIONS },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          cursor: { type: 'string' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: auditLogSchema
+            },
+            nextCursor: { type: 'string', nullable: true }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        403: errorSchema
+      }
+    },
+    preHandler: adminOnly
+  }, async (request, reply) => {
+    const { admin_id: adminId, target_user_id: targetUserId, action, limit, cursor } = request.query;
+    const after = decodeCursor(cursor);
+
+    if (cursor && (!after || !Number.isInteger(after.id))) {
+      return sendError(reply, 400, 'Invalid cursor');
+    }
+
+    const rows = await getAdminAuditLogs({ adminId, targetUserId, action, limit, after });
+    const page = paginate(rows, limit, (row) => ({ id: row.id }));
+
+    return reply.send({
+      success: true,
+      data: page.items,
+      nextCursor: page.nextCursor
+    });
+  });
+}
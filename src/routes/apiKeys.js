@@ -0,0 +1,288 @@
+/**
+ * API Key Routes
+ * 외부 플랫폼 연동용 API 키 발급/조회/회전/폐기
+ */
+import {
+  createApiKey,
+  getApiKeysByUser,
+  countActiveApiKeys,
+  rotateApiKey,
+  revokeApiKey
+} from '../models/ApiKey.js';
+import { generateApiKey } from '../utils/tokens.js';
+import { API_KEY_SCOPES, MAX_API_KEYS_PER_USER } from '../config/apiKeys.js';
+
+const apiKeySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    key_prefix: { type: 'string' },
+    name: { type: 'string', nullable: true },
+    platform: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string' } },
+    is_active: { type: 'boolean' },
+    expires_at: { type: 'string', nullable: true },
+    last_used_at: { type: 'string', nullable: true },
+    revoked_at: { type: 'string', nullable: true },
+    created_at: { type: 'string' }
+  }
+};
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+export default async function apiKeyRoutes(fastify) {
+  /**
+   * @route POST /api/v1/api-keys
+   * @description Create an API key. The plaintext key is returned only once.
+   * @tags api-keys
+   * @security BearerAuth
+   * @body {string} platform - Platform name (e.g., partner_crm)
+   * @body {string} [name] - Friendly name
+   * @body {Array<string>} scopes - Granted scopes
+   * @body {number} [expiresInDays] - Days until expiry (omit for no expiry)
+   * @response 201 - Key created
+   * @response 400 - Validation error or key limit reached
+   */
+  fastify.post('/api-keys', {
+    schema: {
+      description: `Create an API key for partner integrations. The plaintext key is only included in this response. Available scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}.`,
+      tags: ['api-keys'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['platform', 'scopes'],
+        properties: {
+          platform: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 100
+          },
+          name: {
+            type: 'string',
+            maxLength: 255
+          },
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            uniqueItems: true,
+            items: { type: 'string', enum: Object.keys(API_KEY_SCOPES) }
+          },
+          expiresInDays: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 3650
+          }
+        }
+      },
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                ...apiKeySchema.properties,
+                key: { type: 'string', description: 'Plaintext API key. Store it now; it cannot be shown again.' }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { platform, name, scopes, expiresInDays } = request.body;
+    const userId = request.user.id;
+
+    if (await countActiveApiKeys(userId) >= MAX_API_KEYS_PER_USER) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys`
+      });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const apiKey = await createApiKey({
+      userId,
+      keyPrefix: prefix,
+      keyHash: hash,
+      platform,
+      name,
+      scopes,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return reply.code(201).send({
+      success: true,
+      message: 'API key created. Store the key now; it will not be shown again.',
+      data: {
+        ...apiKey,
+        key
+      }
+    });
+  });
+
+  /**
+   * @route GET /api/v1/api-keys
+   * @description List API keys of the logged in user (without secrets)
+   * @tags api-keys
+   * @security BearerAuth
+   * @response 200 - API keys
+   */
+  fastify.get('/api-keys', {
+    schema: {
+      description: 'List API keys of the logged in user. Only the key prefix is shown.',
+      tags: ['api-keys'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: apiKeySchema
+            }
+          }
+        },
+        401: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const apiKeys = await getApiKeysByUser(request.user.id);
+
+    return reply.send({
+      success: true,
+      data: apiKeys
+    });
+  });
+
+  /**
+   * @route POST /api/v1/api-keys/:keyId/rotate
+   * @description Replace the secret of an API key. The old key stops working immediately.
+   * @tags api-keys
+   * @security BearerAuth
+   * @param {number} keyId - API key ID
+   * @response 200 - New plaintext key
+   * @response 404 - Key not found or revoked
+   */
+  fastify.post('/api-keys/:keyId/rotate', {
+    schema: {
+      description: 'Rotate an API key. A new secret is returned once and the previous key stops working immediately. Name, platform, scopes and expiry are kept.',
+      tags: ['api-keys'],
+      security: [{ BearerAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          keyId: { type: 'number' }
+        },
+        required: ['keyId']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                ...apiKeySchema.properties,
+                key: { type: 'string', description: 'Plaintext API key. Store it now; it cannot be shown again.' }
+              }
+            }
+          }
+        },
+        401: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { keyId } = request.params;
+    const { key, prefix, hash } = generateApiKey();
+
+    const apiKey = await rotateApiKey(keyId, request.user.id, prefix, hash);
+
+    if (!apiKey) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'API key rotated. Store the new key now; it will not be shown again.',
+      data: {
+        ...apiKey,
+        key
+      }
+    });
+  });
+
+  /**
+   * @route DELETE /api/v1/api-keys/:keyId
+   * @description Revoke an API key
+   * @tags api-keys
+   * @security BearerAuth
+   * @param {number} keyId - API key ID
+   * @response 200 - Key revoked
+   * @response 404 - Key not found or already revoked
+   */
+  fastify.delete('/api-keys/:keyId', {
+    schema: {
+      description: 'Revoke an API key. Revoked keys cannot be used or rotated.',
+      tags: ['api-keys'],
+      security: [{ BearerAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          keyId: { type: 'number' }
+        },
+        required: ['keyId']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        401: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { keyId } = request.params;
+
+    if (!(await revokeApiKey(keyId, request.user.id))) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'API key revoked'
+    });
+  });
+}
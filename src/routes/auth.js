@@ -5,35 +5,126 @@ import bcrypt from 'bcryptjs';
 import {
   createUser,
   emailExists,
-  usernameExists,
-  phoneNumberExists,
+  checkUsernameAvailability,
+  verifiedPhoneNumberExists,
   setEmailVerificationCode,
   verifyEmailCode,
-  getUserByEmail
+  getUserByEmail,
+  getUserByLoginIdentifier,
+  getUserForLogin,
+  getUserById,
+  restoreUser,
+  getEmailVerificationState,
+  updatePassword,
+  getAccountSecurity
 } from '../models/User.js';
+import {
+  getRefreshTokenByHash,
+  revokeRefreshTokenFamily
+} from '../models/RefreshToken.js';
+import {
+  createPasswordResetToken,
+  getLastPasswordResetRequestAt,
+  consumePasswordResetToken
+} from '../models/PasswordResetToken.js';
+import {
+  recordLoginAttempt,
+  countRecentFailedLoginsByIp,
+  setUnlockToken,
+  resetLoginFailures,
+  unlockAccountByToken,
+  recordLockoutEvent
+} from '../models/LoginSecurity.js';
+import { getTwoFactorState, verifySecondFactor } from '../models/TwoFactor.js';
+import {
+  generateOpaqueToken,
+  hashToken,
+  signTwoFactorChallenge,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  issueAuthTokens,
+  rotateAuthTokens,
+  revokeSession,
+  revokeAllSessions
+} from '../utils/tokens.js';
+import { generateNumericCode, hashCode } from '../utils/otp.js';
+import { sendMail } from '../utils/mailer.js';
+import { emailVerificationMail, passwordResetMail, accountLockedMail } from '../utils/mailTemplates.js';
+import { EMAIL_VERIFICATION, PASSWORD_RESET } from '../config/verification.js';
+import { LOGIN_PROTECTION } from '../config/security.js';
+import { validatePassword, PASSWORD_MIN_LENGTH } from '../utils/passwordPolicy.js';
+import { getClientInfo } from '../utils/device.js';
+import { normalizePhoneNumber, DEFAULT_PHONE_COUNTRY, PHONE_NUMBER_PATTERN } from '../utils/phone.js';
+import { profileFieldProperties, normalizeProfileFields } from '../utils/profileFields.js';
+import { createUnlockToken, handleFailedLogin, beginCredentialCheck, verifyCurrentPassword } from '../utils/loginProtection.js';
+
+/**
+ * Generate, store and mail a new email verification code
+ * @param {string} email - User email
+ * @returns {Promise<void>}
+ */
+async function sendEmailVerificationCode(email) {
+  const code = generateNumericCode(EMAIL_VERIFICATION.codeLength);
+  await setEmailVerificationCode(email, await hashCode(code));
+  await sendMail({ to: email, ...emailVerificationMail(code, EMAIL_VERIFICATION.ttlMinutes) });
+}
+
+/**
+ * User fields returned after a successful login (비밀번호 제외)
+ * @param {Object} user - User object
+ * @returns {Object} Login response data
+ */
+function formatLoginUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    uid: user.uid,
+    profile_image: user.profile_image,
+    bio: user.bio,
+    real_name: user.real_name,
+    role: user.role,
+    email_verified: user.email_verified,
+    phone_verified: user.phone_verified,
+    created_at: user.created_at
+  };
+}
+
+// 로그인 실패 시 공통 메시지 (계정 존재 여부나 일치한 ID 종류를 드러내지 않음)
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid login ID or password';
 
 export default async function authRoutes(fastify) {
   /**
    * @route POST /api/v1/auth/login
-   * @description Login user with email and password
+   * @description Login with email, username, UID or verified phone number and password
    * @tags auth
-   * @body {string} email - User email (used as login ID)
+   * @body {string} identifier - Email, username, 7-digit UID or verified phone number
+   * @body {string} [email] - Deprecated alias of identifier
    * @body {string} password - User password
-   * @response 200 - Login successful, returns user data
+   * @response 200 - Login successful, returns user data with access and refresh tokens (restores accounts pending deletion)
    * @response 401 - Invalid credentials
    * @response 400 - Validation error
+   * @response 403 - Account suspended by an admin
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Too many attempts, retry after the Retry-After delay
    */
   fastify.post('/auth/login', {
     schema: {
-      description: 'Login user with email and password. Returns user information on success.',
+      description: 'Login with a single identifier (email, username, 7-digit UID or verified phone number) and password. Returns user information, a short-lived access token and a refresh token on success. Accounts with two-factor authentication get a challengeToken instead, to be completed at /auth/2fa/verify.',
       tags: ['auth'],
       body: {
         type: 'object',
-        required: ['email', 'password'],
+        required: ['password'],
         properties: {
-          email: { 
+          identifier: {
             type: 'string',
-            format: 'email'
+            minLength: 1,
+            maxLength: 255,
+            description: 'Email, username, UID or verified phone number'
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Deprecated: use identifier'
           },
           password: { 
             type: 'string',
@@ -57,10 +148,20 @@ export default async function authRoutes(fastify) {
                 profile_image: { type: 'string' },
                 bio: { type: 'string' },
                 real_name: { type: 'string' },
+                role: { type: 'string' },
                 email_verified: { type: 'boolean' },
+                phone_verified: { type: 'boolean' },
                 created_at: { type: 'string' }
               }
-            }
+            },
+            token: { type: 'string', description: 'Access token (JWT)' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'number', description: 'Access token lifetime in seconds' },
+            refreshTokenExpiresAt: { type: 'string' },
+            twoFactorRequired: { type: 'boolean', description: 'True when a second factor must be submitted to /auth/2fa/verify' },
+            challengeToken: { type: 'string', description: 'Short-lived token for /auth/2fa/verify' },
+            challengeExpiresIn: { type: 'number', description: 'Challenge token lifetime in seconds' },
+            accountRestored: { type: 'boolean', description: 'True when a pending account deletion was cancelled by this login' }
           }
         },
         401: {
@@ -70,30 +171,68 @@ export default async function authRoutes(fastify) {
             error: { type: 'string' },
             message: { type: 'string' }
           }
+        },
+        403: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        423: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        429: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
         }
       }
     }
   }, async (request, reply) => {
-    const { email, password } = request.body;
+    const { password } = request.body;
+    const identifier = (request.body.identifier || request.body.email || '').trim();
 
     // 입력 검증
-    if (!email || !password) {
+    if (!identifier || !password) {
       return reply.code(400).send({
         statusCode: 400,
         error: 'Bad Request',
-        message: 'Email and password are required'
+        message: 'Login ID and password are required'
       });
     }
 
     try {
-      // 이메일로 사용자 조회
-      const user = await getUserByEmail(email);
+      // IP 단위 실패 횟수 제한
+      const ipFailures = await countRecentFailedLoginsByIp(request.ip);
+      if (ipFailures >= LOGIN_PROTECTION.ipMaxFailures) {
+        reply.header('Retry-After', LOGIN_PROTECTION.ipWindowMinutes * 60);
+        return reply.code(429).send({
+          statusCode: 429,
+          error: 'Too Many Requests',
+          message: 'Too many failed login attempts. Please try again later.'
+        });
+      }
+
+      // 이메일/사용자명/UID/인증된 핸드폰 번호로 사용자 조회
+      // 어떤 종류의 ID가 일치했는지는 응답에 드러내지 않음
+      const user = await getUserByLoginIdentifier(identifier);
 
       if (!user) {
+        await recordLoginAttempt({ identifier, ipAddress: request.ip, success: false });
         return reply.code(401).send({
           statusCode: 401,
           error: 'Unauthorized',
-          message: 'Invalid email or password'
+          message: INVALID_CREDENTIALS_MESSAGE
         });
       }
 
@@ -102,17 +241,43 @@ export default async function authRoutes(fastify) {
         return reply.code(401).send({
           statusCode: 401,
           error: 'Unauthorized',
-          message: 'Invalid email or password'
+          message: INVALID_CREDENTIALS_MESSAGE
+        });
+      }
+
+      // 계정 잠금 및 연속 실패 시 점진적 대기 시간 확인 (비밀번호 비교 전에 시도를 선점, 거부 시 비교하지 않음)
+      const throttle = await beginCredentialCheck(user.id);
+      if (throttle) {
+        if (throttle.retryAfter) {
+          reply.header('Retry-After', throttle.retryAfter);
+        }
+        return reply.code(throttle.statusCode).send({
+          statusCode: throttle.statusCode,
+          error: throttle.error,
+          message: throttle.message
         });
       }
 
       const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
       if (!isValidPassword) {
+        await handleFailedLogin(user, identifier, request.ip, fastify.log);
         return reply.code(401).send({
           statusCode: 401,
           error: 'Unauthorized',
-          message: 'Invalid email or password'
+          message: INVALID_CREDENTIALS_MESSAGE
+        });
+      }
+
+      await resetLoginFailures(user.id);
+      await recordLoginAttempt({ userId: user.id, identifier, ipAddress: request.ip, success: true });
+
+      // 정지 여부는 비밀번호가 맞은 경우에만 알려줌
+      if (user.suspended_at) {
+        return reply.code(403).send({
+          statusCode: 403,
+          error: 'Forbidden',
+          message: 'Account is suspended'
         });
       }
 
@@ -125,31 +290,32 @@ export default async function authRoutes(fastify) {
       //   });
       // }
 
-      // JWT 토큰 생성
-      const token = fastify.jwt.sign({
-        id: user.id,
-        email: user.email,
-        username: user.username
-      }, {
-        expiresIn: '7d' // 7일간 유효
-      });
+      // 2단계 인증 사용 중이면 토큰 대신 챌린지 토큰 반환
+      // (탈퇴 유예 중인 계정은 2단계 인증까지 마친 뒤 /auth/2fa/verify에서 복구)
+      const twoFactor = await getTwoFactorState(user.id);
+      if (twoFactor && twoFactor.totp_enabled) {
+        return reply.send({
+          success: true,
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(fastify, user),
+          challengeExpiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+        });
+      }
+
+      // 탈퇴 유예 기간 중인 계정은 로그인으로 복구
+      const accountRestored = user.deleted_at ? await restoreUser(user.id) : false;
+
+      // Access token + refresh token 발급 (새 토큰 패밀리 시작)
+      const tokens = await issueAuthTokens(fastify, user, getClientInfo(request));
 
       // 로그인 성공 - 사용자 정보와 토큰 반환 (비밀번호 제외)
       return reply.send({
         success: true,
-        message: 'Login successful',
-        data: {
-          id: user.id,
-          email: user.email,
-          username: user.username,
-          uid: user.uid,
-          profile_image: user.profile_image,
-          bio: user.bio,
-          real_name: user.real_name,
-          email_verified: user.email_verified,
-          created_at: user.created_at
-        },
-        token: token
+        message: accountRestored ? 'Login successful. Your account has been restored.' : 'Login successful',
+        data: formatLoginUser(user),
+        accountRestored,
+        ...tokens
       });
     } catch (error) {
       fastify.log.error('Login error:', error);
@@ -161,6 +327,288 @@ export default async function authRoutes(fastify) {
     }
   });
 
+  /**
+   * @route POST /api/v1/auth/2fa/verify
+   * @description Complete a two-factor login
+   * @tags auth
+   * @body {string} challengeToken - Challenge token from /auth/login
+   * @body {string} [code] - 6-digit authenticator code
+   * @body {string} [recoveryCode] - One-time recovery code (instead of code)
+   * @response 200 - Login successful, returns user data with access and refresh tokens (restores accounts pending deletion)
+   * @response 401 - Invalid challenge token or code
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Too many attempts, retry after the Retry-After delay
+   */
+  fastify.post('/auth/2fa/verify', {
+    schema: {
+      description: 'Second step of a two-factor login. Exchange the challenge token and an authenticator code (or a recovery code) for access and refresh tokens.',
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['challengeToken'],
+        properties: {
+          challengeToken: {
+            type: 'string',
+            minLength: 1
+          },
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$'
+          },
+          recoveryCode: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                id: { type: 'number' },
+                email: { type: 'string' },
+                username: { type: 'string' },
+                uid: { type: 'string' },
+                profile_image: { type: 'string' },
+                bio: { type: 'string' },
+                real_name: { type: 'string' },
+                role: { type: 'string' },
+                email_verified: { type: 'boolean' },
+                phone_verified: { type: 'boolean' },
+                created_at: { type: 'string' }
+              }
+            },
+            token: { type: 'string', description: 'Access token (JWT)' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'number', description: 'Access token lifetime in seconds' },
+            refreshTokenExpiresAt: { type: 'string' },
+            accountRestored: { type: 'boolean', description: 'True when a pending account deletion was cancelled by this login' }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { challengeToken, code, recoveryCode } = request.body;
+
+    if (!code && !recoveryCode) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Either code or recoveryCode is required'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = fastify.jwt.verify(challengeToken);
+    } catch (error) {
+      challenge = null;
+    }
+
+    if (!challenge || challenge.type !== '2fa_challenge') {
+      return reply.code(401).send({
+        statusCode: 401,
+        error: 'Unauthorized',
+        message: 'Invalid or expired challenge token. Please log in again.'
+      });
+    }
+
+    try {
+      const user = await getUserForLogin(challenge.id);
+
+      // 탈퇴 유예 중인 계정은 is_active = FALSE 이므로 deleted_at 으로 구분
+      if (!user || (!user.is_active && !user.deleted_at) || user.suspended_at) {
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Invalid or expired challenge token. Please log in again.'
+        });
+      }
+
+      // 코드 추측도 로그인 실패와 같은 잠금/대기 규칙 적용
+      const throttle = await beginCredentialCheck(user.id);
+      if (throttle) {
+        if (throttle.retryAfter) {
+          reply.header('Retry-After', throttle.retryAfter);
+        }
+        return reply.code(throttle.statusCode).send({
+          statusCode: throttle.statusCode,
+          error: throttle.error,
+          message: throttle.message
+        });
+      }
+
+      if (!(await verifySecondFactor(user.id, { code, recoveryCode }))) {
+        await handleFailedLogin(user, user.email, request.ip, fastify.log);
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Invalid two-factor authentication code'
+        });
+      }
+
+      await resetLoginFailures(user.id);
+
+      // 비밀번호와 2단계 인증을 모두 통과한 뒤에만 탈퇴 유예 계정 복구
+      const accountRestored = user.deleted_at ? await restoreUser(user.id) : false;
+
+      const tokens = await issueAuthTokens(fastify, user, getClientInfo(request));
+
+      return reply.send({
+        success: true,
+        message: accountRestored ? 'Login successful. Your account has been restored.' : 'Login successful',
+        data: formatLoginUser(user),
+        accountRestored,
+        ...tokens
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'An error occurred during two-factor verification'
+      });
+    }
+  });
+
+  /**
+   * @route POST /api/v1/auth/refresh
+   * @description Exchange a refresh token for a new access/refresh token pair
+   * @tags auth
+   * @body {string} refreshToken - Refresh token issued by login or a previous refresh
+   * @response 200 - New token pair. The submitted refresh token can no longer be used.
+   * @response 401 - Invalid, expired or reused refresh token
+   */
+  fastify.post('/auth/refresh', {
+    schema: {
+      description: 'Rotate a refresh token. Each refresh token can be used once; presenting an already used token revokes every token issued from the same login.',
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            token: { type: 'string', description: 'Access token (JWT)' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'number', description: 'Access token lifetime in seconds' },
+            refreshTokenExpiresAt: { type: 'string' }
+          }
+        },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { refreshToken } = request.body;
+
+    try {
+      const storedToken = await getRefreshTokenByHash(hashToken(refreshToken));
+
+      if (!storedToken) {
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Invalid refresh token'
+        });
+      }
+
+      // 이미 사용(회전)되었거나 폐기된 토큰 → 탈취 가능성이 있으므로 패밀리 전체 폐기
+      if (storedToken.is_revoked) {
+        await revokeRefreshTokenFamily(storedToken.family_id);
+        fastify.log.warn({ userId: storedToken.user_id, familyId: storedToken.family_id }, 'Refresh token reuse detected');
+
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Refresh token has been revoked. Please log in again.'
+        });
+      }
+
+      if (new Date(storedToken.expires_at) <= new Date()) {
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Refresh token expired. Please log in again.'
+        });
+      }
+
+      const user = await getUserById(storedToken.user_id);
+
+      if (!user || !user.is_active || user.suspended_at) {
+        await revokeRefreshTokenFamily(storedToken.family_id);
+
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Invalid refresh token'
+        });
+      }
+
+      const tokens = await rotateAuthTokens(fastify, user, storedToken, getClientInfo(request));
+
+      // 동시에 같은 토큰으로 회전을 시도한 경우도 재사용으로 간주
+      if (!tokens) {
+        await revokeRefreshTokenFamily(storedToken.family_id);
+        fastify.log.warn({ userId: storedToken.user_id, familyId: storedToken.family_id }, 'Refresh token reuse detected');
+
+        return reply.code(401).send({
+          statusCode: 401,
+          error: 'Unauthorized',
+          message: 'Refresh token has been revoked. Please log in again.'
+        });
+      }
+
+      return reply.send({
+        success: true,
+        ...tokens
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'An error occurred while refreshing the token'
+      });
+    }
+  });
+
   /**
    * @route GET /api/v1/auth/me
    * @description Get current logged in user information
@@ -189,7 +637,9 @@ export default async function authRoutes(fastify) {
                 profile_image: { type: 'string' },
                 bio: { type: 'string' },
                 real_name: { type: 'string' },
+                role: { type: 'string' },
                 email_verified: { type: 'boolean' },
+                phone_verified: { type: 'boolean' },
                 created_at: { type: 'string' }
               }
             }
@@ -211,8 +661,8 @@ export default async function authRoutes(fastify) {
       // JWT에서 사용자 정보 가져오기
       const userId = request.user.id;
       
-      // 사용자 정보 조회
-      const user = await getUserByEmail(request.user.email);
+      // 사용자 정보 조회 (이메일은 변경될 수 있으므로 ID로 조회)
+      const user = await getUserById(userId);
 
       if (!user) {
         return reply.code(404).send({
@@ -233,7 +683,9 @@ export default async function authRoutes(fastify) {
           profile_image: user.profile_image,
           bio: user.bio,
           real_name: user.real_name,
+          role: user.role,
           email_verified: user.email_verified,
+          phone_verified: user.phone_verified,
           created_at: user.created_at
         }
       });
@@ -249,14 +701,17 @@ export default async function authRoutes(fastify) {
 
   /**
    * @route POST /api/v1/auth/logout
-   * @description Logout user (clears session/token on client side)
+   * @description Logout this device (revokes the current access token and its refresh token)
    * @tags auth
+   * @security BearerAuth
    * @response 200 - Logout successful
+   * @response 401 - Unauthorized
    */
   fastify.post('/auth/logout', {
     schema: {
-      description: 'Logout user. This endpoint clears server-side session if any. Client should clear local storage and tokens.',
+      description: 'Logout this device. The current access token and the refresh token issued with it are revoked on the server.',
       tags: ['auth'],
+      security: [{ BearerAuth: [] }],
       response: {
         200: {
           type: 'object',
@@ -264,28 +719,101 @@ export default async function authRoutes(fastify) {
             success: { type: 'boolean' },
             message: { type: 'string' }
           }
-        }
+        },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
       }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      await revokeSession(request.user);
+
+      return reply.send({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'An error occurred during logout'
+      });
     }
+  });
+
+  /**
+   * @route POST /api/v1/auth/logout-all
+   * @description Logout from every device
+   * @tags auth
+   * @security BearerAuth
+   * @response 200 - All sessions revoked
+   * @response 401 - Unauthorized
+   */
+  fastify.post('/auth/logout-all', {
+    schema: {
+      description: 'Logout everywhere. Every access token and refresh token issued to the user so far is revoked.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    },
+    preHandler: [fastify.authenticate]
   }, async (request, reply) => {
-    // 로그아웃 처리 (현재는 클라이언트 측에서 토큰/세션을 제거)
-    // 향후 JWT 토큰 블랙리스트나 세션 관리가 필요하면 여기에 추가
-    
-    return reply.send({
-      success: true,
-      message: 'Logout successful'
-    });
+    try {
+      await revokeAllSessions(request.user.id);
+
+      return reply.send({
+        success: true,
+        message: 'Logged out from all devices'
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'An error occurred during logout'
+      });
+    }
   });
+
   /**
    * @route POST /api/v1/auth/register
    * @description Register a new user with email verification
    * @tags auth
    * @body {string} email - User email (used as login ID)
    * @body {string} username - Username (nickname for display)
-   * @body {string} password - Password (minimum 6 characters)
+   * @body {string} password - Password (must satisfy the password policy)
    * @body {string} realName - Real name (user's actual name)
    * @body {string} birthDate - Birth date (format: YYYY-MM-DD)
-   * @body {string} phoneNumber - Phone number (international format starting with +, e.g., +82010-1234-5678)
+   * @body {string} phoneNumber - Phone number (e.g., +82 10-1234-5678, or 010-1234-5678 with phoneCountry)
+   * @body {string} [phoneCountry] - ISO country code for numbers without + (default: KR)
+   * @body {string} [displayName] - Display name
+   * @body {string} [bio] - Bio/status message
+   * @body {string} [pronouns] - Pronouns
+   * @body {Array} [links] - Up to 5 external links [{ title, url }]
    * @response 201 - User registered successfully. Email verification required.
    * @response 400 - Validation error (email/username/phone already exists or invalid format)
    */
@@ -305,11 +833,11 @@ export default async function authRoutes(fastify) {
             type: 'string',
             minLength: 3,
             maxLength: 50,
-            description: 'Username (nickname) for display purposes'
+            description: 'Username (nickname) for display purposes. Letters, numbers, underscores and periods; not only numbers. Check availability with GET /users/username-available.'
           },
           password: {
             type: 'string',
-            minLength: 6
+            minLength: PASSWORD_MIN_LENGTH
           },
           realName: {
             type: 'string',
@@ -323,9 +851,20 @@ export default async function authRoutes(fastify) {
           },
           phoneNumber: {
             type: 'string',
-            pattern: '^\\+[0-9-]+$',
-            description: 'Phone number in international format (must start with +, e.g., +82010-1234-5678)'
-          }
+            pattern: PHONE_NUMBER_PATTERN,
+            maxLength: 32,
+            description: 'Phone number. Stored in E.164 format (e.g., +82 10-1234-5678 → +821012345678)'
+          },
+          phoneCountry: {
+            type: 'string',
+            pattern: '^[A-Z]{2}$',
+            description: `ISO 3166-1 country code used when phoneNumber has no + prefix (default: ${DEFAULT_PHONE_COUNTRY})`
+          },
+          // 프로필 항목 (선택, PUT /users/:userId/profile과 같은 규칙)
+          displayName: profileFieldProperties.display_name,
+          bio: profileFieldProperties.bio,
+          pronouns: profileFieldProperties.pronouns,
+          links: profileFieldProperties.links
         }
       },
       response: {
@@ -355,7 +894,7 @@ export default async function authRoutes(fastify) {
       }
     }
   }, async (request, reply) => {
-    const { email, username, password, realName, birthDate, phoneNumber } = request.body;
+    const { email, username, password, realName, birthDate, phoneCountry } = request.body;
 
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -376,17 +915,29 @@ export default async function authRoutes(fastify) {
       });
     }
 
-    // Check if username already exists
-    if (await usernameExists(username)) {
+    // 사용자명 형식, 예약어, 중복, 최근 해제된 사용자명 (GET /users/username-available과 같은 검사)
+    const usernameCheck = await checkUsernameAvailability(username);
+    if (!usernameCheck.available) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: usernameCheck.message
+      });
+    }
+
+    // E.164로 정규화 (같은 번호의 다른 표기를 하나로 취급)
+    const phone = normalizePhoneNumber(request.body.phoneNumber, phoneCountry);
+    if (!phone) {
       return reply.code(400).send({
         statusCode: 400,
         error: 'Bad Request',
-        message: 'Username already exists'
+        message: 'Invalid phone number'
       });
     }
+    const phoneNumber = phone.number;
 
-    // Check if phone number already exists
-    if (await phoneNumberExists(phoneNumber)) {
+    // 인증된 계정이 사용 중인 번호만 중복으로 처리
+    if (await verifiedPhoneNumberExists(phoneNumber)) {
       return reply.code(400).send({
         statusCode: 400,
         error: 'Bad Request',
@@ -404,6 +955,30 @@ export default async function authRoutes(fastify) {
       });
     }
 
+    // Check password policy
+    const passwordError = validatePassword(password, { email, username });
+    if (passwordError) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: passwordError
+      });
+    }
+
+    const profileFields = normalizeProfileFields({
+      display_name: request.body.displayName,
+      bio: request.body.bio,
+      pronouns: request.body.pronouns,
+      links: request.body.links
+    });
+    if (profileFields.error) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: profileFields.error
+      });
+    }
+
     // Hash password
     const passwordHash = await bcrypt.hash(password, 10);
 
@@ -413,14 +988,21 @@ export default async function authRoutes(fastify) {
         email,
         username,
         passwordHash,
+        displayName: profileFields.data.display_name,
+        bio: profileFields.data.bio,
+        pronouns: profileFields.data.pronouns,
+        profileLinks: profileFields.data.profile_links,
         realName,
         birthDate,
         phoneNumber
       });
 
-      // Send verification code (fixed to 123456 for now)
-      const verificationCode = '123456';
-      await setEmailVerificationCode(email, verificationCode);
+      // 인증 코드 발송 실패는 가입 실패로 보지 않음 (send-verification으로 재발송 가능)
+      try {
+        await sendEmailVerificationCode(email);
+      } catch (mailError) {
+        fastify.log.error(mailError);
+      }
 
       return reply.code(201).send({
         success: true,
@@ -447,11 +1029,12 @@ export default async function authRoutes(fastify) {
    * @tags auth
    * @body {string} email - User email address
    * @response 200 - Verification code sent successfully
-   * @response 400 - User not found with the provided email
+   * @response 400 - User not found with the provided email or already verified
+   * @response 429 - Resend requested too soon
    */
   fastify.post('/auth/send-verification', {
       schema: {
-      description: 'Resend email verification code. The verification code is fixed to "123456" for development purposes.',
+      description: `Resend email verification code. Codes expire after ${EMAIL_VERIFICATION.ttlMinutes} minutes and can be resent once every ${EMAIL_VERIFICATION.resendCooldownSeconds} seconds.`,
       tags: ['auth'],
       body: {
         type: 'object',
@@ -478,6 +1061,14 @@ export default async function authRoutes(fastify) {
             error: { type: 'string' },
             message: { type: 'string' }
           }
+        },
+        429: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
         }
       }
     }
@@ -485,7 +1076,8 @@ export default async function authRoutes(fastify) {
     const { email } = request.body;
 
     // Check if email exists
-    if (!(await emailExists(email))) {
+    const state = await getEmailVerificationState(email);
+    if (!state) {
       return reply.code(400).send({
         statusCode: 400,
         error: 'Bad Request',
@@ -493,9 +1085,39 @@ export default async function authRoutes(fastify) {
       });
     }
 
-    // Send verification code (fixed to 123456 for now)
-    const verificationCode = '123456';
-    await setEmailVerificationCode(email, verificationCode);
+    if (state.email_verified) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Email already verified'
+      });
+    }
+
+    // 재발송 대기 시간 확인
+    if (state.email_verification_sent_at) {
+      const elapsedSeconds = (Date.now() - new Date(state.email_verification_sent_at).getTime()) / 1000;
+      const retryAfter = Math.ceil(EMAIL_VERIFICATION.resendCooldownSeconds - elapsedSeconds);
+
+      if (retryAfter > 0) {
+        reply.header('Retry-After', retryAfter);
+        return reply.code(429).send({
+          statusCode: 429,
+          error: 'Too Many Requests',
+          message: `Please wait ${retryAfter} seconds before requesting a new code`
+        });
+      }
+    }
+
+    try {
+      await sendEmailVerificationCode(email);
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Failed to send verification code'
+      });
+    }
 
     return reply.send({
       success: true,
@@ -508,13 +1130,14 @@ export default async function authRoutes(fastify) {
    * @description Verify user email address with verification code
    * @tags auth
    * @body {string} email - User email address
-   * @body {string} code - Verification code (currently fixed to "123456" for development)
+   * @body {string} code - 6-digit verification code sent by email
    * @response 200 - Email verified successfully. User account is now active.
-   * @response 400 - Invalid verification code or code mismatch
+   * @response 400 - Invalid, expired or already used verification code
+   * @response 429 - Too many wrong attempts. A new code must be requested.
    */
   fastify.post('/auth/verify-email', {
       schema: {
-      description: 'Verify email address using the verification code. The code is currently fixed to "123456" for development purposes.',
+      description: `Verify email address using the verification code. After ${EMAIL_VERIFICATION.maxAttempts} wrong attempts the code is locked and a new one must be requested.`,
       tags: ['auth'],
       body: {
         type: 'object',
@@ -525,7 +1148,8 @@ export default async function authRoutes(fastify) {
             format: 'email'
           },
           code: {
-            type: 'string'
+            type: 'string',
+            pattern: '^\\d{6}$'
           }
         }
       },
@@ -544,6 +1168,14 @@ export default async function authRoutes(fastify) {
             error: { type: 'string' },
             message: { type: 'string' }
           }
+        },
+        429: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
         }
       }
     }
@@ -551,9 +1183,33 @@ export default async function authRoutes(fastify) {
     const { email, code } = request.body;
 
     // Verify code
-    const verified = await verifyEmailCode(email, code);
+    const result = await verifyEmailCode(email, code);
+
+    if (result === 'too_many_attempts') {
+      return reply.code(429).send({
+        statusCode: 429,
+        error: 'Too Many Requests',
+        message: 'Too many failed attempts. Please request a new verification code.'
+      });
+    }
+
+    if (result === 'expired') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Verification code expired. Please request a new verification code.'
+      });
+    }
 
-    if (!verified) {
+    if (result === 'already_verified') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Email already verified'
+      });
+    }
+
+    if (result !== 'verified') {
       return reply.code(400).send({
         statusCode: 400,
         error: 'Bad Request',
@@ -566,5 +1222,502 @@ export default async function authRoutes(fastify) {
       message: 'Email verified successfully'
     });
   });
-}
 
+  /**
+   * @route POST /api/v1/auth/password/forgot
+   * @description Request a password reset link by email
+   * @tags auth
+   * @body {string} email - Account email address
+   * @response 200 - Always returned, whether or not the email belongs to an account
+   */
+  fastify.post('/auth/password/forgot', {
+    schema: {
+      description: `Request a password reset link. A single-use link valid for ${PASSWORD_RESET.ttlMinutes} minutes is sent if the email belongs to an account. The response is the same either way.`,
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { email } = request.body;
+
+    // 계정 존재 여부를 노출하지 않도록 항상 같은 응답 반환
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    try {
+      const user = await getUserByEmail(email);
+
+      if (!user) {
+        return reply.send(response);
+      }
+
+      // 짧은 시간 내 반복 요청은 조용히 무시
+      const lastRequestAt = await getLastPasswordResetRequestAt(user.id);
+      if (lastRequestAt && Date.now() - new Date(lastRequestAt).getTime() < PASSWORD_RESET.requestCooldownSeconds * 1000) {
+        return reply.send(response);
+      }
+
+      const token = generateOpaqueToken(32);
+      await createPasswordResetToken({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET.ttlMinutes * 60 * 1000),
+        requestedIp: request.ip
+      });
+
+      const resetUrl = `${PASSWORD_RESET.url}?token=${encodeURIComponent(token)}`;
+      await sendMail({ to: user.email, ...passwordResetMail(resetUrl, PASSWORD_RESET.ttlMinutes) });
+    } catch (error) {
+      fastify.log.error(error);
+    }
+
+    return reply.send(response);
+  });
+
+  /**
+   * @route POST /api/v1/auth/password/reset
+   * @description Set a new password with a reset token
+   * @tags auth
+   * @body {string} token - Reset token from the email link
+   * @body {string} password - New password (must satisfy the password policy)
+   * @response 200 - Password changed. All existing sessions are logged out.
+   * @response 400 - Invalid, expired or already used token
+   */
+  fastify.post('/auth/password/reset', {
+    schema: {
+      description: 'Set a new password using the token from the reset email. The token can be used once, and every existing session of the user is revoked.',
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: {
+            type: 'string',
+            minLength: 1
+          },
+          password: {
+            type: 'string',
+            minLength: PASSWORD_MIN_LENGTH
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { token, password } = request.body;
+
+    // 토큰 소모 전에 정책 검사 (실패해도 링크를 다시 쓸 수 있도록)
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: passwordError
+      });
+    }
+
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const userId = await consumePasswordResetToken(hashToken(token), passwordHash);
+
+      if (!userId) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Invalid or expired reset token'
+        });
+      }
+
+      // 기존 세션 모두 로그아웃, 로그인 잠금 해제
+      await revokeAllSessions(userId);
+      await resetLoginFailures(userId);
+
+      return reply.send({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'An error occurred while resetting the password'
+      });
+    }
+  });
+
+  /**
+   * @route PUT /api/v1/auth/password
+   * @description Change password of the logged in user
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} currentPassword - Current password
+   * @body {string} newPassword - New password (must satisfy the password policy)
+   * @response 200 - Password changed. Other sessions are logged out and new tokens are returned for this device.
+   * @response 400 - New password rejected by the password policy
+   * @response 401 - Unauthorized or wrong current password
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Too many attempts, retry after the Retry-After delay
+   */
+  fastify.put('/auth/password', {
+    schema: {
+      description: 'Change password. Requires the current password. Every other session is logged out; the response carries new tokens for the current device.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: {
+            type: 'string',
+            minLength: 1
+          },
+          newPassword: {
+            type: 'string',
+            minLength: PASSWORD_MIN_LENGTH
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            token: { type: 'string', description: 'Access token (JWT)' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'number', description: 'Access token lifetime in seconds' },
+            refreshTokenExpiresAt: { type: 'string' }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        423: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        429: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { currentPassword, newPassword } = request.body;
+    const userId = request.user.id;
+
+    try {
+      const reauthError = await verifyCurrentPassword(request.user, currentPassword, request.ip, fastify.log);
+      if (reauthError) {
+        if (reauthError.retryAfter) {
+          reply.header('Retry-After', reauthError.retryAfter);
+        }
+        return reply.code(reauthError.statusCode).send({
+          statusCode: reauthError.statusCode,
+          error: reauthError.error,
+          message: reauthError.message
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'New password must be different from the current password'
+        });
+      }
+
+      const passwordError = validatePassword(newPassword, {
+        email: request.user.email,
+        username: request.user.username
+      });
+      if (passwordError) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: passwordError
+        });
+      }
+
+      await updatePassword(userId, await bcrypt.hash(newPassword, 10));
+
+      // 모든 세션 폐기 후 현재 기기에만 새 토큰 발급
+      await revokeAllSessions(userId);
+      const tokens = await issueAuthTokens(fastify, request.user, getClientInfo(request));
+
+      return reply.send({
+        success: true,
+        message: 'Password changed successfully',
+        ...tokens
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'An error occurred while changing the password'
+      });
+    }
+  });
+
+  /**
+   * @route GET /api/v1/auth/security
+   * @description Get account security settings of the logged in user
+   * @tags auth
+   * @security BearerAuth
+   * @response 200 - Security settings
+   * @response 401 - Unauthorized
+   */
+  fastify.get('/auth/security', {
+    schema: {
+      description: 'Get account security settings (email and phone verification, last password change, two-factor authentication).',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                email: { type: 'string' },
+                email_verified: { type: 'boolean' },
+                phone_number: { type: 'string', nullable: true },
+                phone_verified: { type: 'boolean' },
+                password_changed_at: { type: 'string', nullable: true },
+                two_factor_enabled: { type: 'boolean' },
+                password_policy: {
+                  type: 'object',
+                  properties: {
+                    min_length: { type: 'number' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const security = await getAccountSecurity(request.user.id);
+
+    if (!security) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      data: {
+        ...security,
+        password_policy: {
+          min_length: PASSWORD_MIN_LENGTH
+        }
+      }
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/unlock
+   * @description Unlock a locked account with the token from the lockout email
+   * @tags auth
+   * @body {string} token - Unlock token from the email link
+   * @response 200 - Account unlocked
+   * @response 400 - Invalid or expired unlock token
+   */
+  fastify.post('/auth/unlock', {
+    schema: {
+      description: 'Unlock an account that was locked after repeated failed logins, using the token from the lockout email.',
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { token } = request.body;
+
+    const userId = await unlockAccountByToken(hashToken(token));
+
+    if (!userId) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    await recordLockoutEvent({
+      userId,
+      eventType: 'unlocked',
+      reason: 'Unlocked with email link',
+      ipAddress: request.ip
+    });
+
+    return reply.send({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/unlock/request
+   * @description Resend the unlock link for a locked account
+   * @tags auth
+   * @body {string} email - Account email address
+   * @response 200 - Always returned, whether or not the account is locked
+   */
+  fastify.post('/auth/unlock/request', {
+    schema: {
+      description: 'Resend the unlock link for a locked account. The response is the same whether or not the account exists or is locked.',
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { email } = request.body;
+
+    const response = {
+      success: true,
+      message: 'If the account is locked, an unlock link has been sent'
+    };
+
+    try {
+      const user = await getUserByEmail(email);
+
+      if (!user) {
+        return reply.send(response);
+      }
+
+      const unlock = createUnlockToken();
+      if (!(await setUnlockToken(user.id, unlock.tokenHash, unlock.expiresAt))) {
+        return reply.send(response);
+      }
+
+      await recordLockoutEvent({
+        userId: user.id,
+        eventType: 'unlock_requested',
+        reason: 'Unlock link requested',
+        ipAddress: request.ip
+      });
+
+      const unlockUrl = `${LOGIN_PROTECTION.unlockUrl}?token=${encodeURIComponent(unlock.token)}`;
+      await sendMail({ to: user.email, ...accountLockedMail(unlockUrl, LOGIN_PROTECTION.lockoutMinutes) });
+    } catch (error) {
+      fastify.log.error(error);
+    }
+
+    return reply.send(response);
+  });
+}
@@ -0,0 +1,265 @@
+/**
+ * Block / Mute Routes
+ * 차단: 서로의 프로필/게시물/댓글/검색 결과를 숨기고 팔로우 관계를 끊음
+ * 뮤트: 뮤트한 사용자에게만 상대의 콘텐츠를 숨김
+ */
+import {
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers
+} from '../models/Block.js';
+import { decodeCursor, paginate } from '../utils/pagination.js';
+import { userProfileSchema } from '../utils/userProfile.js';
+import { parseProfileLinks } from '../utils/profileFields.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+const userIdParamsSchema = {
+  type: 'object',
+  properties: {
+    userId: { type: 'number' }
+  },
+  required: ['userId']
+};
+
+const actionResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' }
+  }
+};
+
+const listResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    data: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'number' },
+          uid: { type: 'string', nullable: true },
+          username: { type: 'string' },
+          display_name: { type: 'string', nullable: true },
+          profile_image: { type: 'string', nullable: true },
+          cover_image: { type: 'string', nullable: true },
+          bio: { type: 'string', nullable: true },
+          pronouns: { type: 'string', nullable: true },
+          links: userProfileSchema.properties.links,
+          is_verified: { type: 'boolean' },
+          listed_at: { type: 'string' }
+        }
+      }
+    },
+    nextCursor: { type: 'string', nullable: true }
+  }
+};
+
+const listQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+    cursor: { type: 'string' }
+  }
+};
+
+export default async function blockRoutes(fastify) {
+  /**
+   * Register add/remove routes for a block or mute relationship
+   * @param {Object} options - Route options
+   * @param {string} options.action - 'block' or 'mute'
+   * @param {string} options.past - 'blocked' or 'muted' (for messages)
+   * @param {Function} options.add - blockUser or muteUser
+   * @param {Function} options.remove - unblockUser or unmuteUser
+   * @param {string} options.description - Swagger description for the POST route
+   */
+  function registerRelationRoutes({ action, past, add, remove, description }) {
+    fastify.post(`/users/:userId/${action}`, {
+      schema: {
+        description,
+        tags: ['users'],
+        security: [{ BearerAuth: [] }],
+        params: userIdParamsSchema,
+        response: {
+          200: actionResponseSchema,
+          400: errorSchema,
+          401: errorSchema,
+          404: errorSchema
+        }
+      },
+      preHandler: [fastify.authenticate]
+    }, async (request, reply) => {
+      const userId = parseInt(request.params.userId, 10);
+
+      if (userId === request.user.id) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: `You cannot ${action} yourself`
+        });
+      }
+
+      const created = await add(request.user.id, userId);
+
+      if (created === null) {
+        return reply.code(404).send({
+          statusCode: 404,
+          error: 'Not Found',
+          message: 'User not found'
+        });
+      }
+
+      return reply.send({
+        success: true,
+        message: created ? `User ${past}` : `User already ${past}`
+      });
+    });
+
+    fastify.delete(`/users/:userId/${action}`, {
+      schema: {
+        description: `Un${action} a user. Does nothing if the user is not ${past}.`,
+        tags: ['users'],
+        security: [{ BearerAuth: [] }],
+        params: userIdParamsSchema,
+        response: {
+          200: actionResponseSchema,
+          401: errorSchema
+        }
+      },
+      preHandler: [fastify.authenticate]
+    }, async (request, reply) => {
+      const removed = await remove(request.user.id, parseInt(request.params.userId, 10));
+
+      return reply.send({
+        success: true,
+        message: removed ? `User un${past}` : `User was not ${past}`
+      });
+    });
+  }
+
+  /**
+   * Register a paginated list route of the logged in user's blocks or mutes
+   * @param {string} path - Route path
+   * @param {string} description - Swagger description
+   * @param {Function} list - getBlockedUsers or getMutedUsers
+   */
+  function registerListRoute(path, description, list) {
+    fastify.get(path, {
+      schema: {
+        description,
+        tags: ['users'],
+        security: [{ BearerAuth: [] }],
+        querystring: listQuerySchema,
+        response: {
+          200: listResponseSchema,
+          400: errorSchema,
+          401: errorSchema
+        }
+      },
+      preHandler: [fastify.authenticate]
+    }, async (request, reply) => {
+      const { limit, cursor } = request.query;
+      const after = decodeCursor(cursor);
+
+      if (cursor && (!after || !Number.isInteger(after.id))) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+
+      const rows = await list(request.user.id, { limit, afterId: after ? after.id : null });
+      const { items, nextCursor } = paginate(rows, limit, (row) => ({ id: row.entry_id }));
+
+      return reply.send({
+        success: true,
+        data: items.map(({ profile_links: profileLinks, ...row }) => ({
+          ...row,
+          links: parseProfileLinks(profileLinks)
+        })),
+        nextCursor
+      });
+    });
+  }
+
+  /**
+   * @route POST /api/v1/users/:userId/block
+   * @route DELETE /api/v1/users/:userId/block
+   * @description Block or unblock a user
+   * @tags users
+   * @security BearerAuth
+   * @param {number} userId - User to block
+   * @response 200 - Blocked / unblocked (also when nothing changed)
+   * @response 400 - Cannot block yourself
+   * @response 404 - User not found
+   */
+  registerRelationRoutes({
+    action: 'block',
+    past: 'blocked',
+    add: blockUser,
+    remove: unblockUser,
+    description: 'Block a user. You and the blocked user can no longer see each other\'s profile, posts, comments or search results, follows in both directions are removed, and neither can follow the other until you unblock. Unblocking does not restore follows.'
+  });
+
+  /**
+   * @route POST /api/v1/users/:userId/mute
+   * @route DELETE /api/v1/users/:userId/mute
+   * @description Mute or unmute a user
+   * @tags users
+   * @security BearerAuth
+   * @param {number} userId - User to mute
+   * @response 200 - Muted / unmuted (also when nothing changed)
+   * @response 400 - Cannot mute yourself
+   * @response 404 - User not found
+   */
+  registerRelationRoutes({
+    action: 'mute',
+    past: 'muted',
+    add: muteUser,
+    remove: unmuteUser,
+    description: 'Mute a user. Their posts and comments are hidden from you only; they are not notified, and follows are kept.'
+  });
+
+  /**
+   * @route GET /api/v1/users/me/blocks
+   * @description List users you blocked, newest first
+   * @tags users
+   * @security BearerAuth
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Blocked users with listed_at
+   */
+  registerListRoute(
+    '/users/me/blocks',
+    'List users you blocked, most recent first. Pass nextCursor as cursor to get the next page.',
+    getBlockedUsers
+  );
+
+  /**
+   * @route GET /api/v1/users/me/mutes
+   * @description List users you muted, newest first
+   * @tags users
+   * @security BearerAuth
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Muted users with listed_at
+   */
+  registerListRoute(
+    '/users/me/mutes',
+    'List users you muted, most recent first. Pass nextCursor as cursor to get the next page.',
+    getMutedUsers
+  );
+}
@@ -0,0 +1,229 @@
+/**
+ * Data Export Routes
+ * 개인 데이터 내보내기 요청/상태 조회와 다운로드 링크 처리
+ */
+import fs from 'fs';
+import {
+  createDataExport,
+  getDataExport,
+  getDataExports,
+  getDownloadableExport
+} from '../models/DataExport.js';
+import { resolveExportPath } from '../utils/dataExport.js';
+import { hashToken } from '../utils/tokens.js';
+import { runScheduledJobNow } from '../jobs/index.js';
+import { DATA_EXPORT } from '../config/account.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+const exportSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'expired'] },
+    file_size: { type: 'number', nullable: true },
+    expires_at: { type: 'string', nullable: true },
+    error_message: { type: 'string', nullable: true },
+    started_at: { type: 'string', nullable: true },
+    completed_at: { type: 'string', nullable: true },
+    created_at: { type: 'string' }
+  }
+};
+
+export default async function dataExportRoutes(fastify) {
+  /**
+   * @route POST /api/v1/users/me/export
+   * @description Request an archive of all data stored about the logged in user
+   * @tags users
+   * @security BearerAuth
+   * @response 202 - Export queued (or already in progress); the download link is emailed when ready
+   * @response 429 - A recent export exists, retry after the Retry-After delay
+   */
+  fastify.post('/users/me/export', {
+    schema: {
+      description: `Request a copy of everything stored about your account: profile and account fields, posts, comments, likes, follows, blocks and mutes, sessions, login history, API keys and uploaded files. The archive is built in the background as a ZIP (data.json plus a media/ folder) and a download link valid for ${DATA_EXPORT.downloadHours} hours is sent to your email. One export can be requested every ${DATA_EXPORT.requestCooldownHours} hours.`,
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        202: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: exportSchema
+          }
+        },
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const result = await createDataExport(userId);
+
+    if (result.status === 'cooldown') {
+      const hours = Math.ceil(result.retryAfter / 3600);
+      reply.header('Retry-After', result.retryAfter);
+      return reply.code(429).send({
+        statusCode: 429,
+        error: 'Too Many Requests',
+        message: `A data export was requested recently. Please try again in ${hours} hour(s).`
+      });
+    }
+
+    // 다음 주기를 기다리지 않고 바로 처리 시작
+    runScheduledJobNow('process-data-exports');
+
+    return reply.code(202).send({
+      success: true,
+      message: result.status === 'created'
+        ? 'Data export requested. A download link will be emailed when it is ready.'
+        : 'A data export is already in progress',
+      data: await getDataExport(userId, result.exportId)
+    });
+  });
+
+  /**
+   * @route GET /api/v1/users/me/export
+   * @description List recent data export requests
+   * @tags users
+   * @security BearerAuth
+   * @response 200 - Recent exports, newest first
+   */
+  fastify.get('/users/me/export', {
+    schema: {
+      description: 'List your recent data export requests and their status.',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: exportSchema
+            }
+          }
+        }
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    return reply.send({
+      success: true,
+      data: await getDataExports(request.user.id)
+    });
+  });
+
+  /**
+   * @route GET /api/v1/users/me/export/:exportId
+   * @description Get the status of a data export request
+   * @tags users
+   * @security BearerAuth
+   * @param {number} exportId - Export ID
+   * @response 200 - Export status
+   * @response 404 - Export not found
+   */
+  fastify.get('/users/me/export/:exportId', {
+    schema: {
+      description: 'Get the status of one of your data export requests.',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          exportId: { type: 'number' }
+        },
+        required: ['exportId']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: exportSchema
+          }
+        },
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const dataExport = await getDataExport(request.user.id, request.params.exportId);
+
+    if (!dataExport) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Data export not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      data: dataExport
+    });
+  });
+
+  /**
+   * @route GET /api/v1/exports/download
+   * @description Download a data export archive with the link sent by email
+   * @tags users
+   * @query {string} token - Download token from the email
+   * @response 200 - ZIP archive
+   * @response 400 - Invalid or expired download link
+   */
+  fastify.get('/exports/download', {
+    schema: {
+      description: `Download your data export (ZIP) using the link sent by email. The link is valid for ${DATA_EXPORT.downloadHours} hours after the export is ready.`,
+      tags: ['users'],
+      produces: ['application/zip'],
+      querystring: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      },
+      response: {
+        400: errorSchema
+      }
+    }
+  }, async (request, reply) => {
+    const dataExport = await getDownloadableExport(hashToken(request.query.token));
+
+    let stream = null;
+    if (dataExport) {
+      const filepath = resolveExportPath(dataExport.file_name);
+      stream = await fs.promises.access(filepath).then(() => fs.createReadStream(filepath), () => null);
+    }
+
+    if (!stream) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const date = new Date(dataExport.created_at).toISOString().slice(0, 10);
+
+    return reply
+      .header('Content-Type', 'application/zip')
+      .header('Content-Length', dataExport.file_size)
+      .header('Content-Disposition', `attachment; filename="setlone-export-${date}.zip"`)
+      .header('Cache-Control', 'no-store')
+      .send(stream);
+  });
+}
@@ -0,0 +1,307 @@
+/**
+ * Email Change Routes
+ * 새 주소 인증 후 이메일 변경, 기존 주소로 보안 알림 및 되돌리기 링크 발송
+ */
+import { emailExists } from '../models/User.js';
+import {
+  createEmailChangeRequest,
+  getLastEmailChangeRequestAt,
+  confirmEmailChange,
+  undoEmailChange
+} from '../models/EmailChange.js';
+import { generateNumericCode, hashCode } from '../utils/otp.js';
+import { generateOpaqueToken, hashToken, revokeAllSessions } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { emailChangeCodeMail, emailChangedNoticeMail } from '../utils/mailTemplates.js';
+import { EMAIL_CHANGE } from '../config/verification.js';
+import { verifyCurrentPassword } from '../utils/loginProtection.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+const messageSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' }
+  }
+};
+
+export default async function emailChangeRoutes(fastify) {
+  /**
+   * @route POST /api/v1/auth/email/change
+   * @description Request an email change; a code is sent to the new address
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} newEmail - New email address
+   * @body {string} password - Current password
+   * @response 200 - Code sent to the new address
+   * @response 400 - Same as current email or already in use
+   * @response 401 - Password is incorrect
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Requested too recently, or too many password attempts
+   */
+  fastify.post('/auth/email/change', {
+    schema: {
+      description: `Request an email change. A code valid for ${EMAIL_CHANGE.ttlMinutes} minutes is sent to the new address. The current email stays active until the code is confirmed at /auth/email/change/confirm.`,
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['newEmail', 'password'],
+        properties: {
+          newEmail: {
+            type: 'string',
+            format: 'email',
+            maxLength: 255
+          },
+          password: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      },
+      response: {
+        200: messageSchema,
+        400: errorSchema,
+        401: errorSchema,
+        423: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const newEmail = request.body.newEmail.trim();
+
+    const reauthError = await verifyCurrentPassword(request.user, request.body.password, request.ip, fastify.log);
+    if (reauthError) {
+      if (reauthError.retryAfter) {
+        reply.header('Retry-After', reauthError.retryAfter);
+      }
+      return reply.code(reauthError.statusCode).send({
+        statusCode: reauthError.statusCode,
+        error: reauthError.error,
+        message: reauthError.message
+      });
+    }
+
+    if (newEmail.toLowerCase() === request.user.email.toLowerCase()) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'New email is the same as the current email'
+      });
+    }
+
+    if (await emailExists(newEmail)) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Email already exists'
+      });
+    }
+
+    const lastRequestedAt = await getLastEmailChangeRequestAt(userId);
+    if (lastRequestedAt) {
+      const elapsedSeconds = (Date.now() - new Date(lastRequestedAt).getTime()) / 1000;
+      const retryAfter = Math.ceil(EMAIL_CHANGE.requestCooldownSeconds - elapsedSeconds);
+
+      if (retryAfter > 0) {
+        reply.header('Retry-After', retryAfter);
+        return reply.code(429).send({
+          statusCode: 429,
+          error: 'Too Many Requests',
+          message: `Please wait ${retryAfter} seconds before requesting a new code`
+        });
+      }
+    }
+
+    const code = generateNumericCode(EMAIL_CHANGE.codeLength);
+
+    try {
+      await createEmailChangeRequest({
+        userId,
+        oldEmail: request.user.email,
+        newEmail,
+        codeHash: await hashCode(code)
+      });
+
+      await sendMail({ to: newEmail, ...emailChangeCodeMail(code, EMAIL_CHANGE.ttlMinutes) });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Failed to send confirmation code'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Confirmation code sent to the new email address'
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/email/change/confirm
+   * @description Confirm the email change with the code sent to the new address
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} code - 6-digit code from the new address
+   * @response 200 - Email changed; a notice with an undo link is sent to the old address
+   * @response 400 - Invalid or expired code, or the new email was taken in the meantime
+   * @response 429 - Too many wrong attempts
+   */
+  fastify.post('/auth/email/change/confirm', {
+    schema: {
+      description: `Confirm the pending email change. The new address becomes the login email immediately and the old address receives a security notice with an undo link valid for ${EMAIL_CHANGE.undoHours} hours.`,
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                email: { type: 'string' }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const undoToken = generateOpaqueToken();
+    const result = await confirmEmailChange(request.user.id, request.body.code, hashToken(undoToken));
+
+    if (result.status === 'too_many_attempts') {
+      return reply.code(429).send({
+        statusCode: 429,
+        error: 'Too Many Requests',
+        message: 'Too many failed attempts. Please request the email change again.'
+      });
+    }
+
+    if (result.status === 'expired') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Confirmation code expired. Please request the email change again.'
+      });
+    }
+
+    if (result.status === 'email_taken') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Email already exists'
+      });
+    }
+
+    if (result.status !== 'confirmed') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid confirmation code'
+      });
+    }
+
+    // 알림 발송 실패는 변경 실패로 보지 않음
+    try {
+      const undoUrl = `${EMAIL_CHANGE.undoUrl}?token=${encodeURIComponent(undoToken)}`;
+      await sendMail({
+        to: result.oldEmail,
+        ...emailChangedNoticeMail(result.newEmail, undoUrl, EMAIL_CHANGE.undoHours)
+      });
+    } catch (error) {
+      fastify.log.error(error);
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Email changed successfully',
+      data: {
+        email: result.newEmail
+      }
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/email/change/undo
+   * @description Restore the previous email with the token from the security notice
+   * @tags auth
+   * @body {string} token - Undo token from the notice sent to the old address
+   * @response 200 - Old email restored and every session logged out
+   * @response 400 - Invalid or expired undo token
+   */
+  fastify.post('/auth/email/change/undo', {
+    schema: {
+      description: 'Undo an email change using the link sent to the previous address. The previous email is restored and every session is logged out; changing the password afterwards is recommended.',
+      tags: ['auth'],
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      },
+      response: {
+        200: messageSchema,
+        400: errorSchema
+      }
+    }
+  }, async (request, reply) => {
+    const result = await undoEmailChange(hashToken(request.body.token));
+
+    if (result.status === 'expired') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Undo link expired. Please contact support.'
+      });
+    }
+
+    if (result.status !== 'undone') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid undo link'
+      });
+    }
+
+    // 계정 탈취 가능성이 있으므로 모든 세션 종료
+    await revokeAllSessions(result.userId);
+
+    return reply.send({
+      success: true,
+      message: 'Email change undone. All sessions have been logged out; please reset your password.'
+    });
+  });
+}
@@ -0,0 +1,495 @@
+/**
+ * Follow Routes
+ * 팔로우/언팔로우, 팔로워·팔로잉 목록, 비공개 계정 팔로우 요청
+ */
+import { getUserById } from '../models/User.js';
+import {
+  followUser,
+  unfollowUser,
+  getFollowRelation,
+  getFollowers,
+  getFollowing,
+  isContentLocked,
+  approveFollowRequest,
+  rejectFollowRequest,
+  getIncomingFollowRequests,
+  getOutgoingFollowRequests
+} from '../models/Follow.js';
+import { isHiddenFromViewer } from '../models/Block.js';
+import { userProfileSchema, toPublicProfile } from '../utils/userProfile.js';
+import { decodeCursor, paginate } from '../utils/pagination.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+const userIdParamsSchema = {
+  type: 'object',
+  properties: {
+    userId: { type: 'number' }
+  },
+  required: ['userId']
+};
+
+const followStateSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    data: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'number' },
+        is_following: { type: 'boolean' },
+        is_followed_by: { type: 'boolean' },
+        is_mutual: { type: 'boolean' },
+        is_requested: { type: 'boolean' },
+        follower_count: { type: 'number' }
+      }
+    }
+  }
+};
+
+const followListSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    locked: { type: 'boolean' },
+    data: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...userProfileSchema.properties,
+          followed_at: { type: 'string' }
+        }
+      }
+    },
+    nextCursor: { type: 'string', nullable: true }
+  }
+};
+
+const followRequestListSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    data: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          request_id: { type: 'number' },
+          requested_at: { type: 'string' },
+          user: userProfileSchema
+        }
+      }
+    },
+    nextCursor: { type: 'string', nullable: true }
+  }
+};
+
+const requestIdParamsSchema = {
+  type: 'object',
+  properties: {
+    requestId: { type: 'number' }
+  },
+  required: ['requestId']
+};
+
+const followListQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+    cursor: { type: 'string' }
+  }
+};
+
+const FOLLOW_MESSAGES = {
+  followed: 'Followed',
+  already_following: 'Already following',
+  requested: 'Follow request sent'
+};
+
+/**
+ * Build the follow state response for a target user
+ * @param {number} viewerId - Logged in user
+ * @param {number} userId - Target user
+ * @returns {Promise<Object>} Follow state data
+ */
+async function getFollowState(viewerId, userId) {
+  const [relation, user] = await Promise.all([
+    getFollowRelation(viewerId, userId),
+    getUserById(userId)
+  ]);
+
+  return {
+    user_id: userId,
+    ...relation,
+    follower_count: user ? user.follower_count : 0
+  };
+}
+
+export default async function followRoutes(fastify) {
+  /**
+   * Register a followers/following list route
+   * @param {string} path - Route path
+   * @param {string} description - Swagger description
+   * @param {Function} list - getFollowers or getFollowing
+   */
+  function registerFollowList(path, description, list) {
+    fastify.get(path, {
+      schema: {
+        description,
+        tags: ['follows'],
+        params: userIdParamsSchema,
+        querystring: followListQuerySchema,
+        response: {
+          200: followListSchema,
+          400: errorSchema,
+          404: errorSchema
+        }
+      },
+      preHandler: [fastify.optionalAuthenticate]
+    }, async (request, reply) => {
+      const userId = parseInt(request.params.userId, 10);
+      const { limit, cursor } = request.query;
+      const after = decodeCursor(cursor);
+
+      if (cursor && (!after || !Number.isInteger(after.id))) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+
+      const user = await getUserById(userId);
+      if (!user || await isHiddenFromViewer(userId, request.user)) {
+        return reply.code(404).send({
+          statusCode: 404,
+          error: 'Not Found',
+          message: 'User not found'
+        });
+      }
+
+      // 비공개 계정은 본인/승인된 팔로워에게만 목록 공개
+      if (await isContentLocked(user, request.user)) {
+        return reply.send({
+          success: true,
+          locked: true,
+          data: [],
+          nextCursor: null
+        });
+      }
+
+      const viewerId = request.user ? request.user.id : null;
+      const rows = await list(userId, { limit, afterId: after ? after.id : null, viewerId });
+      const { items, nextCursor } = paginate(rows, limit, (row) => ({ id: row.follow_id }));
+
+      return reply.send({
+        success: true,
+        locked: false,
+        data: items.map((row) => ({
+          ...toPublicProfile(row),
+          followed_at: row.followed_at,
+          is_mutual: Boolean(row.is_mutual),
+          // 비로그인 조회에는 관계 정보 없음
+          ...(viewerId && row.id !== viewerId ? { is_following: Boolean(row.is_following) } : {})
+        })),
+        nextCursor
+      });
+    });
+  }
+
+  /**
+   * @route POST /api/v1/users/:userId/follow
+   * @description Follow a user
+   * @tags follows
+   * @security BearerAuth
+   * @param {number} userId - User to follow
+   * @response 200 - Following, or follow request sent for a private account
+   * @response 400 - Cannot follow yourself
+   * @response 404 - User not found
+   */
+  fastify.post('/users/:userId/follow', {
+    schema: {
+      description: 'Follow a user. For a private account this sends a follow request instead (is_requested: true) that the owner approves or rejects. Following someone you already follow, or requesting again, is a no-op.',
+      tags: ['follows'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      response: {
+        200: followStateSchema,
+        400: errorSchema,
+        401: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = parseInt(request.params.userId, 10);
+
+    if (userId === request.user.id) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const result = await followUser(request.user.id, userId);
+
+    if (result === null) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: FOLLOW_MESSAGES[result],
+      data: await getFollowState(request.user.id, userId)
+    });
+  });
+
+  /**
+   * @route DELETE /api/v1/users/:userId/follow
+   * @description Unfollow a user or cancel a follow request
+   * @tags follows
+   * @security BearerAuth
+   * @param {number} userId - User to unfollow
+   * @response 200 - Not following (also when not following before)
+   */
+  fastify.delete('/users/:userId/follow', {
+    schema: {
+      description: 'Unfollow a user, or cancel a pending follow request. Does nothing if you neither follow nor requested to follow the user.',
+      tags: ['follows'],
+      security: [{ BearerAuth: [] }],
+      params: userIdParamsSchema,
+      response: {
+        200: followStateSchema,
+        401: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = parseInt(request.params.userId, 10);
+    const removed = await unfollowUser(request.user.id, userId);
+
+    return reply.send({
+      success: true,
+      message: removed ? 'Unfollowed' : 'Not following',
+      data: await getFollowState(request.user.id, userId)
+    });
+  });
+
+  /**
+   * @route GET /api/v1/users/:userId/followers
+   * @description List followers of a user, newest first
+   * @tags follows
+   * @param {number} userId - User ID
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Public profiles with followed_at and is_mutual (locked placeholder for private accounts)
+   */
+  registerFollowList(
+    '/users/:userId/followers',
+    'List users who follow this user, most recent first. is_mutual is true when the user follows them back; is_following is the logged in viewer\'s own relationship. For a private account, only the owner and approved followers see the list; others get locked: true and no users. Pass nextCursor as cursor to get the next page.',
+    getFollowers
+  );
+
+  /**
+   * @route GET /api/v1/users/:userId/following
+   * @description List users a user follows, newest first
+   * @tags follows
+   * @param {number} userId - User ID
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Public profiles with followed_at and is_mutual (locked placeholder for private accounts)
+   */
+  registerFollowList(
+    '/users/:userId/following',
+    'List users this user follows, most recent first. is_mutual is true when they follow the user back; is_following is the logged in viewer\'s own relationship. For a private account, only the owner and approved followers see the list; others get locked: true and no users. Pass nextCursor as cursor to get the next page.',
+    getFollowing
+  );
+
+  /**
+   * Register a list route of the logged in user's follow requests
+   * @param {string} path - Route path
+   * @param {string} description - Swagger description
+   * @param {Function} list - getIncomingFollowRequests or getOutgoingFollowRequests
+   */
+  function registerFollowRequestList(path, description, list) {
+    fastify.get(path, {
+      schema: {
+        description,
+        tags: ['follows'],
+        security: [{ BearerAuth: [] }],
+        querystring: followListQuerySchema,
+        response: {
+          200: followRequestListSchema,
+          400: errorSchema,
+          401: errorSchema
+        }
+      },
+      preHandler: [fastify.authenticate]
+    }, async (request, reply) => {
+      const { limit, cursor } = request.query;
+      const after = decodeCursor(cursor);
+
+      if (cursor && (!after || !Number.isInteger(after.id))) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+
+      const rows = await list(request.user.id, { limit, afterId: after ? after.id : null });
+      const { items, nextCursor } = paginate(rows, limit, (row) => ({ id: row.request_id }));
+
+      return reply.send({
+        success: true,
+        data: items.map((row) => ({
+          request_id: row.request_id,
+          requested_at: row.requested_at,
+          user: toPublicProfile(row)
+        })),
+        nextCursor
+      });
+    });
+  }
+
+  /**
+   * @route GET /api/v1/users/me/follow-requests
+   * @description List follow requests to your private account, newest first
+   * @tags follows
+   * @security BearerAuth
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Pending requests with the requester's public profile
+   */
+  registerFollowRequestList(
+    '/users/me/follow-requests',
+    'List pending follow requests you received, most recent first. Approve or reject them with the request_id.',
+    getIncomingFollowRequests
+  );
+
+  /**
+   * @route GET /api/v1/users/me/follow-requests/sent
+   * @description List follow requests you sent, newest first
+   * @tags follows
+   * @security BearerAuth
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Pending requests with the target's public profile
+   */
+  registerFollowRequestList(
+    '/users/me/follow-requests/sent',
+    'List your pending follow requests to private accounts, most recent first. Cancel one with DELETE /users/:userId/follow.',
+    getOutgoingFollowRequests
+  );
+
+  /**
+   * @route POST /api/v1/users/me/follow-requests/:requestId/approve
+   * @description Approve a follow request
+   * @tags follows
+   * @security BearerAuth
+   * @param {number} requestId - Request ID from GET /users/me/follow-requests
+   * @response 200 - Requester now follows you
+   * @response 404 - Request not found
+   */
+  fastify.post('/users/me/follow-requests/:requestId/approve', {
+    schema: {
+      description: 'Approve a pending follow request. The requester becomes your follower.',
+      tags: ['follows'],
+      security: [{ BearerAuth: [] }],
+      params: requestIdParamsSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                follower_id: { type: 'number' }
+              }
+            }
+          }
+        },
+        401: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const requesterId = await approveFollowRequest(request.user.id, parseInt(request.params.requestId, 10));
+
+    if (!requesterId) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Follow request not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Follow request approved',
+      data: { follower_id: requesterId }
+    });
+  });
+
+  /**
+   * @route DELETE /api/v1/users/me/follow-requests/:requestId
+   * @description Reject a follow request
+   * @tags follows
+   * @security BearerAuth
+   * @param {number} requestId - Request ID from GET /users/me/follow-requests
+   * @response 200 - Request rejected
+   * @response 404 - Request not found
+   */
+  fastify.delete('/users/me/follow-requests/:requestId', {
+    schema: {
+      description: 'Reject a pending follow request. The requester is not notified and can request again.',
+      tags: ['follows'],
+      security: [{ BearerAuth: [] }],
+      params: requestIdParamsSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        401: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const rejected = await rejectFollowRequest(request.user.id, parseInt(request.params.requestId, 10));
+
+    if (!rejected) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Follow request not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Follow request rejected'
+    });
+  });
+}
@@ -3,13 +3,31 @@
  */
 import healthRoutes from './health.js';
 import authRoutes from './auth.js';
+import twoFactorRoutes from './twoFactor.js';
+import sessionRoutes from './sessions.js';
+import phoneRoutes from './phone.js';
+import emailChangeRoutes from './emailChange.js';
 import userRoutes from './users.js';
+import dataExportRoutes from './dataExports.js';
+import followRoutes from './follows.js';
+import blockRoutes from './blocks.js';
+import apiKeyRoutes from './apiKeys.js';
+import adminRoutes from './admin.js';
 
 export default async function registerRoutes(fastify) {
   // Register all routes
   await fastify.register(healthRoutes, { prefix: '/api/v1' });
   await fastify.register(authRoutes, { prefix: '/api/v1' });
+  await fastify.register(twoFactorRoutes, { prefix: '/api/v1' });
+  await fastify.register(sessionRoutes, { prefix: '/api/v1' });
+  await fastify.register(phoneRoutes, { prefix: '/api/v1' });
+  await fastify.register(emailChangeRoutes, { prefix: '/api/v1' });
   await fastify.register(userRoutes, { prefix: '/api/v1' });
+  await fastify.register(dataExportRoutes, { prefix: '/api/v1' });
+  await fastify.register(followRoutes, { prefix: '/api/v1' });
+  await fastify.register(blockRoutes, { prefix: '/api/v1' });
+  await fastify.register(apiKeyRoutes, { prefix: '/api/v1' });
+  await fastify.register(adminRoutes, { prefix: '/api/v1' });
   
   // Add more route modules here as they are created
   // await fastify.register(postRoutes, { prefix: '/api/v1/posts' });
@@ -0,0 +1,270 @@
+/**
+ * Phone Verification Routes
+ * SMS 인증 코드 발송 및 확인 (users.phone_verified)
+ */
+import { getUserById } from '../models/User.js';
+import {
+  createPhoneVerificationCode,
+  getPhoneVerificationSendStats,
+  isPhoneNumberVerifiedByOther,
+  verifyPhoneCode
+} from '../models/PhoneVerification.js';
+import { generateNumericCode, hashCode } from '../utils/otp.js';
+import { sendSms } from '../utils/sms.js';
+import { normalizePhoneNumber, DEFAULT_PHONE_COUNTRY, PHONE_NUMBER_PATTERN } from '../utils/phone.js';
+import { PHONE_VERIFICATION } from '../config/verification.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+/**
+ * Check SMS send rate limits
+ * @param {Object} stats - Result of getPhoneVerificationSendStats
+ * @returns {Object|null} { retryAfter, message } if the request must be rejected
+ */
+function getSendLimit(stats) {
+  if (stats.last_sent_at) {
+    const elapsedSeconds = (Date.now() - new Date(stats.last_sent_at).getTime()) / 1000;
+    const retryAfter = Math.ceil(PHONE_VERIFICATION.resendCooldownSeconds - elapsedSeconds);
+
+    if (retryAfter > 0) {
+      return { retryAfter, message: `Please wait ${retryAfter} seconds before requesting a new code` };
+    }
+  }
+
+  if (stats.sent_to_number_today >= PHONE_VERIFICATION.dailyLimitPerNumber) {
+    return { retryAfter: 24 * 60 * 60, message: 'Too many codes sent to this phone number today' };
+  }
+
+  if (stats.sent_from_ip_last_hour >= PHONE_VERIFICATION.hourlyLimitPerIp) {
+    return { retryAfter: 60 * 60, message: 'Too many verification requests. Please try again later.' };
+  }
+
+  return null;
+}
+
+export default async function phoneRoutes(fastify) {
+  /**
+   * @route POST /api/v1/auth/phone/send-verification
+   * @description Send an SMS verification code to the user's phone number
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} [phoneNumber] - Number to verify (defaults to the number on the account)
+   * @body {string} [phoneCountry] - ISO country code for numbers without + (default: KR)
+   * @response 200 - Code sent
+   * @response 400 - No phone number or already verified
+   * @response 409 - Number already verified by another account
+   * @response 429 - Rate limited
+   */
+  fastify.post('/auth/phone/send-verification', {
+    schema: {
+      description: `Send a ${PHONE_VERIFICATION.codeLength}-digit SMS code valid for ${PHONE_VERIFICATION.ttlMinutes} minutes. Uses the number on the account unless phoneNumber is given; a different number replaces the account number once verified. Limits: one code per ${PHONE_VERIFICATION.resendCooldownSeconds} seconds, ${PHONE_VERIFICATION.dailyLimitPerNumber} per number per day.`,
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          phoneNumber: {
+            type: 'string',
+            pattern: PHONE_NUMBER_PATTERN,
+            maxLength: 32,
+            description: 'Phone number (normalized to E.164)'
+          },
+          phoneCountry: {
+            type: 'string',
+            pattern: '^[A-Z]{2}$',
+            description: `ISO 3166-1 country code used when phoneNumber has no + prefix (default: ${DEFAULT_PHONE_COUNTRY})`
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        409: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const user = await getUserById(request.user.id);
+    const { phoneNumber: requestedNumber, phoneCountry } = request.body || {};
+
+    if (!requestedNumber && !user.phone_number) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'No phone number to verify'
+      });
+    }
+
+    const phone = normalizePhoneNumber(requestedNumber || user.phone_number, phoneCountry);
+    if (!phone) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid phone number'
+      });
+    }
+    const phoneNumber = phone.number;
+
+    if (phoneNumber === user.phone_number && user.phone_verified) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Phone number already verified'
+      });
+    }
+
+    if (await isPhoneNumberVerifiedByOther(phoneNumber, user.id)) {
+      return reply.code(409).send({
+        statusCode: 409,
+        error: 'Conflict',
+        message: 'Phone number is already in use'
+      });
+    }
+
+    const limit = getSendLimit(await getPhoneVerificationSendStats(user.id, phoneNumber, request.ip));
+    if (limit) {
+      reply.header('Retry-After', limit.retryAfter);
+      return reply.code(429).send({
+        statusCode: 429,
+        error: 'Too Many Requests',
+        message: limit.message
+      });
+    }
+
+    const code = generateNumericCode(PHONE_VERIFICATION.codeLength);
+
+    try {
+      await createPhoneVerificationCode({
+        userId: user.id,
+        phoneNumber,
+        codeHash: await hashCode(code),
+        ipAddress: request.ip
+      });
+
+      await sendSms({
+        to: phoneNumber,
+        text: `[Setlone] 인증번호 [${code}]를 ${PHONE_VERIFICATION.ttlMinutes}분 안에 입력해 주세요.`
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Failed to send verification code'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Verification code sent'
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/phone/verify
+   * @description Confirm the SMS verification code
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} code - Code received by SMS
+   * @response 200 - Phone number verified
+   * @response 400 - Invalid or expired code
+   * @response 409 - Number was verified by another account in the meantime
+   * @response 429 - Too many wrong attempts
+   */
+  fastify.post('/auth/phone/verify', {
+    schema: {
+      description: `Confirm the SMS code. After ${PHONE_VERIFICATION.maxAttempts} wrong attempts a new code must be requested. Other unverified accounts holding the same number lose it.`,
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                phone_number: { type: 'string' },
+                phone_verified: { type: 'boolean' }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        409: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const result = await verifyPhoneCode(request.user.id, request.body.code);
+
+    if (result.status === 'too_many_attempts') {
+      return reply.code(429).send({
+        statusCode: 429,
+        error: 'Too Many Requests',
+        message: 'Too many failed attempts. Please request a new verification code.'
+      });
+    }
+
+    if (result.status === 'expired') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Verification code expired. Please request a new verification code.'
+      });
+    }
+
+    if (result.status === 'phone_taken') {
+      return reply.code(409).send({
+        statusCode: 409,
+        error: 'Conflict',
+        message: 'Phone number is already in use'
+      });
+    }
+
+    if (result.status !== 'verified') {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid verification code'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: {
+        phone_number: result.phoneNumber,
+        phone_verified: true
+      }
+    });
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Session Routes
+ * 로그인된 기기(세션) 조회 및 개별 로그아웃
+ * 세션 ID는 refresh token family ID이며, access token의 sid 클레임으로 현재 세션을 구분합니다.
+ */
+import { getActiveSessionsByUser, revokeUserSession } from '../models/RefreshToken.js';
+
+const sessionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    device_label: { type: 'string', nullable: true },
+    user_agent: { type: 'string', nullable: true },
+    ip_address: { type: 'string', nullable: true },
+    created_at: { type: 'string' },
+    last_seen_at: { type: 'string' },
+    expires_at: { type: 'string' },
+    is_current: { type: 'boolean' }
+  }
+};
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+export default async function sessionRoutes(fastify) {
+  /**
+   * @route GET /api/v1/auth/sessions
+   * @description List devices where the user is logged in
+   * @tags auth
+   * @security BearerAuth
+   * @response 200 - Active sessions, most recently used first; the requesting session has is_current: true
+   */
+  fastify.get('/auth/sessions', {
+    schema: {
+      description: 'List active sessions (logged-in devices) with device label, user agent, IP address, login time and last activity. The session making the request is flagged with is_current.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: sessionSchema
+            }
+          }
+        },
+        401: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const sessions = await getActiveSessionsByUser(request.user.id);
+
+    return reply.send({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        is_current: session.id === request.user.sid
+      }))
+    });
+  });
+
+  /**
+   * @route DELETE /api/v1/auth/sessions/:sessionId
+   * @description Log out one device
+   * @tags auth
+   * @security BearerAuth
+   * @param {string} sessionId - Session ID from GET /auth/sessions
+   * @response 200 - Session revoked
+   * @response 404 - Session not found or already ended
+   */
+  fastify.delete('/auth/sessions/:sessionId', {
+    schema: {
+      description: 'Log out one device. Its refresh token and access tokens stop working immediately. Revoking the current session is the same as logging out.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      params: {
+        type: 'object',
+        required: ['sessionId'],
+        properties: {
+          sessionId: { type: 'string', minLength: 1, maxLength: 36 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        401: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const revoked = await revokeUserSession(request.user.id, request.params.sessionId);
+
+    if (!revoked) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Session logged out'
+    });
+  });
+}
@@ -0,0 +1,359 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP 인증 앱 등록, 활성화, 해제, 복구 코드 재발급
+ */
+import {
+  getTwoFactorState,
+  setPendingTotpSecret,
+  markTotpStepUsed,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes
+} from '../models/TwoFactor.js';
+import {
+  generateTotpSecret,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from '../utils/totp.js';
+import { hashToken } from '../utils/tokens.js';
+import { verifyCurrentPassword } from '../utils/loginProtection.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+// 비밀번호 + 2단계 코드 재인증 요청 본문
+const reauthBodySchema = {
+  type: 'object',
+  required: ['password'],
+  properties: {
+    password: {
+      type: 'string',
+      minLength: 1
+    },
+    code: {
+      type: 'string',
+      pattern: '^\\d{6}$'
+    },
+    recoveryCode: {
+      type: 'string',
+      minLength: 1
+    }
+  }
+};
+
+/**
+ * Create recovery codes and their hashes
+ * @returns {Object} { codes, hashes }
+ */
+function createRecoveryCodes() {
+  const codes = generateRecoveryCodes();
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+  };
+}
+
+/**
+ * Re-authenticate with password and a second factor
+ * @param {Object} user - Authenticated user (request.user: id, email)
+ * @param {Object} body - { password, code, recoveryCode }
+ * @param {string} ipAddress - Client IP
+ * @param {Object} log - Logger (fastify.log)
+ * @returns {Promise<Object|null>} Error ({ statusCode, error, message, retryAfter }), or null if re-authentication succeeded
+ */
+async function reauthenticate(user, { password, code, recoveryCode }, ipAddress, log) {
+  return verifyCurrentPassword(user, password, ipAddress, log, { secondFactor: { code, recoveryCode } });
+}
+
+export default async function twoFactorRoutes(fastify) {
+  /**
+   * @route POST /api/v1/auth/2fa/setup
+   * @description Start 2FA enrolment: returns a new secret and otpauth provisioning URI
+   * @tags auth
+   * @security BearerAuth
+   * @response 200 - Secret and provisioning URI (render as QR code)
+   * @response 400 - 2FA already enabled
+   */
+  fastify.post('/auth/2fa/setup', {
+    schema: {
+      description: 'Start two-factor enrolment. Returns a TOTP secret and an otpauth:// URI for the client to show as a QR code. 2FA is not active until confirmed with /auth/2fa/enable.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                secret: { type: 'string' },
+                otpauthUri: { type: 'string' }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const secret = generateTotpSecret();
+
+    if (!(await setPendingTotpSecret(request.user.id, encryptTotpSecret(secret)))) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, request.user.email)
+      }
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/2fa/enable
+   * @description Confirm enrolment with a code from the authenticator app
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} code - 6-digit authenticator code
+   * @response 200 - 2FA enabled, returns one-time recovery codes
+   * @response 400 - No pending setup, already enabled, or invalid code
+   */
+  fastify.post('/auth/2fa/enable', {
+    schema: {
+      description: 'Enable two-factor authentication by confirming a code from the authenticator app. The response lists one-time recovery codes; they are not shown again.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: {
+            type: 'string',
+            pattern: '^\\d{6}$'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                recoveryCodes: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const state = await getTwoFactorState(userId);
+
+    if (!state || state.totp_enabled) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!state.totp_secret) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(decryptTotpSecret(state.totp_secret), request.body.code);
+
+    if (step === null || !(await markTotpStepUsed(userId, step))) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    await enableTwoFactor(userId, hashes);
+
+    return reply.send({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/2fa/disable
+   * @description Disable 2FA (requires password and a current code or recovery code)
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} password - Current password
+   * @body {string} [code] - 6-digit authenticator code
+   * @body {string} [recoveryCode] - Recovery code (instead of code)
+   * @response 200 - 2FA disabled
+   * @response 400 - 2FA not enabled
+   * @response 401 - Re-authentication failed
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Too many attempts, retry after the Retry-After delay
+   */
+  fastify.post('/auth/2fa/disable', {
+    schema: {
+      description: 'Disable two-factor authentication. Requires re-authentication with the password and an authenticator or recovery code.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: reauthBodySchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        423: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const state = await getTwoFactorState(userId);
+
+    if (!state || !state.totp_enabled) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const reauthError = await reauthenticate(request.user, request.body, request.ip, fastify.log);
+    if (reauthError) {
+      if (reauthError.retryAfter) {
+        reply.header('Retry-After', reauthError.retryAfter);
+      }
+      return reply.code(reauthError.statusCode).send({
+        statusCode: reauthError.statusCode,
+        error: reauthError.error,
+        message: reauthError.message
+      });
+    }
+
+    await disableTwoFactor(userId);
+
+    return reply.send({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  });
+
+  /**
+   * @route POST /api/v1/auth/2fa/recovery-codes
+   * @description Replace all recovery codes (requires password and a current code)
+   * @tags auth
+   * @security BearerAuth
+   * @body {string} password - Current password
+   * @body {string} [code] - 6-digit authenticator code
+   * @body {string} [recoveryCode] - Recovery code (instead of code)
+   * @response 200 - New recovery codes; old codes stop working
+   * @response 400 - 2FA not enabled
+   * @response 401 - Re-authentication failed
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Too many attempts, retry after the Retry-After delay
+   */
+  fastify.post('/auth/2fa/recovery-codes', {
+    schema: {
+      description: 'Generate a new set of recovery codes. Every previous recovery code stops working. Requires re-authentication.',
+      tags: ['auth'],
+      security: [{ BearerAuth: [] }],
+      body: reauthBodySchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                recoveryCodes: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        423: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const state = await getTwoFactorState(userId);
+
+    if (!state || !state.totp_enabled) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const reauthError = await reauthenticate(request.user, request.body, request.ip, fastify.log);
+    if (reauthError) {
+      if (reauthError.retryAfter) {
+        reply.header('Retry-After', reauthError.retryAfter);
+      }
+      return reply.code(reauthError.statusCode).send({
+        statusCode: reauthError.statusCode,
+        error: reauthError.error,
+        message: reauthError.message
+      });
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    await replaceRecoveryCodes(userId, hashes);
+
+    return reply.send({
+      success: true,
+      message: 'Recovery codes regenerated. Store them in a safe place.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  });
+}
@@ -1,53 +1,104 @@
 /**
  * User Routes
  */
+import { STATUS_CODES } from 'http';
 import {
   getUserById,
   getUserByUID,
   getUserByEmail,
   updateUser,
-  updateUserUID
+  updateUserUID,
+  updateProfileVisibility,
+  setPrivateAccount,
+  searchUsers,
+  updateUsername,
+  checkUsernameAvailability,
+  suggestUsernames,
+  deleteUser
 } from '../models/User.js';
 import { query } from '../config/database.js';
 import { saveFile, fileToBase64, deleteFile, isValidImage } from '../utils/fileUpload.js';
+import { revokeAllSessions } from '../utils/tokens.js';
+import { verifyCurrentPassword } from '../utils/loginProtection.js';
+import { hasRole } from '../utils/roles.js';
+import { ACCOUNT_DELETION, UID_POLICY, USERNAME_POLICY } from '../config/account.js';
+import {
+  VISIBILITY_FIELDS,
+  userProfileSchema,
+  visibilityUpdateSchema,
+  toPublicProfile,
+  toPrivateProfile,
+  projectUserFor,
+  canViewPrivateProfile,
+  isFieldPublic
+} from '../utils/userProfile.js';
+import { decodeCursor, paginate } from '../utils/pagination.js';
+import { profileFieldProperties, normalizeProfileFields } from '../utils/profileFields.js';
+import { getFollowRelation, isContentLocked, approveAllFollowRequests } from '../models/Follow.js';
+import { isHiddenFromViewer, isMuted } from '../models/Block.js';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    statusCode: { type: 'number' },
+    error: { type: 'string' },
+    message: { type: 'string' }
+  }
+};
+
+/**
+ * Project a user for the viewer and add the viewer's follow relationship
+ * @param {Object} user - User row
+ * @param {Object|null} viewer - request.user (or null for anonymous)
+ * @returns {Promise<Object>} Profile response data
+ */
+async function buildProfileResponse(user, viewer) {
+  const profile = projectUserFor(user, viewer);
+
+  if (viewer && viewer.id !== user.id) {
+    Object.assign(profile, await getFollowRelation(viewer.id, user.id));
+  }
+
+  return profile;
+}
 
 export default async function userRoutes(fastify) {
   /**
-   * @route GET /api/v1/users/:userId
-   * @description Get user by ID
+   * @route DELETE /api/v1/users/me
+   * @description Delete the logged in account (restorable by logging in during the grace period)
    * @tags users
-   * @param {number} userId - User ID
-   * @response 200 - User information
-   * @response 404 - User not found
+   * @security BearerAuth
+   * @body {string} password - Current password
+   * @response 200 - Account scheduled for deletion
+   * @response 401 - Password is incorrect
+   * @response 423 - Account temporarily locked after repeated failures
+   * @response 429 - Too many attempts, retry after the Retry-After delay
    */
-  fastify.get('/users/:userId', {
+  fastify.delete('/users/me', {
     schema: {
-      description: 'Get user information by user ID. Requires authentication.',
+      description: `Delete your account. Requires the current password. The account is deactivated immediately and every session is logged out. Logging in within ${ACCOUNT_DELETION.graceDays} days restores it; after that, personal data is anonymized and posts, comments, likes, follows and uploaded files are removed permanently.`,
       tags: ['users'],
       security: [{ BearerAuth: [] }],
-      params: {
+      body: {
         type: 'object',
+        required: ['password'],
         properties: {
-          userId: { type: 'number' }
-        },
-        required: ['userId']
+          password: {
+            type: 'string',
+            minLength: 1
+          }
+        }
       },
       response: {
         200: {
           type: 'object',
           properties: {
             success: { type: 'boolean' },
+            message: { type: 'string' },
             data: {
               type: 'object',
               properties: {
-                id: { type: 'number' },
-                email: { type: 'string' },
-                username: { type: 'string' },
-                uid: { type: 'string' },
-                profile_image: { type: 'string' },
-                bio: { type: 'string' },
-                real_name: { type: 'string' },
-                created_at: { type: 'string' }
+                purge_after: { type: 'string' }
               }
             }
           }
@@ -60,22 +111,430 @@ export default async function userRoutes(fastify) {
             message: { type: 'string' }
           }
         },
-        404: {
+        423: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const userId = request.user.id;
+
+    const reauthError = await verifyCurrentPassword(request.user, request.body.password, request.ip, fastify.log);
+    if (reauthError) {
+      if (reauthError.retryAfter) {
+        reply.header('Retry-After', reauthError.retryAfter);
+      }
+      return reply.code(reauthError.statusCode).send({
+        statusCode: reauthError.statusCode,
+        error: reauthError.error,
+        message: reauthError.message
+      });
+    }
+
+    await deleteUser(userId);
+    await revokeAllSessions(userId);
+
+    return reply.send({
+      success: true,
+      message: `Account deleted. Log in within ${ACCOUNT_DELETION.graceDays} days to restore it.`,
+      data: {
+        purge_after: new Date(Date.now() + ACCOUNT_DELETION.graceDays * 24 * 60 * 60 * 1000).toISOString()
+      }
+    });
+  });
+
+  /**
+   * @route GET /api/v1/users/me
+   * @description Get the logged in user's private profile
+   * @tags users
+   * @security BearerAuth
+   * @response 200 - Private profile including visibility settings
+   */
+  fastify.get('/users/me', {
+    schema: {
+      description: 'Get your own profile, including private fields and per-field visibility settings.',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: userProfileSchema
+          }
+        },
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const user = await getUserById(request.user.id);
+
+    if (!user) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      data: toPrivateProfile(user)
+    });
+  });
+
+  /**
+   * @route PUT /api/v1/users/me/visibility
+   * @description Choose which optional profile fields are public
+   * @tags users
+   * @security BearerAuth
+   * @body {string} [real_name] - 'public' or 'private'
+   * @body {string} [birth_date] - 'public' or 'private'
+   * @body {string} [email] - 'public' or 'private'
+   * @body {string} [phone_number] - 'public' or 'private'
+   * @response 200 - Updated private profile
+   */
+  fastify.put('/users/me/visibility', {
+    schema: {
+      description: `Set who can see optional profile fields (${VISIBILITY_FIELDS.join(', ')}). Each field is either "public" (shown on your public profile) or "private" (only you and admins). Fields not included keep their current setting; all fields are private by default.`,
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      body: visibilityUpdateSchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: userProfileSchema
+          }
+        },
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const user = await updateProfileVisibility(request.user.id, request.body);
+
+    if (!user) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Profile visibility updated',
+      data: toPrivateProfile(user)
+    });
+  });
+
+  /**
+   * @route PUT /api/v1/users/me/privacy
+   * @description Turn private account mode on or off
+   * @tags users
+   * @security BearerAuth
+   * @body {boolean} is_private - Require approval for new followers
+   * @response 200 - Updated private profile
+   */
+  fastify.put('/users/me/privacy', {
+    schema: {
+      description: 'Make your account private or public. While private, new follows become follow requests you approve or reject, and only approved followers see your posts and follow lists. Existing followers stay. Making the account public approves all pending requests.',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['is_private'],
+        additionalProperties: false,
+        properties: {
+          is_private: { type: 'boolean' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: userProfileSchema
+          }
+        },
+        404: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { is_private: isPrivate } = request.body;
+    let user = await setPrivateAccount(request.user.id, isPrivate);
+
+    if (!user) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    let message = isPrivate ? 'Account is now private' : 'Account is now public';
+    if (!isPrivate) {
+      const approved = await approveAllFollowRequests(request.user.id);
+      if (approved > 0) {
+        message += ` (${approved} pending follow request${approved === 1 ? '' : 's'} approved)`;
+        user = await getUserById(request.user.id);
+      }
+    }
+
+    return reply.send({
+      success: true,
+      message,
+      data: toPrivateProfile(user)
+    });
+  });
+
+  /**
+   * @route GET /api/v1/users/username-available
+   * @description Check whether a username can be used
+   * @tags users
+   * @query {string} name - Username to check
+   * @response 200 - Availability, with suggestions if the name is taken
+   */
+  fastify.get('/users/username-available', {
+    schema: {
+      description: 'Check a username before registering or changing it. Applies the same rules as registration and PUT /users/me/username: format, reserved words, names in use, and names released by other users within the hold period. When logged in, your own current and past usernames count as available. Taken names come with available suggestions.',
+      tags: ['users'],
+      querystring: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              properties: {
+                username: { type: 'string' },
+                available: { type: 'boolean' },
+                reason: { type: 'string', nullable: true, enum: ['invalid', 'reserved', 'taken', null] },
+                message: { type: 'string' },
+                suggestions: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    preHandler: [fastify.optionalAuthenticate]
+  }, async (request, reply) => {
+    const username = request.query.name.trim();
+    const result = await checkUsernameAvailability(username, request.user ? request.user.id : 0);
+    const suggestions = result.available ? [] : await suggestUsernames(username);
+
+    return reply.send({
+      success: true,
+      data: {
+        username,
+        ...result,
+        suggestions
+      }
+    });
+  });
+
+  /**
+   * @route PUT /api/v1/users/me/username
+   * @description Change the logged in user's username
+   * @tags users
+   * @security BearerAuth
+   * @body {string} username - New username
+   * @response 200 - Username changed
+   * @response 400 - Invalid format or unchanged username
+   * @response 403 - Reserved username
+   * @response 409 - Username taken or recently released by another user
+   * @response 429 - Username changed too recently
+   */
+  fastify.put('/users/me/username', {
+    schema: {
+      description: `Change your username. Usernames can be changed once every ${USERNAME_POLICY.changeCooldownDays} days; your previous username stays reserved for you for ${USERNAME_POLICY.releaseHoldDays} days so nobody else can take it right away.`,
+      tags: ['users'],
+      security: [{ BearerAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['username'],
+        properties: {
+          username: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                username: { type: 'string' }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema,
+        409: errorSchema,
+        429: errorSchema
+      }
+    },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const user = await updateUsername(request.user.id, request.body.username.trim());
+
+      return reply.send({
+        success: true,
+        message: 'Username updated successfully',
+        data: {
+          username: user.username
+        }
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        fastify.log.error(error);
+        return reply.code(500).send({
+          statusCode: 500,
+          error: 'Internal Server Error',
+          message: 'Failed to update username'
+        });
+      }
+
+      if (error.retryAfter) {
+        reply.header('Retry-After', error.retryAfter);
+      }
+
+      return reply.code(error.statusCode).send({
+        statusCode: error.statusCode,
+        error: STATUS_CODES[error.statusCode],
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route GET /api/v1/users/search
+   * @description Search users by username prefix, exact UID or public real name
+   * @tags users
+   * @query {string} q - Search term (Hangul initial consonants such as "ㄱㅊ" are supported)
+   * @query {number} [limit=20] - Page size (max 50)
+   * @query {string} [cursor] - nextCursor from the previous page
+   * @response 200 - Public profiles, exact matches first
+   * @response 400 - Invalid cursor
+   */
+  fastify.get('/users/search', {
+    schema: {
+      description: 'Search users. Matches username prefixes, an exact 7-digit UID, and real names of users who made their real name public. Hangul initial consonants (chosung) match syllables, e.g. "ㄱㅊㅅ" finds "김철수". Exact matches are listed first. Results are public profiles; pass nextCursor as cursor to get the next page.',
+      tags: ['users'],
+      querystring: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+          q: { type: 'string', minLength: 1, maxLength: 50 },
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+          cursor: { type: 'string' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'array',
+              items: userProfileSchema
+            },
+            nextCursor: { type: 'string', nullable: true }
+          }
+        },
+        400: errorSchema
+      }
+    },
+    preHandler: [fastify.optionalAuthenticate]
+  }, async (request, reply) => {
+    const { limit, cursor } = request.query;
+    const term = request.query.q.trim();
+    const after = decodeCursor(cursor);
+
+    if (cursor && (!after || !Number.isInteger(after.r) || !Number.isInteger(after.id))) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: 'Invalid cursor'
+      });
+    }
+
+    if (!term) {
+      return reply.send({ success: true, data: [], nextCursor: null });
+    }
+
+    const rows = await searchUsers(term, {
+      limit,
+      after,
+      viewerId: request.user ? request.user.id : null
+    });
+    const { items, nextCursor } = paginate(rows, limit, (row) => ({ r: row.match_rank, id: row.id }));
+
+    return reply.send({
+      success: true,
+      data: items.map(toPublicProfile),
+      nextCursor
+    });
+  });
+
+  /**
+   * @route GET /api/v1/users/:userId
+   * @description Get user by ID
+   * @tags users
+   * @param {number} userId - User ID
+   * @response 200 - Public profile (private profile for the owner or an admin)
+   * @response 404 - User not found
+   */
+  fastify.get('/users/:userId', {
+    schema: {
+      description: 'Get user information by user ID. Requires authentication (JWT, or an API key with the users:read scope). Returns the public profile; the owner and admins get the private profile.',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          userId: { type: 'number' }
+        },
+        required: ['userId']
+      },
+      response: {
+        200: {
           type: 'object',
           properties: {
-            statusCode: { type: 'number' },
-            error: { type: 'string' },
-            message: { type: 'string' }
+            success: { type: 'boolean' },
+            data: userProfileSchema
           }
-        }
+        },
+        401: errorSchema,
+        404: errorSchema
       }
     },
-    preHandler: [fastify.authenticate]
+    preHandler: [fastify.authenticateUserOrApiKey, fastify.requireScope('users:read')]
   }, async (request, reply) => {
     const { userId } = request.params;
     const user = await getUserById(parseInt(userId, 10));
 
-    if (!user) {
+    if (!user || await isHiddenFromViewer(user.id, request.user)) {
       return reply.code(404).send({
         statusCode: 404,
         error: 'Not Found',
@@ -83,12 +542,9 @@ export default async function userRoutes(fastify) {
       });
     }
 
-    // Remove sensitive information
-    const { password_hash, ...userData } = user;
-
     return reply.send({
       success: true,
-      data: userData
+      data: await buildProfileResponse(user, request.user)
     });
   });
 
@@ -97,12 +553,12 @@ export default async function userRoutes(fastify) {
    * @description Get user by UID
    * @tags users
    * @param {string} uid - User UID (7 digits)
-   * @response 200 - User information
+   * @response 200 - Public profile (private profile for the owner or an admin)
    * @response 404 - User not found
    */
   fastify.get('/users/uid/:uid', {
     schema: {
-      description: 'Get user information by UID',
+      description: 'Get user information by UID. Authentication is optional: anonymous viewers get the public profile, which only includes optional fields the user made public.',
       tags: ['users'],
       params: {
         type: 'object',
@@ -116,26 +572,18 @@ export default async function userRoutes(fastify) {
           type: 'object',
           properties: {
             success: { type: 'boolean' },
-            data: {
-              type: 'object'
-            }
+            data: userProfileSchema
           }
         },
-        404: {
-          type: 'object',
-          properties: {
-            statusCode: { type: 'number' },
-            error: { type: 'string' },
-            message: { type: 'string' }
-          }
-        }
+        404: errorSchema
       }
-    }
+    },
+    preHandler: [fastify.optionalAuthenticate]
   }, async (request, reply) => {
     const { uid } = request.params;
     const user = await getUserByUID(uid);
 
-    if (!user) {
+    if (!user || await isHiddenFromViewer(user.id, request.user)) {
       return reply.code(404).send({
         statusCode: 404,
         error: 'Not Found',
@@ -143,12 +591,9 @@ export default async function userRoutes(fastify) {
       });
     }
 
-    // Remove sensitive information
-    const { password_hash, ...userData } = user;
-
     return reply.send({
       success: true,
-      data: userData
+      data: await buildProfileResponse(user, request.user)
     });
   });
 
@@ -157,12 +602,12 @@ export default async function userRoutes(fastify) {
    * @description Get user by email
    * @tags users
    * @param {string} email - User email
-   * @response 200 - User information
-   * @response 404 - User not found
+   * @response 200 - Public profile (private profile for the owner or an admin)
+   * @response 404 - User not found, or the email is not public
    */
   fastify.get('/users/email/:email', {
     schema: {
-      description: 'Get user information by email',
+      description: 'Get user information by email. Only finds users who made their email public (the owner and admins can always look it up), so the endpoint cannot be used to check whether an address is registered.',
       tags: ['users'],
       params: {
         type: 'object',
@@ -176,26 +621,23 @@ export default async function userRoutes(fastify) {
           type: 'object',
           properties: {
             success: { type: 'boolean' },
-            data: {
-              type: 'object'
-            }
+            data: userProfileSchema
           }
         },
-        404: {
-          type: 'object',
-          properties: {
-            statusCode: { type: 'number' },
-            error: { type: 'string' },
-            message: { type: 'string' }
-          }
-        }
+        404: errorSchema
       }
-    }
+    },
+    preHandler: [fastify.optionalAuthenticate]
   }, async (request, reply) => {
     const { email } = request.params;
     const user = await getUserByEmail(email);
 
-    if (!user) {
+    // 비공개 이메일은 가입 여부가 드러나지 않도록 미가입과 같은 응답
+    if (
+      !user
+      || (!isFieldPublic(user, 'email') && !canViewPrivateProfile(user, request.user))
+      || await isHiddenFromViewer(user.id, request.user)
+    ) {
       return reply.code(404).send({
         statusCode: 404,
         error: 'Not Found',
@@ -203,29 +645,31 @@ export default async function userRoutes(fastify) {
       });
     }
 
-    // Remove sensitive information
-    const { password_hash, ...userData } = user;
-
     return reply.send({
       success: true,
-      data: userData
+      data: await buildProfileResponse(user, request.user)
     });
   });
 
   /**
    * @route PUT /api/v1/users/:userId/uid
-   * @description Update user UID
+   * @description Update user UID (owner or admin)
    * @tags users
+   * @security BearerAuth
    * @param {number} userId - User ID
    * @body {string} uid - New UID (7 digits)
    * @response 200 - UID updated successfully
-   * @response 400 - Invalid UID format or UID already exists
+   * @response 400 - Invalid UID format or unchanged UID
+   * @response 403 - Not the owner, or reserved UID requested by a non-admin
    * @response 404 - User not found
+   * @response 409 - UID already taken or recently released by another user
+   * @response 429 - UID changed too recently
    */
   fastify.put('/users/:userId/uid', {
     schema: {
-      description: 'Update user UID. UID must be exactly 7 digits and unique.',
+      description: `Update user UID. UID must be exactly 7 digits and unique. Requires authentication; users can only change their own UID (admins can change any UID). Users can change their UID once every ${UID_POLICY.changeCooldownDays} days and cannot pick reserved vanity UIDs. UIDs released by other users cannot be claimed for ${UID_POLICY.releaseHoldDays} days.`,
       tags: ['users'],
+      security: [{ BearerAuth: [] }],
       params: {
         type: 'object',
         properties: {
@@ -266,6 +710,22 @@ export default async function userRoutes(fastify) {
             message: { type: 'string' }
           }
         },
+        401: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        403: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
         404: {
           type: 'object',
           properties: {
@@ -273,15 +733,35 @@ export default async function userRoutes(fastify) {
             error: { type: 'string' },
             message: { type: 'string' }
           }
+        },
+        409: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
+        },
+        429: {
+          type: 'object',
+          properties: {
+            statusCode: { type: 'number' },
+            error: { type: 'string' },
+            message: { type: 'string' }
+          }
         }
       }
-    }
+    },
+    preHandler: [fastify.authenticate, fastify.authorizeOwnerOrRole('admin')]
   }, async (request, reply) => {
     const { userId } = request.params;
     const { uid } = request.body;
 
     try {
-      const user = await updateUserUID(parseInt(userId, 10), uid);
+      const user = await updateUserUID(parseInt(userId, 10), uid, {
+        changedBy: request.user.id,
+        isAdmin: hasRole(request.user.role, 'admin')
+      });
       
       return reply.send({
         success: true,
@@ -291,17 +771,22 @@ export default async function userRoutes(fastify) {
         }
       });
     } catch (error) {
-      if (error.message.includes('not found')) {
-        return reply.code(404).send({
-          statusCode: 404,
-          error: 'Not Found',
-          message: error.message
+      if (!error.statusCode) {
+        fastify.log.error(error);
+        return reply.code(500).send({
+          statusCode: 500,
+          error: 'Internal Server Error',
+          message: 'Failed to update UID'
         });
       }
-      
-      return reply.code(400).send({
-        statusCode: 400,
-        error: 'Bad Request',
+
+      if (error.retryAfter) {
+        reply.header('Retry-After', error.retryAfter);
+      }
+
+      return reply.code(error.statusCode).send({
+        statusCode: error.statusCode,
+        error: STATUS_CODES[error.statusCode],
         message: error.message
       });
     }
@@ -309,19 +794,23 @@ export default async function userRoutes(fastify) {
 
   /**
    * @route PUT /api/v1/users/:userId/profile
-   * @description Update user profile (profile image, bio)
+   * @description Update user profile (display name, profile image, bio, pronouns, links)
    * @tags users
    * @param {number} userId - User ID
-   * @body {string} profile_image - Profile image URL or base64 string
-   * @body {string} bio - Bio/status message
+   * @body {string} [display_name] - Display name (null to remove)
+   * @body {string} [profile_image] - Profile image URL or base64 string
+   * @body {string} [bio] - Bio/status message (null to remove)
+   * @body {string} [pronouns] - Pronouns (null to remove)
+   * @body {Array} [links] - Up to 5 external links [{ title, url }] (null or [] to remove)
    * @response 200 - Profile updated successfully
+   * @response 400 - Invalid field value
    * @response 404 - User not found
    */
   fastify.put('/users/:userId/profile', {
     schema: {
-      description: 'Update user profile information (profile image and bio). Requires authentication. Users can only update their own profile.',
+      description: 'Update user profile information (display name, profile image, bio, pronouns and links). Only the fields sent are changed; send null to clear one. The cover image is uploaded with POST /users/{userId}/profile/cover. Requires authentication (JWT, or an API key with the profile:write scope). Users can only update their own profile (admins can update any profile).',
       tags: ['users'],
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       params: {
         type: 'object',
         properties: {
@@ -336,10 +825,7 @@ export default async function userRoutes(fastify) {
             type: 'string',
             description: 'Profile image URL or base64 encoded string (data:image/...;base64,...)'
           },
-          bio: {
-            type: 'string',
-            description: 'Bio/status message'
-          }
+          ...profileFieldProperties
         }
       },
       response: {
@@ -348,11 +834,10 @@ export default async function userRoutes(fastify) {
           properties: {
             success: { type: 'boolean' },
             message: { type: 'string' },
-            data: {
-              type: 'object'
-            }
+            data: userProfileSchema
           }
         },
+        400: errorSchema,
         401: {
           type: 'object',
           properties: {
@@ -379,21 +864,26 @@ export default async function userRoutes(fastify) {
         }
       }
     },
-    preHandler: [fastify.authenticate]
+    preHandler: [
+      fastify.authenticateUserOrApiKey,
+      fastify.requireScope('profile:write'),
+      fastify.authorizeOwnerOrRole('admin')
+    ]
   }, async (request, reply) => {
     const { userId } = request.params;
-    const { profile_image, bio } = request.body;
-
-    // 본인 프로필만 수정 가능
-    if (request.user.id !== parseInt(userId, 10)) {
-      return reply.code(403).send({
-        statusCode: 403,
-        error: 'Forbidden',
-        message: 'You can only update your own profile'
+    const { profile_image } = request.body;
+
+    // 가입과 같은 규칙으로 검사/정규화
+    const profileFields = normalizeProfileFields(request.body);
+    if (profileFields.error) {
+      return reply.code(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: profileFields.error
       });
     }
 
-    const updateData = {};
+    const updateData = { ...profileFields.data };
     
     // Handle profile image
     if (profile_image !== undefined) {
@@ -412,8 +902,7 @@ export default async function userRoutes(fastify) {
         });
       }
     }
-    
-    if (bio !== undefined) updateData.bio = bio;
+
 
     try {
       const user = await updateUser(parseInt(userId, 10), updateData);
@@ -429,10 +918,7 @@ export default async function userRoutes(fastify) {
       return reply.send({
         success: true,
         message: 'Profile updated successfully',
-        data: {
-          profile_image: user.profile_image || null,
-          bio: user.bio || null
-        }
+        data: toPrivateProfile(user)
       });
     } catch (error) {
       fastify.log.error('Error updating profile:', error);
@@ -457,9 +943,9 @@ export default async function userRoutes(fastify) {
    */
   fastify.post('/users/:userId/profile/image', {
     schema: {
-      description: 'Upload profile image file. Requires authentication. Users can only upload their own profile image.',
+      description: 'Upload profile image file. Requires authentication (JWT, or an API key with the profile:write scope). Users can only upload their own profile image (admins can upload for any user).',
       tags: ['users'],
-      security: [{ BearerAuth: [] }],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
       consumes: ['multipart/form-data'],
       params: {
         type: 'object',
@@ -516,19 +1002,14 @@ export default async function userRoutes(fastify) {
         }
       }
     },
-    preHandler: [fastify.authenticate]
+    preHandler: [
+      fastify.authenticateUserOrApiKey,
+      fastify.requireScope('profile:write'),
+      fastify.authorizeOwnerOrRole('admin')
+    ]
   }, async (request, reply) => {
     const { userId } = request.params;
 
-    // 본인 프로필만 수정 가능
-    if (request.user.id !== parseInt(userId, 10)) {
-      return reply.code(403).send({
-        statusCode: 403,
-        error: 'Forbidden',
-        message: 'You can only upload your own profile image'
-      });
-    }
-
     // Check if user exists
     const user = await getUserById(parseInt(userId, 10));
     if (!user) {
@@ -589,16 +1070,186 @@ export default async function userRoutes(fastify) {
     }
   });
 
+  /**
+   * @route POST /api/v1/users/:userId/profile/cover
+   * @description Upload cover image file
+   * @tags users
+   * @param {number} userId - User ID
+   * @consumes multipart/form-data
+   * @param {file} image - Image file
+   * @response 200 - Cover image uploaded successfully
+   * @response 400 - Invalid file or file too large
+   * @response 404 - User not found
+   */
+  fastify.post('/users/:userId/profile/cover', {
+    schema: {
+      description: 'Upload the cover (header) image shown on the profile. Requires authentication (JWT, or an API key with the profile:write scope). Users can only upload their own cover image (admins can upload for any user).',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
+      consumes: ['multipart/form-data'],
+      params: {
+        type: 'object',
+        properties: {
+          userId: { type: 'number' }
+        },
+        required: ['userId']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                cover_image: { type: 'string' }
+              }
+            }
+          }
+        },
+        400: errorSchema,
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [
+      fastify.authenticateUserOrApiKey,
+      fastify.requireScope('profile:write'),
+      fastify.authorizeOwnerOrRole('admin')
+    ]
+  }, async (request, reply) => {
+    const userId = parseInt(request.params.userId, 10);
+
+    const user = await getUserById(userId);
+    if (!user) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    try {
+      const data = await request.file();
+
+      if (!data) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'No file uploaded'
+        });
+      }
+
+      if (!isValidImage(data)) {
+        return reply.code(400).send({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Invalid image file. Allowed types: JPEG, PNG, GIF, WebP'
+        });
+      }
+
+      const fileUrl = await saveFile(data, 'covers');
+      const updatedUser = await updateUser(userId, { cover_image: fileUrl });
+
+      // 새 파일 저장 후 이전 파일 삭제 (로컬 파일만)
+      if (user.cover_image && user.cover_image.startsWith('/uploads/')) {
+        await deleteFile(user.cover_image);
+      }
+
+      return reply.send({
+        success: true,
+        message: 'Cover image uploaded successfully',
+        data: {
+          cover_image: updatedUser.cover_image
+        }
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.code(500).send({
+        statusCode: 500,
+        error: 'Internal Server Error',
+        message: 'Failed to upload image'
+      });
+    }
+  });
+
+  /**
+   * @route DELETE /api/v1/users/:userId/profile/cover
+   * @description Remove cover image
+   * @tags users
+   * @param {number} userId - User ID
+   * @response 200 - Cover image removed
+   * @response 404 - User not found
+   */
+  fastify.delete('/users/:userId/profile/cover', {
+    schema: {
+      description: 'Remove the cover image. Requires authentication (JWT, or an API key with the profile:write scope).',
+      tags: ['users'],
+      security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          userId: { type: 'number' }
+        },
+        required: ['userId']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' }
+          }
+        },
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema
+      }
+    },
+    preHandler: [
+      fastify.authenticateUserOrApiKey,
+      fastify.requireScope('profile:write'),
+      fastify.authorizeOwnerOrRole('admin')
+    ]
+  }, async (request, reply) => {
+    const userId = parseInt(request.params.userId, 10);
+
+    const user = await getUserById(userId);
+    if (!user) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    await updateUser(userId, { cover_image: null });
+
+    if (user.cover_image && user.cover_image.startsWith('/uploads/')) {
+      await deleteFile(user.cover_image);
+    }
+
+    return reply.send({
+      success: true,
+      message: 'Cover image removed'
+    });
+  });
+
   /**
    * @route GET /api/v1/users/:userId/posts
    * @description Get posts by user ID
    * @tags users
    * @param {number} userId - User ID
-   * @response 200 - User posts
+   * @response 200 - User posts (empty with locked: true for private accounts, muted: true if the viewer muted the user)
+   * @response 401 - Invalid API key
+   * @response 403 - API key without the posts:read scope
+   * @response 404 - User not found, or a block exists between the viewer and the user
    */
   fastify.get('/users/:userId/posts', {
     schema: {
-      description: 'Get all posts created by a specific user',
+      description: 'Get all posts created by a specific user. Authentication is optional (JWT, or an API key with the posts:read scope); if you blocked the user or they blocked you, the user is not found. For a private account, only the owner and approved followers see posts; others get locked: true and no posts. If you muted the user, no posts are returned and muted is true.',
       tags: ['users'],
       params: {
         type: 'object',
@@ -612,6 +1263,9 @@ export default async function userRoutes(fastify) {
           type: 'object',
           properties: {
             success: { type: 'boolean' },
+            locked: { type: 'boolean' },
+            muted: { type: 'boolean' },
+            message: { type: 'string' },
             data: {
               type: 'array',
               items: {
@@ -626,11 +1280,45 @@ export default async function userRoutes(fastify) {
               }
             }
           }
-        }
+        },
+        401: errorSchema,
+        403: errorSchema,
+        404: errorSchema
       }
-    }
+    },
+    preHandler: [fastify.optionalAuthenticateUserOrApiKey, fastify.requireScope('posts:read')]
   }, async (request, reply) => {
-    const { userId } = request.params;
+    const userId = parseInt(request.params.userId, 10);
+    const viewer = request.user;
+    const user = await getUserById(userId);
+
+    if (!user || await isHiddenFromViewer(userId, viewer)) {
+      return reply.code(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    // 비공개 계정: 본인/승인된 팔로워가 아니면 게시물 대신 잠금 표시만 반환
+    if (await isContentLocked(user, viewer)) {
+      return reply.send({
+        success: true,
+        locked: true,
+        muted: false,
+        message: 'This account is private',
+        data: []
+      });
+    }
+
+    if (viewer && viewer.id !== userId && await isMuted(viewer.id, userId)) {
+      return reply.send({
+        success: true,
+        locked: false,
+        muted: true,
+        data: []
+      });
+    }
 
     const sql = `
       SELECT 
@@ -638,15 +1326,17 @@ export default async function userRoutes(fastify) {
         location, created_at, updated_at
       FROM posts
       WHERE user_id = ? AND is_deleted = FALSE
+        AND EXISTS (SELECT 1 FROM users u WHERE u.id = posts.user_id AND u.deleted_at IS NULL)
       ORDER BY created_at DESC
     `;
 
-    const posts = await query(sql, [parseInt(userId, 10)]);
+    const posts = await query(sql, [userId]);
 
     return reply.send({
       success: true,
+      locked: false,
+      muted: false,
       data: posts
     });
   });
 }
-
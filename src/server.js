@@ -10,6 +10,7 @@ import jwt from '@fastify/jwt';
 import { swaggerConfig, swaggerUiConfig } from './config/swagger.js';
 import registerRoutes from './routes/index.js';
 import { testConnection, closePool } from './config/database.js';
+import { startScheduledJobs, stopScheduledJobs } from './jobs/index.js';
 import multipart from '@fastify/multipart';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -60,7 +61,7 @@ async function build() {
       : true, // Allow all origins in development
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
   });
 
   // File upload support
@@ -81,10 +82,34 @@ async function build() {
   });
 
   // 인증 미들웨어 등록
-  const { authenticate } = await import('./middleware/auth.js');
+  const {
+    authenticate,
+    optionalAuthenticate,
+    authenticateApiKey,
+    authenticateUserOrApiKey,
+    optionalAuthenticateUserOrApiKey,
+    requireScope,
+    authorize,
+    authorizeOwnerOrRole
+  } = await import('./middleware/auth.js');
   fastify.decorate('authenticate', async (request, reply) => {
     return authenticate(request, reply);
   });
+  fastify.decorate('optionalAuthenticate', async (request, reply) => {
+    return optionalAuthenticate(request, reply);
+  });
+  fastify.decorate('authenticateApiKey', async (request, reply) => {
+    return authenticateApiKey(request, reply);
+  });
+  fastify.decorate('authenticateUserOrApiKey', async (request, reply) => {
+    return authenticateUserOrApiKey(request, reply);
+  });
+  fastify.decorate('optionalAuthenticateUserOrApiKey', async (request, reply) => {
+    return optionalAuthenticateUserOrApiKey(request, reply);
+  });
+  fastify.decorate('requireScope', requireScope);
+  fastify.decorate('authorize', authorize);
+  fastify.decorate('authorizeOwnerOrRole', authorizeOwnerOrRole);
 
   // Register routes
   await registerRoutes(fastify);
@@ -161,6 +186,9 @@ async function start() {
     const port = parseInt(process.env.PORT || '3000', 10);
 
     await server.listen({ port, host });
+
+    // 주기 작업 (탈퇴 계정 영구 삭제 등)
+    startScheduledJobs(server.log);
     
     console.log(`🚀 Server is running on http://${host}:${port}`);
     console.log(`📚 API Documentation available at http://${host}:${port}/docs`);
@@ -175,6 +203,7 @@ async function start() {
 async function shutdown() {
   console.log('\n🛑 Shutting down server...');
   try {
+    stopScheduledJobs();
     await fastify.close();
     await closePool();
     console.log('✅ Server and database connections closed gracefully');
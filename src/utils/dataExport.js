@@ -0,0 +1,116 @@
+/**
+ * Data Export Archive Utilities
+ * 사용자 데이터(JSON)와 업로드 파일을 ZIP으로 묶어 exports/ 디렉터리에 저장합니다.
+ * exports/는 정적 파일로 제공하지 않으며 다운로드 토큰을 확인한 뒤에만 전송합니다.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import archiver from 'archiver';
+import { resolveUploadPath } from './fileUpload.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EXPORT_DIR = path.join(__dirname, '../../exports');
+
+/**
+ * Resolve an export file name to its path on disk
+ * @param {string} fileName - File name stored in data_exports.file_name
+ * @returns {string} Absolute path
+ */
+export function resolveExportPath(fileName) {
+  return path.join(EXPORT_DIR, path.basename(fileName));
+}
+
+/**
+ * Collect uploaded file URLs referenced by the export data
+ * @param {Object} data - Result of collectUserData
+ * @returns {Array<string>} Unique /uploads/ URLs
+ */
+function collectMediaUrls(data) {
+  const urls = [data.account.profile_image, data.account.cover_image];
+
+  for (const post of data.posts) {
+    urls.push(post.image_url);
+    if (Array.isArray(post.image_urls)) {
+      urls.push(...post.image_urls);
+    }
+  }
+
+  return [...new Set(urls.filter((url) => typeof url === 'string' && url.startsWith('/uploads/')))];
+}
+
+/**
+ * Write the export archive
+ * ZIP 구성: data.json (전체 데이터) + media/ (업로드 파일, /uploads/ 이하 경로 유지)
+ * 작성 중에는 .part 파일에 쓰고 완료 후 이름을 바꿉니다.
+ * @param {string} fileName - Archive file name
+ * @param {Object} data - Result of collectUserData
+ * @returns {Promise<Object>} { fileSize, mediaCount, missingMedia }
+ */
+export async function writeExportArchive(fileName, data) {
+  await fs.mkdir(EXPORT_DIR, { recursive: true });
+
+  const filepath = resolveExportPath(fileName);
+  const partPath = `${filepath}.part`;
+
+  const media = [];
+  const missingMedia = [];
+
+  for (const url of collectMediaUrls(data)) {
+    const source = resolveUploadPath(url);
+    const stat = source ? await fs.stat(source).catch(() => null) : null;
+
+    if (stat && stat.isFile()) {
+      media.push({ url, source, name: `media/${url.slice('/uploads/'.length)}` });
+    } else {
+      missingMedia.push(url);
+    }
+  }
+
+  const document = {
+    exported_at: new Date().toISOString(),
+    ...data,
+    media: media.map(({ url, name }) => ({ url, path: name })),
+    missing_media: missingMedia
+  };
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const written = pipeline(archive, createWriteStream(partPath));
+
+  try {
+    archive.append(JSON.stringify(document, null, 2), { name: 'data.json' });
+    for (const file of media) {
+      archive.file(file.source, { name: file.name });
+    }
+
+    await archive.finalize();
+    await written;
+    await fs.rename(partPath, filepath);
+  } catch (error) {
+    archive.abort();
+    await written.catch(() => {});
+    await fs.rm(partPath, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.stat(filepath);
+
+  return { fileSize: size, mediaCount: media.length, missingMedia };
+}
+
+/**
+ * Delete an export archive
+ * @param {string} fileName - Archive file name
+ * @returns {Promise<void>}
+ */
+export async function deleteExportFile(fileName) {
+  if (!fileName) {
+    return;
+  }
+
+  await fs.rm(resolveExportPath(fileName), { force: true });
+}
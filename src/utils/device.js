@@ -0,0 +1,67 @@
+/**
+ * Device Utilities
+ * 세션 목록에 표시할 기기 정보를 요청에서 추출합니다.
+ */
+
+const USER_AGENT_MAX_LENGTH = 512;
+
+// 위에서부터 먼저 일치하는 항목 사용
+const PLATFORMS = [
+  [/iPad/, 'iPad'],
+  [/iPhone|iPod/, 'iPhone'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/SamsungBrowser\//, 'Samsung Internet'],
+  [/Whale\//, 'Whale'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+/**
+ * Build a human-readable device label from a User-Agent string
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} Label such as "Chrome on Windows" or "iPhone"
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent));
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+
+  if (platform && browser) {
+    return `${browser[1]} on ${platform[1]}`;
+  }
+
+  if (platform) {
+    return platform[1];
+  }
+
+  // 앱/스크립트 클라이언트는 제품 토큰(예: "Setlone/1.2.0")을 그대로 사용
+  return userAgent.split(' ')[0].slice(0, 100);
+}
+
+/**
+ * Extract client metadata stored with a session
+ * @param {Object} request - Fastify request
+ * @returns {Object} { userAgent, ipAddress, deviceLabel }
+ */
+export function getClientInfo(request) {
+  const userAgent = (request.headers['user-agent'] || '').slice(0, USER_AGENT_MAX_LENGTH) || null;
+
+  return {
+    userAgent,
+    ipAddress: request.ip || null,
+    deviceLabel: describeDevice(userAgent)
+  };
+}
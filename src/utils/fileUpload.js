@@ -68,6 +68,20 @@ export async function deleteFile(fileUrl) {
   }
 }
 
+/**
+ * Resolve an uploaded file URL to its path on disk
+ * @param {string} fileUrl - File URL (/uploads/...)
+ * @returns {string|null} Absolute path, or null if the URL points outside the upload directory
+ */
+export function resolveUploadPath(fileUrl) {
+  if (typeof fileUrl !== 'string' || !fileUrl.startsWith('/uploads/')) {
+    return null;
+  }
+
+  const filepath = path.resolve(UPLOAD_DIR, fileUrl.slice('/uploads/'.length));
+  return filepath.startsWith(UPLOAD_DIR + path.sep) ? filepath : null;
+}
+
 /**
  * Validate image file
  * @param {Object} file - Fastify multipart file object
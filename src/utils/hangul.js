@@ -0,0 +1,78 @@
+/**
+ * Hangul Utilities
+ * 초성 검색을 위한 한글 음절/자모 처리
+ *
+ * 한글 음절 = 0xAC00 + (초성 * 21 + 중성) * 28 + 종성
+ */
+
+const SYLLABLE_START = 0xac00;
+const SYLLABLE_END = 0xd7a3;
+const SYLLABLES_PER_CHOSUNG = 21 * 28;
+
+// 호환용 자모 초성 (키보드 입력 순서가 아닌 유니코드 음절 순서)
+const CHOSUNG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Single character
+ * @returns {string} Escaped character
+ */
+function escapeRegExp(char) {
+  return char.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
+/**
+ * Check whether a character is a complete Hangul syllable
+ * @param {string} char - Single character
+ * @returns {boolean} True for 가-힣
+ */
+function isSyllable(char) {
+  const code = char.codePointAt(0);
+  return code >= SYLLABLE_START && code <= SYLLABLE_END;
+}
+
+/**
+ * Check whether a search term needs Hangul-aware matching
+ * (초성이 있거나, 마지막 글자가 받침 없는 음절이라 입력 중일 수 있는 경우)
+ * @param {string} term - Search term
+ * @returns {boolean} True if a plain prefix match is not enough
+ */
+export function needsHangulMatching(term) {
+  const chars = Array.from(term);
+  if (chars.some((char) => CHOSUNG.includes(char))) {
+    return true;
+  }
+
+  const last = chars[chars.length - 1];
+  return Boolean(last) && isSyllable(last) && (last.codePointAt(0) - SYLLABLE_START) % 28 === 0;
+}
+
+/**
+ * Build a prefix regular expression that understands chosung input
+ * 예: 'ㄱㅊ' → 김철수, 고찬 등 / '김처' → 김철수 (마지막 음절은 받침 입력 중으로 간주)
+ * @param {string} term - Search term
+ * @returns {string} Regular expression source anchored at the start (MySQL REGEXP compatible)
+ */
+export function buildHangulPrefixPattern(term) {
+  const chars = Array.from(term);
+
+  const parts = chars.map((char, index) => {
+    const chosungIndex = CHOSUNG.indexOf(char);
+
+    if (chosungIndex !== -1) {
+      const first = SYLLABLE_START + chosungIndex * SYLLABLES_PER_CHOSUNG;
+      const last = first + SYLLABLES_PER_CHOSUNG - 1;
+      return `[${char}${String.fromCodePoint(first)}-${String.fromCodePoint(last)}]`;
+    }
+
+    const offset = isSyllable(char) ? char.codePointAt(0) - SYLLABLE_START : -1;
+    if (index === chars.length - 1 && offset >= 0 && offset % 28 === 0) {
+      // 받침 없는 마지막 음절: 같은 초성+중성의 모든 받침 허용
+      return `[${char}-${String.fromCodePoint(char.codePointAt(0) + 27)}]`;
+    }
+
+    return escapeRegExp(char);
+  });
+
+  return `^${parts.join('')}`;
+}
@@ -0,0 +1,28 @@
+/**
+ * Hidden Users Filter
+ * 차단된 사용자를 읽기 쿼리에서 제외하는 SQL 조건
+ *
+ * 사용자 목록을 읽는 모든 쿼리(검색, 팔로우 목록 등)에 적용합니다.
+ * 차단은 어느 쪽이 차단했든 서로 보이지 않습니다.
+ */
+
+/**
+ * Build a SQL condition that excludes users hidden from a viewer
+ * @param {string} column - Column holding the author/user ID (e.g. 'posts.user_id', 'u.id')
+ * @param {number|null} viewerId - Viewing user (null for anonymous: no condition)
+ * @returns {Object} { sql, params } - sql starts with 'AND' or is empty
+ */
+export function buildHiddenUsersFilter(column, viewerId) {
+  if (!viewerId) {
+    return { sql: '', params: [] };
+  }
+
+  const sql = `
+    AND NOT EXISTS (
+      SELECT 1 FROM user_blocks hb
+      WHERE (hb.blocker_id = ? AND hb.blocked_id = ${column})
+         OR (hb.blocker_id = ${column} AND hb.blocked_id = ?)
+    )`;
+
+  return { sql, params: [viewerId, viewerId] };
+}
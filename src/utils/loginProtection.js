@@ -0,0 +1,169 @@
+/**
+ * Login Protection Utilities
+ * 로그인 실패 기록, 계정 잠금, 연속 실패 시 점진적 대기 시간
+ * 비밀번호/2단계 코드를 확인하는 모든 경로(로그인, 2FA 인증, 재인증)에서 같은 규칙을 적용합니다.
+ */
+import bcrypt from 'bcryptjs';
+import { getPasswordHash } from '../models/User.js';
+import { verifySecondFactor } from '../models/TwoFactor.js';
+import {
+  getLoginState,
+  getLoginDelaySeconds,
+  recordLoginAttempt,
+  reserveLoginAttempt,
+  resetLoginFailures,
+  lockAccount,
+  recordLockoutEvent
+} from '../models/LoginSecurity.js';
+import { generateOpaqueToken, hashToken } from './tokens.js';
+import { sendMail } from './mailer.js';
+import { accountLockedMail } from './mailTemplates.js';
+import { LOGIN_PROTECTION } from '../config/security.js';
+
+/**
+ * Create a new account unlock token
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+export function createUnlockToken() {
+  const token = generateOpaqueToken(32);
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + LOGIN_PROTECTION.unlockTokenTtlMinutes * 60 * 1000)
+  };
+}
+
+/**
+ * Record a failed password check and lock the account once the limit is reached
+ * 실패 횟수는 beginCredentialCheck에서 이미 증가되어 있습니다.
+ * @param {Object} user - User object (id, email)
+ * @param {string} identifier - Submitted login ID
+ * @param {string} ipAddress - Client IP
+ * @param {Object} log - Logger (fastify.log)
+ * @returns {Promise<void>}
+ */
+export async function handleFailedLogin(user, identifier, ipAddress, log) {
+  await recordLoginAttempt({ userId: user.id, identifier, ipAddress, success: false });
+  const loginState = await getLoginState(user.id);
+  const failures = loginState ? loginState.failed_login_attempts : 0;
+
+  if (failures < LOGIN_PROTECTION.maxFailures) {
+    return;
+  }
+
+  const unlock = createUnlockToken();
+  const locked = await lockAccount(user.id, {
+    lockedUntil: new Date(Date.now() + LOGIN_PROTECTION.lockoutMinutes * 60 * 1000),
+    unlockTokenHash: unlock.tokenHash,
+    unlockTokenExpiresAt: unlock.expiresAt
+  });
+
+  if (!locked) {
+    return;
+  }
+
+  await recordLockoutEvent({
+    userId: user.id,
+    eventType: 'locked',
+    reason: `${failures} consecutive failed login attempts`,
+    ipAddress
+  });
+
+  // 메일 발송 실패로 잠금 응답(401/423)이 500으로 바뀌지 않도록 함 (잠금은 이미 저장됨)
+  try {
+    const unlockUrl = `${LOGIN_PROTECTION.unlockUrl}?token=${encodeURIComponent(unlock.token)}`;
+    await sendMail({ to: user.email, ...accountLockedMail(unlockUrl, LOGIN_PROTECTION.lockoutMinutes) });
+  } catch (error) {
+    log.error({ err: error, userId: user.id }, 'Failed to send account locked mail');
+  }
+}
+
+/**
+ * Describe why a credential check is refused (lockout or progressive delay)
+ * @param {Object|null} loginState - Result of getLoginState
+ * @returns {Object|null} { statusCode, error, message, retryAfter } or null if neither applies
+ */
+function getLoginThrottle(loginState) {
+  if (!loginState) {
+    return null;
+  }
+
+  if (loginState.locked_until && new Date(loginState.locked_until) > new Date()) {
+    return {
+      statusCode: 423,
+      error: 'Locked',
+      message: 'Account is temporarily locked due to repeated failed logins. Check your email to unlock it.'
+    };
+  }
+
+  const delaySeconds = getLoginDelaySeconds(loginState.failed_login_attempts);
+  if (delaySeconds > 0 && loginState.last_failed_login_at) {
+    const elapsedSeconds = (Date.now() - new Date(loginState.last_failed_login_at).getTime()) / 1000;
+    const retryAfter = Math.ceil(delaySeconds - elapsedSeconds);
+
+    if (retryAfter > 0) {
+      return {
+        statusCode: 429,
+        error: 'Too Many Requests',
+        message: `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+        retryAfter
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reserve a password or code check (잠금/대기 시간 확인)
+ * 통과하면 시도가 실패로 먼저 집계되므로, 확인에 성공한 뒤 resetLoginFailures를 호출해야 합니다.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { statusCode, error, message, retryAfter } or null if the check may proceed
+ */
+export async function beginCredentialCheck(userId) {
+  if (await reserveLoginAttempt(userId)) {
+    return null;
+  }
+
+  // 거부 사유는 현재 상태로 계산 (그 사이 대기 시간이 끝났으면 바로 다시 시도하도록 안내)
+  return getLoginThrottle(await getLoginState(userId)) || {
+    statusCode: 429,
+    error: 'Too Many Requests',
+    message: 'Too many failed attempts. Please try again.',
+    retryAfter: 1
+  };
+}
+
+/**
+ * Verify the current password before a sensitive change (비밀번호/이메일 변경, 탈퇴, 2FA 해제 등)
+ * 탈취된 액세스 토큰으로 비밀번호를 추측하지 못하도록 로그인과 같은 잠금/대기 규칙을 적용합니다.
+ * @param {Object} user - Authenticated user (request.user: id, email)
+ * @param {string} password - Submitted current password
+ * @param {string} ipAddress - Client IP
+ * @param {Object} log - Logger (fastify.log)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.secondFactor] - { code, recoveryCode }; also require a valid second factor
+ * @returns {Promise<Object|null>} Error ({ statusCode, error, message, retryAfter }), or null if re-authentication succeeded
+ */
+export async function verifyCurrentPassword(user, password, ipAddress, log, { secondFactor = null } = {}) {
+  const throttle = await beginCredentialCheck(user.id);
+  if (throttle) {
+    return throttle;
+  }
+
+  const passwordHash = await getPasswordHash(user.id);
+
+  if (!passwordHash || !(await bcrypt.compare(password, passwordHash))) {
+    await handleFailedLogin(user, user.email, ipAddress, log);
+    return { statusCode: 401, error: 'Unauthorized', message: 'Password is incorrect' };
+  }
+
+  if (secondFactor && !(await verifySecondFactor(user.id, secondFactor))) {
+    await handleFailedLogin(user, user.email, ipAddress, log);
+    return { statusCode: 401, error: 'Unauthorized', message: 'Invalid two-factor authentication code' };
+  }
+
+  await resetLoginFailures(user.id);
+  return null;
+}
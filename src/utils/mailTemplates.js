@@ -0,0 +1,128 @@
+/**
+ * Mail Templates
+ * 각 템플릿은 sendMail에 전달할 { subject, text }를 반환합니다.
+ */
+
+/**
+ * Email verification code
+ * @param {string} code - Verification code
+ * @param {number} ttlMinutes - Code lifetime in minutes
+ * @returns {Object} { subject, text }
+ */
+export function emailVerificationMail(code, ttlMinutes) {
+  return {
+    subject: '[Setlone] 이메일 인증 코드',
+    text: [
+      'Setlone 이메일 인증 코드입니다.',
+      '',
+      `인증 코드: ${code}`,
+      '',
+      `이 코드는 ${ttlMinutes}분 동안 유효합니다.`,
+      '본인이 요청하지 않았다면 이 메일을 무시해 주세요.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Password reset link
+ * @param {string} resetUrl - Reset page URL including the token
+ * @param {number} ttlMinutes - Link lifetime in minutes
+ * @returns {Object} { subject, text }
+ */
+export function passwordResetMail(resetUrl, ttlMinutes) {
+  return {
+    subject: '[Setlone] 비밀번호 재설정 안내',
+    text: [
+      '비밀번호 재설정 요청을 받았습니다.',
+      '',
+      '아래 링크에서 새 비밀번호를 설정해 주세요.',
+      resetUrl,
+      '',
+      `이 링크는 ${ttlMinutes}분 동안 한 번만 사용할 수 있습니다.`,
+      '본인이 요청하지 않았다면 이 메일을 무시해 주세요. 비밀번호는 변경되지 않습니다.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Account locked notice with unlock link
+ * @param {string} unlockUrl - Unlock page URL including the token
+ * @param {number} lockoutMinutes - Automatic lock duration in minutes
+ * @returns {Object} { subject, text }
+ */
+export function accountLockedMail(unlockUrl, lockoutMinutes) {
+  return {
+    subject: '[Setlone] 계정이 일시적으로 잠겼습니다',
+    text: [
+      '로그인 실패가 반복되어 계정이 일시적으로 잠겼습니다.',
+      `잠금은 ${lockoutMinutes}분 후 자동으로 해제됩니다.`,
+      '',
+      '본인이 시도한 로그인이라면 아래 링크로 바로 잠금을 해제할 수 있습니다.',
+      unlockUrl,
+      '',
+      '본인이 시도하지 않았다면 비밀번호를 변경해 주세요.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Email change confirmation code (sent to the new address)
+ * @param {string} code - Confirmation code
+ * @param {number} ttlMinutes - Code lifetime in minutes
+ * @returns {Object} { subject, text }
+ */
+export function emailChangeCodeMail(code, ttlMinutes) {
+  return {
+    subject: '[Setlone] 이메일 변경 인증 코드',
+    text: [
+      'Setlone 계정의 이메일을 이 주소로 변경하기 위한 인증 코드입니다.',
+      '',
+      `인증 코드: ${code}`,
+      '',
+      `이 코드는 ${ttlMinutes}분 동안 유효합니다.`,
+      '본인이 요청하지 않았다면 이 메일을 무시해 주세요.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Email changed notice with undo link (sent to the old address)
+ * @param {string} newEmail - New email address
+ * @param {string} undoUrl - Undo page URL including the token
+ * @param {number} undoHours - Undo window in hours
+ * @returns {Object} { subject, text }
+ */
+export function emailChangedNoticeMail(newEmail, undoUrl, undoHours) {
+  return {
+    subject: '[Setlone] 계정 이메일이 변경되었습니다',
+    text: [
+      `Setlone 계정의 이메일이 ${newEmail}(으)로 변경되었습니다.`,
+      '',
+      '본인이 변경하지 않았다면 아래 링크로 이전 이메일을 복구하고 모든 기기에서 로그아웃할 수 있습니다.',
+      undoUrl,
+      '',
+      `이 링크는 ${undoHours}시간 동안 유효합니다.`
+    ].join('\n')
+  };
+}
+
+/**
+ * Personal data export ready
+ * @param {string} downloadUrl - Download URL including the token
+ * @param {number} downloadHours - Link lifetime in hours
+ * @returns {Object} { subject, text }
+ */
+export function dataExportReadyMail(downloadUrl, downloadHours) {
+  return {
+    subject: '[Setlone] 요청하신 데이터 내보내기가 준비되었습니다',
+    text: [
+      '요청하신 Setlone 계정 데이터 내보내기 파일(ZIP)이 준비되었습니다.',
+      '',
+      '아래 링크에서 내려받을 수 있습니다.',
+      downloadUrl,
+      '',
+      `이 링크는 ${downloadHours}시간 동안 유효하며, 이후 파일은 삭제됩니다.`,
+      '본인이 요청하지 않았다면 비밀번호를 변경해 주세요.'
+    ].join('\n')
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Mailer
+ * 메일 발송 전송 방식(transport)을 추상화합니다.
+ *
+ * MAIL_TRANSPORT 환경 변수로 선택:
+ * - smtp: SMTP 서버로 발송 (로컬 SMTP 캐처 테스트 포함)
+ * - file: MAIL_FILE_DIR 디렉토리에 JSON 파일로 저장
+ * - console: 로그로 출력 (기본값)
+ *
+ * Transport 인터페이스: { name: string, send(message): Promise<void> }
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Setlone <no-reply@setlone.com>';
+
+/**
+ * SMTP transport
+ * @returns {Object} Mail transport
+ */
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+/**
+ * File transport (one JSON file per message)
+ * @returns {Object} Mail transport
+ */
+function createFileTransport() {
+  const outboxDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail-outbox');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.writeFile(path.join(outboxDir, filename), JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+/**
+ * Console transport
+ * @returns {Object} Mail transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    }
+  };
+}
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+/**
+ * Create a mail transport by name
+ * @param {string} [name] - Transport name (smtp, file, console)
+ * @returns {Object} Mail transport
+ */
+export function createMailTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return factory();
+}
+
+let activeTransport = null;
+
+/**
+ * Replace the active mail transport (e.g. with a custom implementation)
+ * @param {Object} transport - Object implementing send(message)
+ */
+export function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Mail message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!activeTransport) {
+    activeTransport = createMailTransport();
+  }
+
+  await activeTransport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+}
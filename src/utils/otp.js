@@ -0,0 +1,37 @@
+/**
+ * One-Time Code Utilities
+ * 숫자 인증 코드 생성 및 해시 비교
+ */
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+/**
+ * Generate a random numeric code
+ * @param {number} [length=6] - Number of digits
+ * @returns {string} Zero-padded numeric code
+ */
+export function generateNumericCode(length = 6) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+}
+
+/**
+ * Hash a code for storage
+ * @param {string} code - Plain code
+ * @returns {Promise<string>} bcrypt hash
+ */
+export async function hashCode(code) {
+  return bcrypt.hash(code, 10);
+}
+
+/**
+ * Compare a submitted code with its stored hash
+ * @param {string} code - Submitted code
+ * @param {string} codeHash - Stored bcrypt hash
+ * @returns {Promise<boolean>} True if the code matches
+ */
+export async function compareCode(code, codeHash) {
+  if (!code || !codeHash) {
+    return false;
+  }
+  return bcrypt.compare(code, codeHash);
+}
@@ -0,0 +1,48 @@
+/**
+ * Cursor Pagination Utilities
+ * 커서는 마지막 항목의 정렬 키를 base64url JSON으로 인코딩한 불투명 문자열입니다.
+ */
+
+/**
+ * Encode sort keys of the last item into a cursor
+ * @param {Object} keys - Sort key values (e.g. { r: 2, id: 15 })
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(keys) {
+  return Buffer.from(JSON.stringify(keys)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string|undefined} cursor - Cursor from the query string
+ * @returns {Object|null} Sort keys, or null if missing or malformed
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+
+  try {
+    const keys = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return keys && typeof keys === 'object' && !Array.isArray(keys) ? keys : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a LIMIT n+1 result into a page and the next cursor
+ * @param {Array} rows - Rows fetched with limit + 1
+ * @param {number} limit - Page size
+ * @param {Function} getKeys - (row) => sort keys of a row
+ * @returns {Object} { items, nextCursor }
+ */
+export function paginate(rows, limit, getKeys) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(getKeys(items[items.length - 1])) : null
+  };
+}
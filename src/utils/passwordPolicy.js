@@ -0,0 +1,65 @@
+/**
+ * Password Policy
+ * 회원가입, 비밀번호 재설정, 비밀번호 변경에 공통으로 적용됩니다.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+export const PASSWORD_MAX_LENGTH = 128;
+
+// 자주 쓰이는 비밀번호 목록 (src/data/common-passwords.txt)
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, '../data/common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+/**
+ * Validate a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} [context] - Account context
+ * @param {string} [context.email] - User email
+ * @param {string} [context.username] - Username
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+export function validatePassword(password, { email, username } = {}) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Password must be at most ${PASSWORD_MAX_LENGTH} characters long`;
+  }
+
+  // 영문, 숫자, 특수문자 중 2종류 이상
+  const classes = [/[a-zA-Z]/, /\d/, /[^a-zA-Z\d]/].filter((pattern) => pattern.test(password)).length;
+  if (classes < 2) {
+    return 'Password must contain at least two of: letters, numbers, symbols';
+  }
+
+  if (/(.)\1{3,}/.test(password)) {
+    return 'Password must not contain the same character repeated 4 or more times';
+  }
+
+  const lowered = password.toLowerCase();
+
+  if (COMMON_PASSWORDS.has(lowered)) {
+    return 'Password is too common. Please choose a different password';
+  }
+
+  const identifiers = [username, email && email.split('@')[0]]
+    .filter((value) => value && value.length >= 3)
+    .map((value) => value.toLowerCase());
+
+  if (identifiers.some((value) => lowered.includes(value))) {
+    return 'Password must not contain your username or email';
+  }
+
+  return null;
+}
@@ -0,0 +1,35 @@
+/**
+ * Phone Number Utilities
+ * 핸드폰 번호를 국가 정보와 함께 E.164 형식(+821012345678)으로 정규화합니다.
+ */
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+// 국가 코드(+) 없이 입력된 번호에 적용할 기본 국가 (ISO 3166-1 alpha-2)
+export const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'KR';
+
+// 요청 스키마용 패턴: 숫자, +, 구분 기호만 허용 (실제 유효성은 normalizePhoneNumber에서 검사)
+export const PHONE_NUMBER_PATTERN = '^\\+?[0-9\\s().-]+$';
+
+/**
+ * Parse and validate a phone number
+ * 국제 형식의 국내 접두사 0(+82010...)과 구분 기호(-, 공백, 괄호)를 허용합니다.
+ * @param {string} input - Raw phone number
+ * @param {string} [country] - Country used when the number has no + prefix
+ * @returns {Object|null} { number, country } with number in E.164, or null if impossible
+ */
+export function normalizePhoneNumber(input, country = DEFAULT_PHONE_COUNTRY) {
+  if (!input) {
+    return null;
+  }
+
+  const parsed = parsePhoneNumberFromString(String(input), country);
+
+  if (!parsed || !parsed.isValid()) {
+    return null;
+  }
+
+  return {
+    number: parsed.number,
+    country: parsed.country || null
+  };
+}
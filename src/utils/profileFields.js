@@ -0,0 +1,199 @@
+/**
+ * Profile Field Validation
+ * 가입과 프로필 수정에서 함께 사용하는 프로필 항목(표시 이름, 소개, 호칭, 링크) 검사/정규화
+ */
+
+export const PROFILE_LIMITS = {
+  displayNameMaxLength: 50,
+  bioMaxLength: 300,
+  pronounsMaxLength: 30,
+  maxLinks: 5,
+  linkTitleMaxLength: 50,
+  linkUrlMaxLength: 500
+};
+
+// 제어 문자와 텍스트 방향 재정의 문자 (이름 위장 방지). 이모지 결합용 ZWJ는 허용
+const CONTROL_CHARACTERS = /[\p{Cc}\u202A-\u202E\u2066-\u2069]/u;
+// 소개는 줄바꿈/탭 허용
+const CONTROL_CHARACTERS_EXCEPT_NEWLINE = /(?![\n\t])[\p{Cc}\u202A-\u202E\u2066-\u2069]/u;
+
+/**
+ * JSON schema properties for the shared profile fields (snake_case, as used by profile update)
+ */
+export const profileFieldProperties = {
+  display_name: {
+    type: 'string',
+    nullable: true,
+    maxLength: PROFILE_LIMITS.displayNameMaxLength,
+    description: `Display name shown instead of the username (not unique, up to ${PROFILE_LIMITS.displayNameMaxLength} characters)`
+  },
+  bio: {
+    type: 'string',
+    nullable: true,
+    maxLength: PROFILE_LIMITS.bioMaxLength,
+    description: `Bio/status message (up to ${PROFILE_LIMITS.bioMaxLength} characters)`
+  },
+  pronouns: {
+    type: 'string',
+    nullable: true,
+    maxLength: PROFILE_LIMITS.pronounsMaxLength,
+    description: 'Pronouns, e.g. "she/her"'
+  },
+  links: {
+    type: 'array',
+    nullable: true,
+    maxItems: PROFILE_LIMITS.maxLinks,
+    description: `Up to ${PROFILE_LIMITS.maxLinks} external links (http/https)`,
+    items: {
+      type: 'object',
+      required: ['url'],
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', maxLength: PROFILE_LIMITS.linkTitleMaxLength },
+        url: { type: 'string', maxLength: PROFILE_LIMITS.linkUrlMaxLength }
+      }
+    }
+  }
+};
+
+/**
+ * Normalize a single-line text field (trim, reject control characters)
+ * @param {string|null} value - Input value
+ * @param {string} label - Field label for error messages
+ * @param {number} maxLength - Maximum length
+ * @param {RegExp} [forbidden] - Characters that are not allowed
+ * @returns {Object} { value } or { error }
+ */
+function normalizeText(value, label, maxLength, forbidden = CONTROL_CHARACTERS) {
+  if (value === null) {
+    return { value: null };
+  }
+
+  const trimmed = value.replace(/\r\n?/g, '\n').trim();
+
+  if (forbidden.test(trimmed)) {
+    return { error: `${label} contains invalid characters` };
+  }
+
+  if (Array.from(trimmed).length > maxLength) {
+    return { error: `${label} must be at most ${maxLength} characters` };
+  }
+
+  return { value: trimmed || null };
+}
+
+/**
+ * Validate an external link URL
+ * @param {string} url - URL
+ * @returns {string|null} Normalized URL, or null if invalid
+ */
+function normalizeLinkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) {
+    return null;
+  }
+
+  // 최소한 도메인 형태여야 함 (localhost, 단일 호스트명 제외)
+  if (!parsed.hostname.includes('.')) {
+    return null;
+  }
+
+  const normalized = parsed.toString();
+  return normalized.length <= PROFILE_LIMITS.linkUrlMaxLength ? normalized : null;
+}
+
+/**
+ * Normalize the links list
+ * @param {Array|null} links - [{ title, url }]
+ * @returns {Object} { value } or { error }
+ */
+function normalizeLinks(links) {
+  if (links === null || links.length === 0) {
+    return { value: null };
+  }
+
+  if (links.length > PROFILE_LIMITS.maxLinks) {
+    return { error: `At most ${PROFILE_LIMITS.maxLinks} links are allowed` };
+  }
+
+  const seen = new Set();
+  const value = [];
+
+  for (const link of links) {
+    const url = normalizeLinkUrl(link.url || '');
+    if (!url) {
+      return { error: `Invalid link URL: ${link.url}. Use an http:// or https:// address` };
+    }
+
+    const title = normalizeText(link.title === undefined ? null : link.title, 'Link title', PROFILE_LIMITS.linkTitleMaxLength);
+    if (title.error) {
+      return title;
+    }
+
+    if (!seen.has(url)) {
+      seen.add(url);
+      value.push({ title: title.value, url });
+    }
+  }
+
+  return { value };
+}
+
+/**
+ * Validate and normalize profile fields
+ * 전달되지 않은 항목(undefined)은 결과에서 빠지고, null은 값 삭제를 뜻합니다.
+ * @param {Object} input - { display_name, bio, pronouns, links }
+ * @returns {Object} { data } with column names (display_name, bio, pronouns, profile_links), or { error }
+ */
+export function normalizeProfileFields(input) {
+  const data = {};
+
+  const textFields = [
+    ['display_name', 'Display name', PROFILE_LIMITS.displayNameMaxLength, CONTROL_CHARACTERS],
+    ['bio', 'Bio', PROFILE_LIMITS.bioMaxLength, CONTROL_CHARACTERS_EXCEPT_NEWLINE],
+    ['pronouns', 'Pronouns', PROFILE_LIMITS.pronounsMaxLength, CONTROL_CHARACTERS]
+  ];
+
+  for (const [field, label, maxLength, forbidden] of textFields) {
+    if (input[field] !== undefined) {
+      const result = normalizeText(input[field], label, maxLength, forbidden);
+      if (result.error) {
+        return { error: result.error };
+      }
+      data[field] = result.value;
+    }
+  }
+
+  if (input.links !== undefined) {
+    const result = normalizeLinks(input.links);
+    if (result.error) {
+      return { error: result.error };
+    }
+    // JSON 컬럼에는 문자열로 저장
+    data.profile_links = result.value ? JSON.stringify(result.value) : null;
+  }
+
+  return { data };
+}
+
+/**
+ * Parse stored profile links
+ * @param {Array|string|null} stored - users.profile_links value
+ * @returns {Array} [{ title, url }]
+ */
+export function parseProfileLinks(stored) {
+  if (typeof stored === 'string') {
+    try {
+      stored = JSON.parse(stored);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(stored) ? stored : [];
+}
@@ -0,0 +1,20 @@
+/**
+ * Role Utilities
+ * 사용자 역할과 권한 비교
+ */
+
+// 낮은 권한 → 높은 권한 순서 (상위 역할은 하위 역할의 권한을 모두 가짐)
+export const ROLES = ['user', 'moderator', 'admin'];
+
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string} role - Role of the user
+ * @param {string} requiredRole - Minimum role required
+ * @returns {boolean} True if allowed
+ */
+export function hasRole(role, requiredRole) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(requiredRole);
+}
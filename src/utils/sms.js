@@ -0,0 +1,99 @@
+/**
+ * SMS Sender
+ * SMS 발송 제공자(provider)를 추상화합니다.
+ *
+ * SMS_PROVIDER 환경 변수로 선택:
+ * - file: SMS_FILE_DIR 디렉토리에 JSON 파일로 저장
+ * - console: 로그로 출력 (기본값)
+ *
+ * 실제 발송 업체는 setSmsProvider()로 등록합니다.
+ * Provider 인터페이스: { name: string, send(message): Promise<void> }
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SMS_SENDER = process.env.SMS_SENDER || 'Setlone';
+
+/**
+ * File provider (one JSON file per message)
+ * @returns {Object} SMS provider
+ */
+function createFileProvider() {
+  const outboxDir = process.env.SMS_FILE_DIR || path.join(__dirname, '../../sms-outbox');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.writeFile(path.join(outboxDir, filename), JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+/**
+ * Console provider
+ * @returns {Object} SMS provider
+ */
+function createConsoleProvider() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📱 [sms] to=${message.to}\n${message.text}`);
+    }
+  };
+}
+
+const providerFactories = {
+  file: createFileProvider,
+  console: createConsoleProvider
+};
+
+/**
+ * Create an SMS provider by name
+ * @param {string} [name] - Provider name (file, console)
+ * @returns {Object} SMS provider
+ */
+export function createSmsProvider(name = process.env.SMS_PROVIDER || 'console') {
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return factory();
+}
+
+let activeProvider = null;
+
+/**
+ * Replace the active SMS provider (e.g. with a carrier/aggregator implementation)
+ * @param {Object} provider - Object implementing send(message)
+ */
+export function setSmsProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Send an SMS through the active provider
+ * @param {Object} message - SMS message
+ * @param {string} message.to - Recipient phone number
+ * @param {string} message.text - Message body
+ * @returns {Promise<void>}
+ */
+export async function sendSms({ to, text }) {
+  if (!activeProvider) {
+    activeProvider = createSmsProvider();
+  }
+
+  await activeProvider.send({
+    from: SMS_SENDER,
+    to,
+    text
+  });
+}
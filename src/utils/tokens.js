@@ -0,0 +1,183 @@
+/**
+ * Token Utilities
+ * Access token (JWT) 서명과 refresh token 발급을 담당합니다.
+ */
+import crypto from 'crypto';
+import {
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeUserRefreshTokens
+} from '../models/RefreshToken.js';
+import { revokeAccessToken, revokeAccessTokensIssuedBefore } from '../models/RevokedToken.js';
+import { DEFAULT_ROLE } from './roles.js';
+
+// Access token 유효 시간 (초)
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+
+// 2단계 인증 챌린지 토큰 유효 시간 (초)
+export const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 300;
+
+// Refresh token 유효 기간 (일)
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+/**
+ * Generate a random opaque token
+ * @param {number} [bytes=48] - Number of random bytes
+ * @returns {string} URL-safe token string
+ */
+export function generateOpaqueToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash a high-entropy token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * 형식: stl_<12자리 hex 접두사>_<비밀 값>
+ * @returns {Object} { key, prefix, hash } - key는 발급 시 한 번만 노출
+ */
+export function generateApiKey() {
+  const prefix = `stl_${crypto.randomBytes(6).toString('hex')}`;
+  const key = `${prefix}_${generateOpaqueToken(32)}`;
+
+  return { key, prefix, hash: hashToken(key) };
+}
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} user - User object (id, email, username, role)
+ * @param {string} sessionId - Refresh token family ID
+ * @returns {string} Signed JWT
+ */
+export function signAccessToken(fastify, user, sessionId) {
+  return fastify.jwt.sign({
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role || DEFAULT_ROLE,
+    sid: sessionId,
+    type: 'access',
+    jti: crypto.randomUUID()
+  }, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+}
+
+/**
+ * Sign a two-factor challenge token (password verified, second factor pending)
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} user - User object (id)
+ * @returns {string} Signed JWT usable only with /auth/2fa/verify
+ */
+export function signTwoFactorChallenge(fastify, user) {
+  return fastify.jwt.sign({
+    id: user.id,
+    type: '2fa_challenge'
+  }, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+  });
+}
+
+/**
+ * Create a new refresh token value with its hash and expiry
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+function buildRefreshToken() {
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return { token, tokenHash: hashToken(token), expiresAt };
+}
+
+/**
+ * Format a token pair for API responses
+ * @param {string} accessToken - Signed access token
+ * @param {Object} refresh - Refresh token built by buildRefreshToken
+ * @returns {Object} Token response fields
+ */
+function formatTokens(accessToken, refresh) {
+  return {
+    token: accessToken,
+    refreshToken: refresh.token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshTokenExpiresAt: refresh.expiresAt.toISOString()
+  };
+}
+
+/**
+ * Issue a new access/refresh token pair (starts a new token family)
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} user - User object (id, email, username, role)
+ * @param {Object} [client] - Client metadata from getClientInfo (device label, user agent, IP)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+ */
+export async function issueAuthTokens(fastify, user, client = {}) {
+  const familyId = crypto.randomUUID();
+  const refresh = buildRefreshToken();
+
+  await createRefreshToken({
+    userId: user.id,
+    familyId,
+    tokenHash: refresh.tokenHash,
+    expiresAt: refresh.expiresAt,
+    client
+  });
+
+  return formatTokens(signAccessToken(fastify, user, familyId), refresh);
+}
+
+/**
+ * Rotate a stored refresh token and issue a new token pair in the same family
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} user - User object (id, email, username, role)
+ * @param {Object} storedToken - Current refresh_tokens row
+ * @param {Object} [client] - Client metadata of the refreshing device
+ * @returns {Promise<Object|null>} Token response fields, or null if the token was already used
+ */
+export async function rotateAuthTokens(fastify, user, storedToken, client = {}) {
+  const refresh = buildRefreshToken();
+
+  const rotatedId = await rotateRefreshToken(storedToken.id, {
+    tokenHash: refresh.tokenHash,
+    expiresAt: refresh.expiresAt,
+    client
+  });
+
+  if (!rotatedId) {
+    return null;
+  }
+
+  return formatTokens(signAccessToken(fastify, user, storedToken.family_id), refresh);
+}
+
+/**
+ * Revoke the session behind an access token (this device only)
+ * @param {Object} payload - Decoded access token (request.user)
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(payload) {
+  await revokeAccessToken(payload.jti, payload.id, new Date(payload.exp * 1000));
+
+  if (payload.sid) {
+    await revokeRefreshTokenFamily(payload.sid);
+  }
+}
+
+/**
+ * Revoke every session of a user (log out everywhere)
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function revokeAllSessions(userId) {
+  await revokeAccessTokensIssuedBefore(userId);
+  await revokeUserRefreshTokens(userId);
+}
@@ -0,0 +1,199 @@
+/**
+ * TOTP Utilities (RFC 6238)
+ * HMAC-SHA1, 6자리, 30초 주기 - Google Authenticator 등 일반 인증 앱과 호환됩니다.
+ */
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// 시크릿 암호화 키 (AES-256-GCM)
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production')
+  .digest();
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (unix seconds / period)
+ * @returns {string} Zero-padded code
+ */
+function computeTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current time step
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number} Time step
+ */
+export function getTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Verify a TOTP code, allowing clock drift of ±window steps
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Submitted code
+ * @param {number} [window=1] - Allowed drift in steps
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, window = 1) {
+  if (!/^\d{6}$/.test(code || '')) {
+    return null;
+  }
+
+  const currentStep = getTotpStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = computeTotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// provisioning URI (rendered as a QR code by the client)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (e.g. email)
+ * @param {string} [issuer='Setlone'] - Issuer name
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName, issuer = 'Setlone') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext (base64)
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value produced by encryptTotpSecret
+ * @returns {string} Base32 secret
+ */
+export function decryptTotpSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx)
+ * @param {number} [count=10] - Number of codes
+ * @returns {Array<string>} Recovery codes
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Normalize a recovery code before hashing (case and dashes ignored)
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} Normalized code
+ */
+export function normalizeRecoveryCode(code) {
+  return (code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+}
@@ -0,0 +1,40 @@
+/**
+ * UID Utilities
+ * 관리자만 지정할 수 있는 예약(vanity) UID 판별
+ */
+
+// 규칙으로 잡히지 않는 개별 예약 UID (서비스/운영용)
+const RESERVED_UIDS = new Set([
+  '0000001',
+  '1004000',
+  '1000001',
+  '7777777'
+]);
+
+const ASCENDING = '01234567890123456';
+const DESCENDING = '98765432109876543';
+
+/**
+ * Check whether a UID is reserved for admin assignment
+ * - 같은 숫자 반복 (1111111)
+ * - 연속된 숫자 (1234567, 7654321)
+ * - 두 자리 패턴 반복 (1212121)
+ * - 뒤 5자리 이상이 0 (1000000, 2500000)
+ * @param {string} uid - 7-digit UID
+ * @returns {boolean} True if reserved
+ */
+export function isReservedUID(uid) {
+  if (RESERVED_UIDS.has(uid)) {
+    return true;
+  }
+
+  if (/^(\d)\1{6}$/.test(uid) || /^(\d)(\d)(\1\2){2}\1$/.test(uid)) {
+    return true;
+  }
+
+  if (ASCENDING.includes(uid) || DESCENDING.includes(uid)) {
+    return true;
+  }
+
+  return /^\d{2}0{5}$/.test(uid);
+}
@@ -0,0 +1,209 @@
+/**
+ * User Profile Projections
+ * 사용자 정보를 공개용(public)과 본인용(private) 형태로 변환합니다.
+ *
+ * 공개 프로필에는 기본 항목만 포함되고, 선택 항목(실명, 생일, 이메일, 핸드폰 번호)은
+ * 사용자가 공개로 설정한 경우에만 포함됩니다.
+ */
+import { hasRole } from './roles.js';
+import { parseProfileLinks } from './profileFields.js';
+
+// 사용자가 공개 범위를 정할 수 있는 항목
+export const VISIBILITY_FIELDS = ['real_name', 'birth_date', 'email', 'phone_number'];
+
+export const VISIBILITY_LEVELS = ['public', 'private'];
+
+/**
+ * Resolve visibility settings with defaults (everything private)
+ * @param {Object|string|null} stored - users.profile_visibility value
+ * @returns {Object} { field: 'public' | 'private' }
+ */
+export function getProfileVisibility(stored) {
+  let settings = stored;
+
+  if (typeof settings === 'string') {
+    try {
+      settings = JSON.parse(settings);
+    } catch {
+      settings = null;
+    }
+  }
+
+  const visibility = {};
+  for (const field of VISIBILITY_FIELDS) {
+    visibility[field] = settings && settings[field] === 'public' ? 'public' : 'private';
+  }
+  return visibility;
+}
+
+/**
+ * Check whether a single optional field is public
+ * @param {Object} user - User row (with profile_visibility)
+ * @param {string} field - Field name
+ * @returns {boolean} True if visible to everyone
+ */
+export function isFieldPublic(user, field) {
+  return getProfileVisibility(user.profile_visibility)[field] === 'public';
+}
+
+/**
+ * Format a date-only value as YYYY-MM-DD
+ * @param {Date|string|null} value - DATE column value
+ * @returns {string|null} Date string
+ */
+function formatDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Public profile shape (safe for any viewer)
+ * @param {Object} user - User row
+ * @returns {Object} Public profile
+ */
+export function toPublicProfile(user) {
+  const visibility = getProfileVisibility(user.profile_visibility);
+  const profile = {
+    id: user.id,
+    uid: user.uid,
+    username: user.username,
+    display_name: user.display_name,
+    profile_image: user.profile_image,
+    cover_image: user.cover_image,
+    bio: user.bio,
+    pronouns: user.pronouns,
+    links: parseProfileLinks(user.profile_links),
+    is_private: Boolean(user.is_private),
+    follower_count: user.follower_count,
+    following_count: user.following_count,
+    is_verified: user.is_verified,
+    created_at: user.created_at
+  };
+
+  for (const field of VISIBILITY_FIELDS) {
+    if (visibility[field] === 'public') {
+      profile[field] = field === 'birth_date' ? formatDate(user[field]) : user[field];
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Private profile shape (owner or admin only)
+ * @param {Object} user - User row
+ * @returns {Object} Full profile including visibility settings
+ */
+export function toPrivateProfile(user) {
+  return {
+    id: user.id,
+    uid: user.uid,
+    username: user.username,
+    email: user.email,
+    real_name: user.real_name,
+    birth_date: formatDate(user.birth_date),
+    phone_number: user.phone_number,
+    display_name: user.display_name,
+    profile_image: user.profile_image,
+    cover_image: user.cover_image,
+    bio: user.bio,
+    pronouns: user.pronouns,
+    links: parseProfileLinks(user.profile_links),
+    is_private: Boolean(user.is_private),
+    follower_count: user.follower_count,
+    following_count: user.following_count,
+    role: user.role,
+    is_verified: user.is_verified,
+    email_verified: user.email_verified,
+    phone_verified: user.phone_verified,
+    visibility: getProfileVisibility(user.profile_visibility),
+    created_at: user.created_at,
+    updated_at: user.updated_at
+  };
+}
+
+/**
+ * Check whether a viewer may see the private profile (owner or admin)
+ * @param {Object} user - User row
+ * @param {Object|null} viewer - request.user (or null for anonymous)
+ * @returns {boolean} True if the private shape is allowed
+ */
+export function canViewPrivateProfile(user, viewer) {
+  return Boolean(viewer) && (viewer.id === user.id || hasRole(viewer.role, 'admin'));
+}
+
+/**
+ * Pick the projection allowed for a viewer
+ * @param {Object} user - User row
+ * @param {Object|null} viewer - request.user (or null for anonymous)
+ * @returns {Object} Public or private profile
+ */
+export function projectUserFor(user, viewer) {
+  if (canViewPrivateProfile(user, viewer)) {
+    return toPrivateProfile(user);
+  }
+  return toPublicProfile(user);
+}
+
+const visibilitySchema = {
+  type: 'object',
+  properties: Object.fromEntries(VISIBILITY_FIELDS.map((field) => [field, { type: 'string', enum: VISIBILITY_LEVELS }]))
+};
+
+// 응답 스키마: 공개/본인용 항목을 모두 선언하고, 실제 포함 여부는 projection이 결정
+export const userProfileSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    uid: { type: 'string', nullable: true },
+    username: { type: 'string' },
+    email: { type: 'string' },
+    real_name: { type: 'string', nullable: true },
+    birth_date: { type: 'string', nullable: true },
+    phone_number: { type: 'string', nullable: true },
+    display_name: { type: 'string', nullable: true },
+    profile_image: { type: 'string', nullable: true },
+    cover_image: { type: 'string', nullable: true },
+    bio: { type: 'string', nullable: true },
+    pronouns: { type: 'string', nullable: true },
+    links: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', nullable: true },
+          url: { type: 'string' }
+        }
+      }
+    },
+    is_private: { type: 'boolean' },
+    follower_count: { type: 'number' },
+    following_count: { type: 'number' },
+    // 로그인한 사용자 기준 관계 (본인 프로필에는 없음)
+    is_following: { type: 'boolean' },
+    is_followed_by: { type: 'boolean' },
+    is_mutual: { type: 'boolean' },
+    is_requested: { type: 'boolean' },
+    role: { type: 'string' },
+    is_verified: { type: 'boolean' },
+    email_verified: { type: 'boolean' },
+    phone_verified: { type: 'boolean' },
+    visibility: visibilitySchema,
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  }
+};
+
+export const visibilityUpdateSchema = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: visibilitySchema.properties
+};
@@ -0,0 +1,93 @@
+/**
+ * Username Utilities
+ * 사용자명 형식 검사와 예약어 판별
+ */
+
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 50;
+
+// 문자(한글 포함), 숫자, 밑줄, 마침표만 허용
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.]+$/u;
+
+// 서비스/운영 계정 사칭 방지용 예약어 (대소문자, '.', '_' 무시하고 비교)
+const RESERVED_USERNAMES = new Set([
+  'admin',
+  'administrator',
+  'root',
+  'system',
+  'support',
+  'help',
+  'helpdesk',
+  'official',
+  'staff',
+  'moderator',
+  'mod',
+  'security',
+  'api',
+  'www',
+  'mail',
+  'noreply',
+  'setlone',
+  'setloneofficial',
+  'setlonesupport',
+  'me',
+  'search',
+  'null',
+  'undefined',
+  '운영자',
+  '관리자',
+  '고객센터',
+  '셋로네'
+]);
+
+// 영구 삭제된 계정의 익명화 사용자명(deleted_<id>, AccountPurge)과 겹치지 않도록 예약
+const RESERVED_USERNAME_PREFIXES = ['deleted_'];
+
+/**
+ * Normalize a username for reserved-word comparison
+ * @param {string} username - Username
+ * @returns {string} Lowercased username without '.' and '_'
+ */
+function normalizeForComparison(username) {
+  return username.toLowerCase().replace(/[._]/g, '');
+}
+
+/**
+ * Check whether a username is reserved
+ * @param {string} username - Username
+ * @returns {boolean} True if reserved
+ */
+export function isReservedUsername(username) {
+  const lowered = username.toLowerCase();
+
+  return RESERVED_USERNAMES.has(normalizeForComparison(username))
+    || RESERVED_USERNAME_PREFIXES.some((prefix) => lowered.startsWith(prefix));
+}
+
+/**
+ * Validate username format
+ * 숫자로만 된 사용자명은 UID/전화번호 로그인과 겹치므로 허용하지 않습니다.
+ * @param {string} username - Username
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateUsernameFormat(username) {
+  const length = Array.from(username).length;
+
+  if (length < USERNAME_MIN_LENGTH || length > USERNAME_MAX_LENGTH) {
+    return `Username must be ${USERNAME_MIN_LENGTH}-${USERNAME_MAX_LENGTH} characters`;
+  }
+
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username can only contain letters, numbers, underscores and periods';
+  }
+
+  if (/^\d+$/.test(username)) {
+    return 'Username cannot be only numbers';
+  }
+
+  if (/^[._]|[._]$|\.\./.test(username)) {
+    return 'Username cannot start or end with a period or underscore, or contain consecutive periods';
+  }
+
+  return null;
+}